@@ -0,0 +1,224 @@
+import express from "express";
+import axios from "axios";
+import dotenv from "dotenv";
+import { requireAdmin } from "./auth.js";
+import {
+  getPendingTransactionByReference,
+  recordC2BAmountMismatch,
+  updateC2BTransaction,
+} from "./c2b.js";
+import { verifyC2BCallback } from "./callbackAuth.js";
+import { ingestCallback, registerCallbackProcessor } from "./callbackEvents.js";
+import {
+  BASE_URL,
+  CALLBACK_BASE_URL,
+  findProfileByShortCode,
+  generateAccessToken,
+  getCollectionShortCodes,
+  getOperationProfile,
+  MPESA_CONFIG,
+} from "./daraja.js";
+
+dotenv.config();
+
+const router = express.Router();
+
+// ==================== C2B PAYBILL ROUTES ====================
+
+const C2B_CALLBACK_TOKEN = process.env.MPESA_C2B_CALLBACK_TOKEN;
+
+// Paybill account numbers are typed by hand; match them case-insensitively
+const normalizeAccountReference = (value) =>
+  String(value || "").trim().toUpperCase();
+
+// Paybill amounts are whole shillings
+const c2bAmountMatches = (payment, transaction) =>
+  Math.round(Number(payment.TransAmount)) === Math.round(transaction.amount);
+
+/**
+ * Check a paybill payment against the pending transaction it names.
+ * Returns a Daraja rejection code, or null when the payment is acceptable.
+ */
+const validateC2BPayment = async (payment) => {
+  const { transaction, error } = await getPendingTransactionByReference(
+    normalizeAccountReference(payment.BillRefNumber),
+  );
+
+  if (error) throw error;
+
+  if (!transaction) {
+    return { code: "C2B00012", desc: "Invalid Account Number" };
+  }
+
+  if (!c2bAmountMatches(payment, transaction)) {
+    return { code: "C2B00013", desc: "Invalid Amount" };
+  }
+
+  return null;
+};
+
+/**
+ * @route   POST /mpesa/c2b/register-url
+ * @desc    Register our C2B validation and confirmation URLs with Daraja
+ *          for one collection profile (body.profile, default paybill)
+ * @access  Admin
+ */
+router.post("/c2b/register-url", requireAdmin, async (req, res) => {
+  try {
+    if (!C2B_CALLBACK_TOKEN) {
+      return res.status(500).json({
+        status: "error",
+        message: "MPESA_C2B_CALLBACK_TOKEN is not configured",
+      });
+    }
+
+    const profileName = req.body?.profile || getOperationProfile("c2b").name;
+    const profile = MPESA_CONFIG.profiles[profileName];
+    if (!profile?.transactionType) {
+      return res.status(400).json({
+        status: "error",
+        message: `Unknown collection profile: ${profileName}`,
+      });
+    }
+
+    const accessToken = await generateAccessToken(profile.name);
+
+    const registerPayload = {
+      ShortCode: profile.shortCode,
+      // Reject payments when our validation URL cannot be reached
+      ResponseType: "Cancelled",
+      ConfirmationURL: `${CALLBACK_BASE_URL}/callback/c2b-confirmation/${C2B_CALLBACK_TOKEN}`,
+      ValidationURL: `${CALLBACK_BASE_URL}/callback/c2b-validation/${C2B_CALLBACK_TOKEN}`,
+    };
+
+    const response = await axios.post(
+      `${BASE_URL}/mpesa/c2b/v1/registerurl`,
+      registerPayload,
+      {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          "Content-Type": "application/json",
+        },
+        timeout: 15000,
+      }
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "C2B URLs registered",
+      profile: profile.name,
+      data: response.data,
+    });
+  } catch (error) {
+    console.error("C2B Register Error:", error.response?.data || error.message);
+    res.status(500).json({
+      status: "error",
+      message: "Failed to register C2B URLs",
+      error: error.response?.data?.errorMessage || error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /mpesa/callback/c2b-validation/:token
+ * @desc    Accept or reject a paybill payment before M-Pesa completes it
+ * @access  M-Pesa callback (static token, IP allowlist and shortcode check)
+ */
+router.post(
+  "/callback/c2b-validation{/:token}",
+  verifyC2BCallback("c2b_validation", getCollectionShortCodes()),
+  async (req, res) => {
+    console.log("C2B Validation:", JSON.stringify(req.body, null, 2));
+
+    try {
+      const rejection = await validateC2BPayment(req.body);
+
+      if (rejection) {
+        console.log(
+          `C2B payment rejected (${rejection.desc}): ${req.body.BillRefNumber}`,
+        );
+        return res.status(200).json({
+          ResultCode: rejection.code,
+          ResultDesc: "Rejected",
+        });
+      }
+
+      res.status(200).json({
+        ResultCode: "0",
+        ResultDesc: "Accepted",
+      });
+    } catch (error) {
+      // Can't tell if the payment is right; refuse rather than strand money
+      console.error("C2B Validation Error:", error);
+      res.status(200).json({
+        ResultCode: "C2B00016",
+        ResultDesc: "Rejected",
+      });
+    }
+  },
+);
+
+/**
+ * Attach a confirmed paybill payment to its pending transaction.
+ */
+const processC2BConfirmation = async (body) => {
+  const reference = normalizeAccountReference(body.BillRefNumber);
+
+  console.log("C2B Payment Confirmed:", {
+    transID: body.TransID,
+    amount: body.TransAmount,
+    accountReference: reference,
+  });
+
+  const { transaction, error } = await getPendingTransactionByReference(reference);
+  if (error) throw error;
+
+  if (!transaction) {
+    throw new Error(`No pending transaction for account ${reference}`);
+  }
+
+  const profileName = findProfileByShortCode(body.BusinessShortCode)?.name;
+
+  // Validation is optional on Daraja's side and may have been skipped, so the
+  // amount is checked again before anything is held in escrow
+  if (!c2bAmountMatches(body, transaction)) {
+    console.warn(
+      `⚠️ C2B ${body.TransID} paid ${body.TransAmount} for ${reference}, expected ${transaction.amount}`,
+    );
+    const { error: mismatchError } = await recordC2BAmountMismatch(
+      transaction,
+      body,
+      profileName,
+    );
+    if (mismatchError) throw mismatchError;
+    return;
+  }
+
+  const { error: escrowError } = await updateC2BTransaction(
+    transaction.id,
+    body,
+    profileName,
+  );
+  if (escrowError) throw escrowError;
+};
+
+registerCallbackProcessor("c2b_confirmation", {
+  process: processC2BConfirmation,
+  dedupeKey: (body) => body?.TransID,
+});
+
+/**
+ * @route   POST /mpesa/callback/c2b-confirmation/:token
+ * @desc    Callback for completed paybill payments
+ * @access  M-Pesa callback (static token, IP allowlist and shortcode check)
+ */
+router.post(
+  "/callback/c2b-confirmation{/:token}",
+  verifyC2BCallback("c2b_confirmation", getCollectionShortCodes()),
+  async (req, res) => {
+    console.log("C2B Confirmation:", JSON.stringify(req.body, null, 2));
+    await ingestCallback("c2b_confirmation", req, res);
+  },
+);
+
+export default router;
@@ -0,0 +1,140 @@
+import express from "express";
+import { requireAdmin } from "./auth.js";
+import {
+  getCallbackEvent,
+  listCallbackEvents,
+  processCallbackEvent,
+} from "./callbackEvents.js";
+
+const router = express.Router();
+
+// ==================== CALLBACK EVENTS ====================
+
+/**
+ * @route   GET /mpesa/callback-events
+ * @desc    List stored callback events, e.g. ?status=failed
+ * @access  Admin
+ */
+router.get("/callback-events", requireAdmin, async (req, res) => {
+  const { status, eventType } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
+
+  const { events, error } = await listCallbackEvents({
+    status,
+    eventType,
+    limit,
+  });
+
+  if (error) {
+    return res.status(500).json({
+      status: "error",
+      message: "Failed to list callback events",
+      error: error.message,
+    });
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: events,
+  });
+});
+
+/**
+ * @route   POST /mpesa/callback-events/:id/replay
+ * @desc    Re-run a stored callback through its handler. Processed events
+ *          are never replayed, and processing ones only once their delivery
+ *          has been stuck for a while.
+ * @access  Admin
+ */
+router.post("/callback-events/:id/replay", requireAdmin, async (req, res) => {
+  try {
+    const { event, error } = await getCallbackEvent(req.params.id);
+
+    if (error) {
+      return res.status(404).json({
+        status: "error",
+        message: "Callback event not found",
+      });
+    }
+
+    const replayed = await processCallbackEvent(event);
+
+    if (!replayed) {
+      return res.status(409).json({
+        status: "error",
+        message: `Event is ${event.status} and cannot be replayed now`,
+      });
+    }
+
+    res.status(200).json({
+      status: replayed.status === "processed" ? "success" : "error",
+      data: replayed,
+    });
+  } catch (error) {
+    console.error("Replay Error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Failed to replay callback event",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /mpesa/callback-events/replay
+ * @desc    Replay all failed (or received, or stuck processing) events,
+ *          optionally by eventType
+ * @access  Admin
+ */
+router.post("/callback-events/replay", requireAdmin, async (req, res) => {
+  try {
+    const { status = "failed", eventType } = req.body || {};
+    const limit = Math.min(Number(req.body?.limit) || 50, 200);
+
+    if (!["failed", "received", "processing"].includes(status)) {
+      return res.status(400).json({
+        status: "error",
+        message:
+          "Bulk replay only supports failed, received or processing events",
+      });
+    }
+
+    const { events, error } = await listCallbackEvents({
+      status,
+      eventType,
+      limit,
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    const results = [];
+    for (const event of events) {
+      const replayed = await processCallbackEvent(event);
+      results.push({
+        id: event.id,
+        status: replayed?.status || "skipped",
+        error: replayed?.error || null,
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        replayed: results.filter((r) => r.status === "processed").length,
+        failed: results.filter((r) => r.status === "failed").length,
+        results,
+      },
+    });
+  } catch (error) {
+    console.error("Bulk Replay Error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Failed to replay callback events",
+      error: error.message,
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,321 @@
+import express from "express";
+import dotenv from "dotenv";
+import { isAdmin, requireAdmin, requireAuth } from "./auth.js";
+import { stripeKey } from "./constants/index.js";
+import { mpesaProvider } from "./mpesaProvider.js";
+import { openEscrowTransaction, sendPaymentError } from "./paymentProviders.js";
+import { stripeProvider } from "./stripeProvider.js";
+import { getTransaction } from "./supabase.js";
+
+dotenv.config();
+
+const router = express.Router();
+
+// ==================== CHECKOUT (ALL PROVIDERS) ====================
+// One API for paying into escrow, releasing and refunding, whichever
+// provider the client picked. Provider-specific details go in and come out
+// as-is; the transaction and its status are the same for all of them.
+
+const PROVIDERS = {
+  mpesa: mpesaProvider,
+  stripe: stripeProvider,
+};
+
+// Whether a provider has what it needs to take payments here
+const PROVIDER_AVAILABLE = {
+  mpesa: () => true,
+  stripe: () => !!(stripeKey || process.env.STRIPE_SECRET_KEY),
+};
+
+// What the frontend needs to know about a checkout transaction
+const toCheckoutTransaction = (transaction) => ({
+  id: transaction.id,
+  provider: transaction.payment_provider,
+  status: transaction.status,
+  projectId: transaction.project_id,
+  bidId: transaction.bid_id,
+  amount: transaction.amount,
+  platformFee: transaction.platform_fee,
+  freelancerAmount: transaction.freelancer_amount,
+  createdAt: transaction.created_at,
+  updatedAt: transaction.updated_at,
+});
+
+// Provider errors come back with their own status; the rest are a 500
+const sendCheckoutError = (res, error, message) => {
+  if (sendPaymentError(res, error)) return;
+
+  if (error.code === "STRIPE_ERROR") {
+    return res.status(502).json({
+      status: "error",
+      message: `${message}: ${error.message}`,
+      error: error.stripeCode || error.code,
+    });
+  }
+
+  if (error.code === "NOT_RELEASABLE" || error.code === "INVALID_TRANSITION") {
+    return res.status(409).json({
+      status: "error",
+      message: "Transaction cannot be changed in its current state",
+      error: error.message,
+    });
+  }
+
+  console.error(`${message}:`, error.response?.data || error.message);
+  res.status(500).json({
+    status: "error",
+    message,
+    error: error.response?.data || error.message,
+  });
+};
+
+// Pick the provider named in the body and run its own middleware (rate
+// limits and the like) before the checkout handler
+const selectProvider = (req, res, next) => {
+  const name = req.body?.provider;
+  const provider = PROVIDERS[name];
+
+  if (!provider || !PROVIDER_AVAILABLE[name]()) {
+    return res.status(400).json({
+      status: "error",
+      message: `provider must be one of: ${Object.keys(PROVIDERS)
+        .filter((key) => PROVIDER_AVAILABLE[key]())
+        .join(", ")}`,
+    });
+  }
+
+  req.paymentProvider = provider;
+  const chain = provider.collectMiddleware || [];
+  const run = (index) => (error) => {
+    if (error) return next(error);
+    if (index >= chain.length) return next();
+    chain[index](req, res, run(index + 1));
+  };
+  run(0)();
+};
+
+/**
+ * Load the transaction in :transactionId and its provider. Responds 404
+ * (or 403 when the user may not see it) and returns null on failure.
+ */
+const loadCheckout = async (req, res) => {
+  const { transaction, error } = await getTransaction(req.params.transactionId);
+  if (error || !transaction) {
+    res.status(404).json({
+      status: "error",
+      message: "Transaction not found",
+    });
+    return null;
+  }
+
+  const allowed =
+    req.isAdmin ||
+    isAdmin(req.user) ||
+    transaction.client_id === req.user?.id ||
+    transaction.freelancer_id === req.user?.id;
+  if (!allowed) {
+    res.status(403).json({
+      status: "error",
+      message: "You cannot access this transaction",
+      error: "FORBIDDEN",
+    });
+    return null;
+  }
+
+  const provider = PROVIDERS[transaction.payment_provider];
+  if (!provider) {
+    res.status(409).json({
+      status: "error",
+      message: `Unsupported payment provider: ${transaction.payment_provider}`,
+    });
+    return null;
+  }
+
+  return { transaction, provider };
+};
+
+/**
+ * @route   GET /checkout/providers
+ * @desc    Payment providers the frontend can offer
+ * @access  Public
+ */
+router.get("/providers", (req, res) => {
+  res.status(200).json({
+    status: "success",
+    data: Object.keys(PROVIDERS).filter((name) => PROVIDER_AVAILABLE[name]()),
+  });
+});
+
+/**
+ * @route   POST /checkout
+ * @desc    Pay for an accepted bid with the chosen provider:
+ *          { provider, projectId, bidId, ...provider params }
+ *          (M-Pesa: phoneNumber, paymentChannel; Stripe: none).
+ *          Creates (or reuses) the pending transaction and starts the
+ *          payment; data says what the frontend does next.
+ * @access  Private (client who owns the project)
+ */
+router.post("/", requireAuth, selectProvider, async (req, res) => {
+  try {
+    const { projectId, bidId } = req.body;
+    const provider = req.paymentProvider;
+
+    if (!projectId || !bidId) {
+      return res.status(400).json({
+        status: "error",
+        message: "projectId and bidId are required",
+      });
+    }
+
+    const { transaction: opened } = await openEscrowTransaction({
+      user: req.user,
+      projectId,
+      bidId,
+      provider: provider.name,
+      insertOptions: provider.insertOptions?.({ projectId }),
+    });
+
+    const { transaction, data } = await provider.collect({
+      transaction: opened,
+      user: req.user,
+      params: req.body,
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Payment started",
+      data: {
+        transaction: toCheckoutTransaction(transaction),
+        [provider.name]: data,
+      },
+    });
+  } catch (error) {
+    sendCheckoutError(res, error, "Failed to start payment");
+  }
+});
+
+/**
+ * @route   GET /checkout/:transactionId
+ * @desc    Transaction status with the provider's own details
+ * @access  Private (client or freelancer on the transaction, or admin)
+ */
+router.get("/:transactionId", requireAuth, async (req, res) => {
+  try {
+    const checkout = await loadCheckout(req, res);
+    if (!checkout) return;
+    const { transaction, provider } = checkout;
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        transaction: toCheckoutTransaction(transaction),
+        [provider.name]: await provider.status({ transaction }),
+      },
+    });
+  } catch (error) {
+    sendCheckoutError(res, error, "Failed to load payment status");
+  }
+});
+
+/**
+ * @route   POST /checkout/:transactionId/confirm
+ * @desc    Check with the provider whether the payment (or a refund) has
+ *          gone through, and update the transaction
+ * @access  Private (client or freelancer on the transaction, or admin)
+ */
+router.post("/:transactionId/confirm", requireAuth, async (req, res) => {
+  try {
+    const checkout = await loadCheckout(req, res);
+    if (!checkout) return;
+
+    const { transaction } = await checkout.provider.confirm(checkout);
+
+    res.status(200).json({
+      status: "success",
+      data: toCheckoutTransaction(transaction),
+    });
+  } catch (error) {
+    sendCheckoutError(res, error, "Failed to confirm payment");
+  }
+});
+
+/**
+ * @route   POST /checkout/:transactionId/release
+ * @desc    Release the escrowed payment to the freelancer through the
+ *          provider that collected it. 202 when the payout is queued.
+ * @access  Private (client on the transaction, or admin)
+ */
+router.post("/:transactionId/release", requireAuth, async (req, res) => {
+  try {
+    const checkout = await loadCheckout(req, res);
+    if (!checkout) return;
+    const { transaction, provider } = checkout;
+    const admin = isAdmin(req.user);
+
+    if (transaction.client_id !== req.user.id && !admin) {
+      return res.status(403).json({
+        status: "error",
+        message: "Only the client on this transaction can release it",
+        error: "FORBIDDEN",
+      });
+    }
+
+    if (req.body?.force && !admin) {
+      return res.status(403).json({
+        status: "error",
+        message: "Only admins can force payouts",
+        error: "FORBIDDEN",
+      });
+    }
+
+    const { data, queued } = await provider.release({
+      transaction,
+      user: req.user,
+      params: req.body || {},
+    });
+    const { transaction: current } = await getTransaction(transaction.id);
+
+    res.status(queued ? 202 : 200).json({
+      status: queued ? "queued" : "success",
+      message: queued ? "Payout queued" : "Payout started",
+      data: {
+        transaction: toCheckoutTransaction(current || transaction),
+        [provider.name]: data,
+      },
+    });
+  } catch (error) {
+    sendCheckoutError(res, error, "Failed to release payment");
+  }
+});
+
+/**
+ * @route   POST /checkout/:transactionId/refund
+ * @desc    Refund the client everything still refundable through the
+ *          provider that collected the payment ({ amount }, if given, must
+ *          match it)
+ * @access  Admin
+ */
+router.post("/:transactionId/refund", requireAdmin, async (req, res) => {
+  try {
+    const checkout = await loadCheckout(req, res);
+    if (!checkout) return;
+    const { transaction, provider } = checkout;
+    const { amount, reason } = req.body || {};
+
+    const { data } = await provider.refund({ transaction, amount, reason });
+    const { transaction: current } = await getTransaction(transaction.id);
+
+    res.status(202).json({
+      status: "success",
+      message: "Refund initiated",
+      data: {
+        transaction: toCheckoutTransaction(current || transaction),
+        [provider.name]: data,
+      },
+    });
+  } catch (error) {
+    sendCheckoutError(res, error, "Failed to refund payment");
+  }
+});
+
+export default router;
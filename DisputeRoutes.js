@@ -0,0 +1,810 @@
+import express from "express";
+import { requireAdmin, requireAuth } from "./auth.js";
+import {
+  addDisputeStatement,
+  createDispute,
+  getDispute,
+  listDisputes,
+  updateDisputeIfMatches,
+} from "./disputes.js";
+import {
+  loadParticipantTransaction,
+  payMilestone,
+  sendEscrowError,
+} from "./MilestoneRoutes.js";
+import {
+  escrowedPayout,
+  listMilestones,
+  MILESTONE,
+  updateMilestoneIfStatus,
+} from "./milestones.js";
+import { mpesaProvider } from "./mpesaProvider.js";
+import {
+  getResultParameters,
+  isRejectedByDaraja,
+  refundByMpesa,
+  registerB2CPurpose,
+  reserveFloat,
+  sendB2CPayment,
+} from "./MpesaRoutes.js";
+import { formatAmount, notifyUser, projectReference } from "./notifications.js";
+import { paymentError } from "./paymentProviders.js";
+import { resolvePayoutNumber } from "./payoutNumbers.js";
+import { stripeProvider } from "./stripeProvider.js";
+import { getTransaction } from "./supabase.js";
+import {
+  TRANSACTION_STATUS,
+  transitionTransaction,
+} from "./transactionStatus.js";
+
+const router = express.Router();
+
+// ==================== DISPUTES ====================
+// Either side of a contract can contest an escrowed payment. Opening a dispute
+// freezes the transaction (status disputed) so nothing is paid out or
+// refunded; both sides add statements and evidence links; an admin then
+// refunds the client, pays the freelancer or splits the escrow. A split pays
+// the freelancer's part by B2C first and refunds the rest once it lands.
+
+const DISPUTE_DECISIONS = ["refund", "pay", "split"];
+const MAX_EVIDENCE_URLS = 10;
+const MAX_STATEMENT_LENGTH = 5000;
+
+const toDispute = (dispute) => ({
+  id: dispute.id,
+  transactionId: dispute.transaction_id,
+  status: dispute.status,
+  reason: dispute.reason,
+  openedBy: dispute.opened_by,
+  resolution: dispute.resolution,
+  freelancerAmount:
+    dispute.freelancer_amount != null ? Number(dispute.freelancer_amount) : null,
+  clientAmount:
+    dispute.client_amount != null ? Number(dispute.client_amount) : null,
+  resolutionNote: dispute.resolution_note,
+  resolvedAt: dispute.resolved_at,
+  payoutStatus: dispute.payout_status,
+  createdAt: dispute.created_at,
+  statements: (dispute.statements || [])
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .map((statement) => ({
+      id: statement.id,
+      authorId: statement.author_id,
+      authorRole: statement.author_role,
+      statement: statement.statement,
+      evidenceUrls: statement.evidence_urls || [],
+      createdAt: statement.created_at,
+    })),
+});
+
+// Which side of the transaction the user is on, for their statements
+const disputeRole = (transaction, user) => {
+  if (transaction.client_id === user?.id) return "client";
+  if (transaction.freelancer_id === user?.id) return "freelancer";
+  return "admin";
+};
+
+const isHttpUrl = (value) => {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// Check a { statement, evidenceUrls } body; throws paymentError when invalid
+const parseStatement = ({ statement, evidenceUrls = [] } = {}) => {
+  if (
+    typeof statement !== "string" ||
+    !statement.trim() ||
+    statement.length > MAX_STATEMENT_LENGTH
+  ) {
+    throw paymentError(
+      `statement is required (at most ${MAX_STATEMENT_LENGTH} characters)`,
+      "INVALID_STATEMENT",
+    );
+  }
+
+  if (
+    !Array.isArray(evidenceUrls) ||
+    evidenceUrls.length > MAX_EVIDENCE_URLS ||
+    !evidenceUrls.every(isHttpUrl)
+  ) {
+    throw paymentError(
+      `evidenceUrls must be up to ${MAX_EVIDENCE_URLS} http(s) links`,
+      "INVALID_EVIDENCE",
+    );
+  }
+
+  return { statement: statement.trim(), evidenceUrls };
+};
+
+const hasMilestoneInProgress = async (transaction) => {
+  if (transaction.escrow_balance == null) return false;
+  const { milestones, error } = await listMilestones(transaction.id);
+  if (error) throw error;
+  return milestones.some((milestone) => milestone.status === MILESTONE.PROCESSING);
+};
+
+/**
+ * Put a resolved dispute back in front of the admins when its decision could
+ * not be carried out, re-freezing the escrow if it had been handed back.
+ * Returns false when the money has already moved on (its own retry paths
+ * apply then).
+ */
+const reopenDispute = async (dispute, reason) => {
+  const { transaction, error } = await getTransaction(dispute.transaction_id);
+  if (error) throw error;
+
+  if (transaction.status === TRANSACTION_STATUS.HELD_IN_ESCROW) {
+    if (await hasMilestoneInProgress(transaction)) return false;
+
+    const { data: refrozen, error: freezeError } = await transitionTransaction({
+      match: { id: transaction.id },
+      from: TRANSACTION_STATUS.HELD_IN_ESCROW,
+      to: TRANSACTION_STATUS.DISPUTED,
+      reason: `Dispute reopened: ${reason}`,
+      metadata: { disputeId: dispute.id },
+    });
+    if (freezeError) throw freezeError;
+    if (!refrozen) return false;
+  } else if (transaction.status !== TRANSACTION_STATUS.DISPUTED) {
+    return false;
+  }
+
+  const { error: reopenError } = await updateDisputeIfMatches(
+    dispute.id,
+    { status: "resolved" },
+    {
+      status: "open",
+      resolution: null,
+      freelancer_amount: null,
+      client_amount: null,
+      resolved_by: null,
+      resolved_at: null,
+    },
+  );
+  if (reopenError) throw reopenError;
+
+  console.warn(`⚖️ Dispute ${dispute.id} reopened: ${reason}`);
+  return true;
+};
+
+/**
+ * Pay every milestone not yet paid (or being paid). Failures with an unknown
+ * outcome are left for manual review. Returns { queued, data }.
+ */
+const payRemainingMilestones = async (transaction, user) => {
+  const { milestones, error } = await listMilestones(transaction.id);
+  if (error) throw error;
+
+  const results = [];
+  for (const milestone of milestones) {
+    let payable = milestone;
+
+    if (
+      [MILESTONE.PENDING, MILESTONE.FAILED].includes(milestone.status) &&
+      !milestone.needs_manual_review
+    ) {
+      const { milestone: approved, error: approveError } =
+        await updateMilestoneIfStatus(milestone.id, milestone.status, {
+          status: MILESTONE.APPROVED,
+          approved_at: new Date().toISOString(),
+          approved_by: user?.id || null,
+        });
+      if (approveError) throw approveError;
+      payable = approved;
+    }
+
+    if (payable?.status !== MILESTONE.APPROVED) continue;
+    results.push(await payMilestone({ milestone: payable, transaction }));
+  }
+
+  return {
+    queued: results.some((result) => result.queued),
+    data: { milestones: results.map((result) => result.data) },
+  };
+};
+
+// Refund the client or pay the freelancer through the transaction's provider
+const carryOutDisputeDecision = async ({ dispute, transaction, user }) => {
+  const provider =
+    transaction.payment_provider === stripeProvider.name
+      ? stripeProvider
+      : mpesaProvider;
+
+  const { data: unfrozen, error } = await transitionTransaction({
+    match: { id: transaction.id },
+    from: TRANSACTION_STATUS.DISPUTED,
+    to: TRANSACTION_STATUS.HELD_IN_ESCROW,
+    reason: `Dispute resolved: ${dispute.resolution}`,
+    metadata: {
+      disputeId: dispute.id,
+      decision: dispute.resolution,
+      note: dispute.resolution_note,
+      resolvedBy: dispute.resolved_by,
+    },
+  });
+  if (error) throw error;
+  if (!unfrozen) {
+    throw paymentError(
+      "Transaction changed while resolving the dispute",
+      "TRANSACTION_CHANGED",
+      409,
+    );
+  }
+
+  if (dispute.resolution === "refund") {
+    const { data } = await provider.refund({
+      transaction: unfrozen,
+      reason: "Dispute resolved for the client",
+    });
+    return { queued: false, data };
+  }
+
+  if (provider === mpesaProvider && unfrozen.escrow_balance != null) {
+    return payRemainingMilestones(unfrozen, user);
+  }
+
+  const { queued, data } = await provider.release({
+    transaction: unfrozen,
+    user,
+    params: {},
+  });
+  return { queued: !!queued, data };
+};
+
+// Errors after which the split payout may have gone out, so the dispute stays
+// resolved with its payout processing rather than being reopened
+const SPLIT_PAYOUT_MAY_HAVE_MOVED = [
+  "DISPUTE_PAYOUT_UNRECORDED",
+  "DISPUTE_PAYOUT_UNCONFIRMED",
+];
+
+// Send the freelancer's part of a split; the transaction stays frozen until
+// the B2C result arrives (completeDisputePayout), whose status change records
+// the decision
+const startDisputeSplit = async ({ dispute, transaction, phoneNumber }) => {
+  const amount = Math.round(Number(dispute.freelancer_amount));
+
+  let b2cResponse;
+  try {
+    b2cResponse = await sendB2CPayment({
+      transactionId: transaction.id,
+      phoneNumber,
+      amount,
+      remarks: "Dispute settlement",
+      occasion: "Dispute",
+      purpose: "dispute_payout",
+    });
+  } catch (sendError) {
+    // Refused, or never sent: the dispute can be reopened
+    if (!sendError.originatorConversationID || isRejectedByDaraja(sendError)) {
+      throw sendError;
+    }
+
+    // No clear answer: its result, if any, still finds the dispute through
+    // the transaction (findDisputePayout), so leave it for manual review
+    console.error(
+      `⚠️ Dispute ${dispute.id} split payout got no clear answer:`,
+      sendError.response?.data || sendError.message,
+    );
+    reserveFloat(amount);
+    const { error } = await updateDisputeIfMatches(
+      dispute.id,
+      { payout_status: "processing" },
+      {
+        needs_manual_review: true,
+        payout_result_description: "Payout request outcome unknown",
+      },
+    );
+    if (error) {
+      console.error(`❌ Failed to flag dispute ${dispute.id}:`, error);
+    }
+    throw paymentError(
+      "The split payout request got no answer from M-Pesa; check the dispute before acting on it again",
+      "DISPUTE_PAYOUT_UNCONFIRMED",
+      502,
+    );
+  }
+  reserveFloat(amount);
+
+  const { error } = await updateDisputeIfMatches(
+    dispute.id,
+    { payout_status: "processing" },
+    { payout_conversation_id: b2cResponse.ConversationID },
+  );
+  // The payout is on its way, so the dispute must not be reopened; its result
+  // still finds the dispute through the transaction (findDisputePayout)
+  if (error) {
+    throw paymentError(
+      "The split payout was sent but could not be recorded; check the dispute before acting on it again",
+      "DISPUTE_PAYOUT_UNRECORDED",
+      500,
+      { conversationID: b2cResponse.ConversationID },
+    );
+  }
+
+  return {
+    queued: false,
+    data: {
+      freelancerAmount: amount,
+      clientAmount: Number(dispute.client_amount),
+      conversationID: b2cResponse.ConversationID,
+    },
+  };
+};
+
+// The dispute a split payout result belongs to: by its ConversationID, or
+// when that was never saved, the transaction's split still awaiting one
+const findDisputePayout = async (conversationId, mpesaRequest) => {
+  const { dispute, error } = await getDispute({ conversationId });
+  if (error) throw error;
+  if (dispute || !mpesaRequest?.transaction_id) return dispute;
+
+  const { disputes, error: listError } = await listDisputes({
+    transactionId: mpesaRequest.transaction_id,
+    status: "resolved",
+  });
+  if (listError) throw listError;
+
+  return (
+    disputes.find(
+      (candidate) =>
+        candidate.resolution === "split" &&
+        candidate.payout_status === "processing" &&
+        !candidate.payout_conversation_id,
+    ) || null
+  );
+};
+
+/**
+ * Apply the B2C result (or timeout) of a split's freelancer payout. Once paid,
+ * the escrow is handed back with the client's part left in it and refunded.
+ * A definite failure reopens the dispute; a timeout may still have paid, so
+ * it is left for manual review.
+ */
+const completeDisputePayout = async (
+  Result,
+  mpesaRequest,
+  succeeded,
+  { timedOut = false } = {},
+) => {
+  const conversationId = Result?.ConversationID || mpesaRequest?.conversation_id;
+  const dispute = await findDisputePayout(conversationId, mpesaRequest);
+
+  // Fails the event so it can be replayed once the ConversationID is stored
+  if (!dispute) {
+    throw new Error(`No dispute for payout ${conversationId}`);
+  }
+
+  if (!succeeded) {
+    const description =
+      Result?.ResultDesc || (timedOut ? "B2C request timed out" : "Payout failed");
+    const { dispute: failed, error: failError } = await updateDisputeIfMatches(
+      dispute.id,
+      { payout_status: "processing" },
+      {
+        payout_status: "failed",
+        needs_manual_review: timedOut,
+        payout_result_description: description,
+      },
+    );
+    if (failError) throw failError;
+    if (!failed) {
+      console.log(`Dispute payout result for ${dispute.id} ignored`);
+      return;
+    }
+
+    if (!timedOut) {
+      await reopenDispute(failed, `split payout failed: ${description}`);
+    } else {
+      console.warn(`⚠️ Dispute ${dispute.id} payout needs manual review`);
+    }
+    return;
+  }
+
+  const receipt =
+    Result.TransactionID || getResultParameters(Result).TransactionReceipt;
+  const { dispute: paid, error: paidError } = await updateDisputeIfMatches(
+    dispute.id,
+    { payout_status: "processing" },
+    {
+      payout_status: "paid",
+      needs_manual_review: false,
+      payout_conversation_id: dispute.payout_conversation_id || conversationId,
+      payout_receipt: receipt || null,
+      payout_result_description: Result.ResultDesc,
+    },
+  );
+  if (paidError) throw paidError;
+  if (!paid) {
+    console.log(`Dispute payout result for ${dispute.id} ignored`);
+    return;
+  }
+
+  const freelancerAmount = Number(paid.freelancer_amount);
+  const clientAmount = Number(paid.client_amount);
+
+  const { data: unfrozen, error: unfreezeError } = await transitionTransaction({
+    match: { id: paid.transaction_id },
+    from: TRANSACTION_STATUS.DISPUTED,
+    to: TRANSACTION_STATUS.HELD_IN_ESCROW,
+    updates: {
+      payout_amount: freelancerAmount,
+      mpesa_transaction_id: receipt || null,
+    },
+    reason: `Dispute split: ${freelancerAmount} KES paid to the freelancer`,
+    metadata: {
+      disputeId: paid.id,
+      decision: "split",
+      freelancerAmount,
+      clientAmount,
+      receipt,
+      note: paid.resolution_note,
+      resolvedBy: paid.resolved_by,
+    },
+  });
+  if (unfreezeError) throw unfreezeError;
+  if (!unfrozen) return;
+
+  try {
+    await refundByMpesa({
+      transaction: unfrozen,
+      amount: clientAmount,
+      reason: "Dispute settlement",
+    });
+  } catch (refundError) {
+    // Left held_in_escrow (or refund_failed) for an admin to refund
+    console.error(
+      `❌ Dispute ${paid.id} refund could not be started:`,
+      refundError.response?.data || refundError.message,
+    );
+  }
+};
+
+registerB2CPurpose("dispute_payout", {
+  result: completeDisputePayout,
+  timeout: (Result, mpesaRequest) =>
+    completeDisputePayout(Result, mpesaRequest, false, { timedOut: true }),
+});
+
+/**
+ * @route   POST /mpesa/transactions/:transactionId/disputes
+ * @desc    Contest an escrowed payment: { reason, statement?, evidenceUrls? }.
+ *          Freezes the transaction until an admin resolves the dispute.
+ * @access  Private (client or freelancer on the transaction, or admin)
+ */
+router.post(
+  "/transactions/:transactionId/disputes",
+  requireAuth,
+  async (req, res) => {
+    try {
+      const transaction = await loadParticipantTransaction(
+        req.params.transactionId,
+        req.user,
+        { clientOnly: false },
+      );
+      const { reason } = req.body || {};
+
+      if (typeof reason !== "string" || !reason.trim() || reason.length > 1000) {
+        throw paymentError(
+          "reason is required (at most 1000 characters)",
+          "INVALID_REASON",
+        );
+      }
+      const opening = req.body.statement ? parseStatement(req.body) : null;
+
+      if (transaction.status !== TRANSACTION_STATUS.HELD_IN_ESCROW) {
+        throw paymentError(
+          `Only escrowed payments can be disputed (status: ${transaction.status})`,
+          "NOT_DISPUTABLE",
+          409,
+        );
+      }
+
+      if (await hasMilestoneInProgress(transaction)) {
+        throw paymentError(
+          "A milestone payout is in progress; open the dispute once it has completed",
+          "MILESTONE_IN_PROGRESS",
+          409,
+        );
+      }
+
+      const role = disputeRole(transaction, req.user);
+
+      // Freeze first, so nothing can be released while the dispute is recorded
+      const { data: frozen, error: freezeError } = await transitionTransaction({
+        match: { id: transaction.id },
+        from: TRANSACTION_STATUS.HELD_IN_ESCROW,
+        to: TRANSACTION_STATUS.DISPUTED,
+        updates: { payout_queued_at: null },
+        reason: `Dispute opened by the ${role}: ${reason.trim()}`,
+        metadata: { openedBy: req.user.id },
+      });
+      if (freezeError) throw freezeError;
+      if (!frozen) {
+        throw paymentError(
+          "Transaction changed while opening the dispute",
+          "TRANSACTION_CHANGED",
+          409,
+        );
+      }
+
+      const { dispute, error } = await createDispute({
+        transactionId: transaction.id,
+        openedBy: req.user.id,
+        reason: reason.trim(),
+      });
+      if (error) {
+        await transitionTransaction({
+          match: { id: transaction.id },
+          from: TRANSACTION_STATUS.DISPUTED,
+          to: TRANSACTION_STATUS.HELD_IN_ESCROW,
+          reason: "Dispute could not be recorded",
+        });
+        throw error;
+      }
+
+      const statements = [];
+      if (opening) {
+        const { statement, error: statementError } = await addDisputeStatement({
+          disputeId: dispute.id,
+          authorId: req.user.id,
+          authorRole: role,
+          ...opening,
+        });
+        if (statementError) throw statementError;
+        statements.push(statement);
+      }
+
+      console.log(`⚖️ Dispute ${dispute.id} opened on ${transaction.id}`);
+      res.status(201).json({
+        status: "success",
+        message: "Dispute opened. The payment is frozen until it is resolved.",
+        data: toDispute({ ...dispute, statements }),
+      });
+    } catch (error) {
+      sendEscrowError(res, error, "Failed to open dispute");
+    }
+  },
+);
+
+/**
+ * @route   GET /mpesa/transactions/:transactionId/disputes
+ * @desc    Disputes on a transaction with their statements and evidence
+ * @access  Private (client or freelancer on the transaction, or admin)
+ */
+router.get(
+  "/transactions/:transactionId/disputes",
+  requireAuth,
+  async (req, res) => {
+    try {
+      const transaction = await loadParticipantTransaction(
+        req.params.transactionId,
+        req.user,
+        { clientOnly: false },
+      );
+
+      const { disputes, error } = await listDisputes({
+        transactionId: transaction.id,
+      });
+      if (error) throw error;
+
+      res.status(200).json({
+        status: "success",
+        data: disputes.map(toDispute),
+      });
+    } catch (error) {
+      sendEscrowError(res, error, "Failed to load disputes");
+    }
+  },
+);
+
+/**
+ * @route   POST /mpesa/disputes/:disputeId/statements
+ * @desc    Add a statement with evidence links to an open dispute:
+ *          { statement, evidenceUrls? }
+ * @access  Private (client or freelancer on the transaction, or admin)
+ */
+router.post("/disputes/:disputeId/statements", requireAuth, async (req, res) => {
+  try {
+    const { dispute, error } = await getDispute({ id: req.params.disputeId });
+    if (error || !dispute) {
+      throw paymentError("Dispute not found", "NOT_FOUND", 404);
+    }
+
+    const transaction = await loadParticipantTransaction(
+      dispute.transaction_id,
+      req.user,
+      { clientOnly: false },
+    );
+
+    if (dispute.status !== "open") {
+      throw paymentError("This dispute is closed", "DISPUTE_CLOSED", 409);
+    }
+
+    const { statement, error: statementError } = await addDisputeStatement({
+      disputeId: dispute.id,
+      authorId: req.user.id,
+      authorRole: disputeRole(transaction, req.user),
+      ...parseStatement(req.body),
+    });
+    if (statementError) throw statementError;
+
+    res.status(201).json({
+      status: "success",
+      message: "Statement added",
+      data: toDispute({ ...dispute, statements: [statement] }).statements[0],
+    });
+  } catch (error) {
+    sendEscrowError(res, error, "Failed to add statement");
+  }
+});
+
+/**
+ * @route   GET /mpesa/disputes
+ * @desc    Disputes for review, newest first (?status=open|resolved)
+ * @access  Admin
+ */
+router.get("/disputes", requireAdmin, async (req, res) => {
+  const { disputes, error } = await listDisputes({
+    status: req.query.status,
+    limit: Math.min(Number(req.query.limit) || 50, 200),
+  });
+
+  if (error) {
+    return res.status(500).json({
+      status: "error",
+      message: "Failed to load disputes",
+    });
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: disputes.map(toDispute),
+  });
+});
+
+/**
+ * @route   POST /mpesa/disputes/:disputeId/resolve
+ * @desc    Resolve a dispute: { decision: "refund" | "pay" | "split",
+ *          freelancerAmount (split, whole KES), note? }. refund and pay go
+ *          through the transaction's provider; split pays freelancerAmount
+ *          by B2C and refunds the rest of the escrow to the client. Every
+ *          decision is recorded in the transaction's status history once
+ *          carried out.
+ * @access  Admin
+ */
+router.post("/disputes/:disputeId/resolve", requireAdmin, async (req, res) => {
+  try {
+    const { decision, freelancerAmount, note } = req.body || {};
+
+    if (!DISPUTE_DECISIONS.includes(decision)) {
+      throw paymentError(
+        `decision must be one of: ${DISPUTE_DECISIONS.join(", ")}`,
+        "INVALID_DECISION",
+      );
+    }
+
+    const { dispute, error } = await getDispute({ id: req.params.disputeId });
+    if (error || !dispute) {
+      throw paymentError("Dispute not found", "NOT_FOUND", 404);
+    }
+    if (dispute.status !== "open") {
+      throw paymentError("This dispute is already resolved", "DISPUTE_CLOSED", 409);
+    }
+
+    const { transaction, error: transactionError } = await getTransaction(
+      dispute.transaction_id,
+    );
+    if (transactionError) throw transactionError;
+    if (transaction.status !== TRANSACTION_STATUS.DISPUTED) {
+      throw paymentError(
+        `Transaction is not frozen (status: ${transaction.status})`,
+        "NOT_DISPUTED",
+        409,
+      );
+    }
+
+    // Check what the decision needs before anything is claimed
+    let amounts = {};
+    let phoneNumber;
+    const mpesa = transaction.payment_provider !== stripeProvider.name;
+
+    if (decision === "split") {
+      if (!mpesa) {
+        throw paymentError(
+          "Split resolutions are only available for M-Pesa payments",
+          "SPLIT_UNSUPPORTED",
+          409,
+        );
+      }
+
+      const escrow =
+        transaction.escrow_balance != null
+          ? Math.round(Number(transaction.escrow_balance))
+          : escrowedPayout(transaction);
+      const share = Number(freelancerAmount);
+      if (!Number.isInteger(share) || share < 10 || escrow - share < 10) {
+        throw paymentError(
+          `freelancerAmount must be a whole amount leaving both sides at least 10 KES of the ${escrow} KES in escrow`,
+          "INVALID_AMOUNT",
+          400,
+          { escrow },
+        );
+      }
+      amounts = { freelancer_amount: share, client_amount: escrow - share };
+    }
+
+    if (mpesa && decision !== "refund") {
+      phoneNumber = await resolvePayoutNumber(transaction.freelancer_id);
+    }
+
+    // Claim the decision so two admins cannot resolve the same dispute
+    const { dispute: resolved, error: resolveError } =
+      await updateDisputeIfMatches(
+        dispute.id,
+        { status: "open" },
+        {
+          status: "resolved",
+          resolution: decision,
+          ...amounts,
+          resolution_note: note || null,
+          resolved_by: req.user?.id || null,
+          resolved_at: new Date().toISOString(),
+          payout_status: decision === "split" ? "processing" : null,
+          payout_conversation_id: null,
+          needs_manual_review: false,
+        },
+      );
+    if (resolveError) throw resolveError;
+    if (!resolved) {
+      throw paymentError("This dispute is already resolved", "DISPUTE_CLOSED", 409);
+    }
+
+    let result;
+    try {
+      result =
+        decision === "split"
+          ? await startDisputeSplit({ dispute: resolved, transaction, phoneNumber })
+          : await carryOutDisputeDecision({
+              dispute: resolved,
+              transaction,
+              user: req.user,
+            });
+    } catch (carryOutError) {
+      if (!SPLIT_PAYOUT_MAY_HAVE_MOVED.includes(carryOutError.code)) {
+        await reopenDispute(resolved, carryOutError.message);
+      }
+      throw carryOutError;
+    }
+
+    const values = {
+      reference: projectReference(transaction),
+      decision,
+      freelancerAmount: formatAmount(amounts.freelancer_amount),
+      clientAmount: formatAmount(amounts.client_amount),
+    };
+    [transaction.client_id, transaction.freelancer_id].forEach((userId) =>
+      notifyUser({
+        userId,
+        type: "dispute_resolved",
+        values,
+        transactionId: transaction.id,
+        data: { disputeId: dispute.id, decision },
+      }),
+    );
+
+    console.log(`⚖️ Dispute ${dispute.id} resolved: ${decision}`);
+    res.status(result.queued ? 202 : 200).json({
+      status: result.queued ? "queued" : "success",
+      message: `Dispute resolved: ${decision}`,
+      data: { dispute: toDispute(resolved), [decision]: result.data },
+    });
+  } catch (error) {
+    sendEscrowError(res, error, "Failed to resolve dispute");
+  }
+});
+
+export default router;
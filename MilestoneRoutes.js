@@ -0,0 +1,648 @@
+import express from "express";
+import { isAdmin, requireAuth } from "./auth.js";
+import {
+  escrowedPayout,
+  getApprovedMilestones,
+  getMilestone,
+  listMilestones,
+  MILESTONE,
+  replaceMilestones,
+  setEscrowBalance,
+  sumAmounts,
+  updateMilestoneIfStatus,
+} from "./milestones.js";
+import {
+  availableFloat,
+  checkPayoutFloat,
+  getResultParameters,
+  onFloatAvailable,
+  registerB2CPurpose,
+  reserveFloat,
+  sendB2CPayment,
+} from "./MpesaRoutes.js";
+import { formatAmount, notifyUser, projectReference } from "./notifications.js";
+import {
+  completeProject,
+  paymentError,
+  sendPaymentError,
+} from "./paymentProviders.js";
+import { resolvePayoutNumber } from "./payoutNumbers.js";
+import { getTransaction } from "./supabase.js";
+import {
+  TRANSACTION_STATUS,
+  transitionTransaction,
+} from "./transactionStatus.js";
+
+const router = express.Router();
+
+// ==================== MILESTONE PAYOUTS ====================
+// A contract paid in milestones: the freelancer's share of the escrowed
+// payment is split into milestones the client approves one at a time, each
+// paid out by its own B2C request. The transaction stays held_in_escrow while
+// escrow_balance counts down, and is released (and the project completed)
+// with the last milestone.
+
+const MAX_MILESTONES = 20;
+
+const toMilestone = (milestone) => ({
+  id: milestone.id,
+  position: milestone.position,
+  title: milestone.title,
+  amount: Number(milestone.amount),
+  status: milestone.status,
+  approvedAt: milestone.approved_at,
+  releasedAt: milestone.released_at,
+  receipt: milestone.mpesa_transaction_id,
+  failureReason:
+    milestone.status === MILESTONE.FAILED
+      ? milestone.b2c_result_description
+      : null,
+  needsManualReview: milestone.needs_manual_review,
+});
+
+const toMilestonePlan = (transaction, milestones) => {
+  const total = escrowedPayout(transaction);
+  const released = sumAmounts(
+    milestones.filter((milestone) => milestone.status === MILESTONE.RELEASED),
+  );
+  return {
+    transactionId: transaction.id,
+    status: transaction.status,
+    escrow: { total, released, balance: total - released },
+    milestones: milestones.map(toMilestone),
+  };
+};
+
+/**
+ * Load a transaction the user may act on: its client (or an admin), or with
+ * clientOnly false also its freelancer. Throws paymentError otherwise.
+ */
+export const loadParticipantTransaction = async (transactionId, user, { clientOnly }) => {
+  const { transaction, error } = await getTransaction(transactionId);
+  if (error || !transaction) {
+    throw paymentError("Transaction not found", "NOT_FOUND", 404);
+  }
+
+  const allowed =
+    isAdmin(user) ||
+    transaction.client_id === user.id ||
+    (!clientOnly && transaction.freelancer_id === user.id);
+  if (!allowed) {
+    throw paymentError(
+      clientOnly
+        ? "Only the client on this transaction can manage its milestones"
+        : "You cannot access this transaction",
+      "FORBIDDEN",
+      403,
+    );
+  }
+
+  return transaction;
+};
+
+/**
+ * Send an approved milestone's payout to the freelancer's verified number.
+ * It stays approved (queued) while the float cannot cover it unless forced.
+ * Returns { queued, data }.
+ */
+export const payMilestone = async ({ milestone, transaction, force }) => {
+  if (transaction.status !== TRANSACTION_STATUS.HELD_IN_ESCROW) {
+    throw paymentError(
+      `Only escrowed payments can be released (status: ${transaction.status})`,
+      "NOT_RELEASABLE",
+      409,
+    );
+  }
+
+  const amount = Math.round(Number(milestone.amount));
+  const phoneNumber = await resolvePayoutNumber(transaction.freelancer_id);
+
+  const float = force ? { sufficient: true } : await checkPayoutFloat(amount);
+  if (!float.sufficient) {
+    return {
+      queued: true,
+      data: {
+        milestoneId: milestone.id,
+        availableBalance: float.available,
+      },
+    };
+  }
+
+  // Claim the payout before any money moves
+  const { milestone: claimed, error: claimError } =
+    await updateMilestoneIfStatus(milestone.id, MILESTONE.APPROVED, {
+      status: MILESTONE.PROCESSING,
+      payout_phone_number: phoneNumber,
+      payout_attempts: (milestone.payout_attempts || 0) + 1,
+      mpesa_conversation_id: null,
+      b2c_result_code: null,
+      b2c_result_description: null,
+    });
+  if (claimError) throw claimError;
+  if (!claimed) {
+    throw paymentError(
+      "This milestone's payout is already in progress",
+      "MILESTONE_NOT_APPROVED",
+      409,
+    );
+  }
+
+  let b2cResponse;
+  try {
+    b2cResponse = await sendB2CPayment({
+      transactionId: transaction.id,
+      phoneNumber,
+      amount,
+      remarks: `Milestone ${milestone.position}: ${milestone.title}`.slice(0, 100),
+      occasion: "Milestone payment",
+      purpose: "milestone_payout",
+    });
+  } catch (sendError) {
+    await updateMilestoneIfStatus(milestone.id, MILESTONE.PROCESSING, {
+      status: MILESTONE.FAILED,
+      failed_at: new Date().toISOString(),
+      b2c_result_description: "Payout request could not be sent",
+    });
+    throw sendError;
+  }
+  reserveFloat(amount);
+
+  const { error: updateError } = await updateMilestoneIfStatus(
+    milestone.id,
+    MILESTONE.PROCESSING,
+    { mpesa_conversation_id: b2cResponse.ConversationID },
+  );
+  if (updateError) {
+    console.error("Failed to record milestone ConversationID:", updateError);
+  }
+
+  return {
+    queued: false,
+    data: {
+      milestoneId: milestone.id,
+      amount,
+      conversationID: b2cResponse.ConversationID,
+      responseDescription: b2cResponse.ResponseDescription,
+    },
+  };
+};
+
+/**
+ * Recount the escrow balance after a milestone is released. With the last
+ * milestone the transaction is released and the project completed.
+ */
+const settleMilestoneEscrow = async (transactionId) => {
+  const { transaction, error } = await getTransaction(transactionId);
+  if (error) throw error;
+
+  const { milestones, error: listError } = await listMilestones(transactionId);
+  if (listError) throw listError;
+
+  const released = milestones.filter(
+    (milestone) => milestone.status === MILESTONE.RELEASED,
+  );
+  const balance = escrowedPayout(transaction) - sumAmounts(released);
+
+  const { error: balanceError } = await setEscrowBalance(transactionId, balance);
+  if (balanceError) throw balanceError;
+
+  if (released.length < milestones.length) {
+    console.log(
+      `💰 Milestone released for ${transactionId}; ${balance} KES still in escrow`,
+    );
+    return;
+  }
+
+  const { error: releaseError } = await transitionTransaction({
+    match: { id: transactionId },
+    from: TRANSACTION_STATUS.HELD_IN_ESCROW,
+    to: TRANSACTION_STATUS.RELEASED,
+    updates: { escrow_balance: balance, payout_amount: sumAmounts(released) },
+    reason: "Last milestone released",
+    metadata: { milestones: milestones.length },
+    via: "milestone_settlement",
+  });
+  if (releaseError) throw releaseError;
+
+  await completeProject(transaction);
+};
+
+/**
+ * Apply a milestone payout's B2C result or timeout. A timeout leaves the
+ * outcome unknown, so the milestone fails for manual review rather than
+ * being paid again.
+ */
+const completeMilestonePayout = async (
+  Result,
+  mpesaRequest,
+  succeeded,
+  { timedOut = false } = {},
+) => {
+  const conversationId = Result?.ConversationID || mpesaRequest?.conversation_id;
+  const { milestone, error } = await getMilestone({ conversationId });
+  if (error) throw error;
+
+  // Fails the event so it can be replayed once the ConversationID is stored
+  if (!milestone) {
+    throw new Error(`No milestone for payout ${conversationId}`);
+  }
+
+  const { transaction, error: transactionError } = await getTransaction(
+    milestone.transaction_id,
+  );
+  if (transactionError) throw transactionError;
+
+  if (!succeeded) {
+    const { milestone: failed, error: failError } =
+      await updateMilestoneIfStatus(milestone.id, MILESTONE.PROCESSING, {
+        status: MILESTONE.FAILED,
+        failed_at: new Date().toISOString(),
+        needs_manual_review: timedOut,
+        b2c_result_code: timedOut ? "timeout" : String(Result?.ResultCode),
+        b2c_result_description:
+          Result?.ResultDesc || (timedOut ? "B2C request timed out" : null),
+      });
+    if (failError) throw failError;
+    if (!failed) {
+      console.log(`Milestone ${milestone.id} result ignored: not processing`);
+      return;
+    }
+
+    console.log(`❌ Milestone payout failed: ${milestone.id}`);
+    notifyUser({
+      userId: transaction.freelancer_id,
+      type: "payout_failed",
+      values: {
+        amount: formatAmount(milestone.amount),
+        reference: projectReference(transaction),
+      },
+      transactionId: transaction.id,
+      data: { milestoneId: milestone.id, amount: Number(milestone.amount) },
+    });
+    return;
+  }
+
+  const receipt =
+    Result.TransactionID || getResultParameters(Result).TransactionReceipt;
+  const { milestone: released, error: releaseError } =
+    await updateMilestoneIfStatus(milestone.id, MILESTONE.PROCESSING, {
+      status: MILESTONE.RELEASED,
+      released_at: new Date().toISOString(),
+      mpesa_transaction_id: receipt || null,
+      b2c_result_code: "0",
+      b2c_result_description: Result.ResultDesc,
+    });
+  if (releaseError) throw releaseError;
+  if (!released) {
+    console.log(`Milestone ${milestone.id} result ignored: not processing`);
+    return;
+  }
+
+  await settleMilestoneEscrow(milestone.transaction_id);
+
+  notifyUser({
+    userId: transaction.freelancer_id,
+    type: "milestone_released",
+    values: {
+      amount: formatAmount(milestone.amount),
+      receipt,
+      reference: projectReference(transaction),
+      milestone: milestone.title,
+    },
+    transactionId: transaction.id,
+    data: {
+      milestoneId: milestone.id,
+      amount: Number(milestone.amount),
+      receipt: receipt || null,
+    },
+  });
+};
+
+registerB2CPurpose("milestone_payout", {
+  result: completeMilestonePayout,
+  timeout: (Result, mpesaRequest) =>
+    completeMilestonePayout(Result, mpesaRequest, false, { timedOut: true }),
+});
+
+// Send approved milestones, oldest approval first, while the float covers them
+const dispatchApprovedMilestones = async () => {
+  const { milestones, error } = await getApprovedMilestones();
+  if (error) throw error;
+
+  for (const milestone of milestones) {
+    // Frozen by a dispute (or refunded): not ours to pay any more
+    if (milestone.transaction?.status !== TRANSACTION_STATUS.HELD_IN_ESCROW) {
+      continue;
+    }
+
+    const available = availableFloat();
+    if (available < Number(milestone.amount)) break;
+
+    try {
+      await payMilestone({
+        milestone,
+        transaction: milestone.transaction,
+        force: true,
+      });
+      console.log(`📤 Approved milestone sent: ${milestone.id}`);
+    } catch (sendError) {
+      console.error(
+        `Approved milestone ${milestone.id} failed to send:`,
+        sendError.response?.data || sendError.message,
+      );
+    }
+  }
+};
+
+// Approved milestones go out once the float covers them again
+onFloatAvailable(dispatchApprovedMilestones);
+
+// Errors from the milestone and dispute routes
+export const sendEscrowError = (res, error, message) => {
+  if (sendPaymentError(res, error)) return;
+
+  if (error.code === "STRIPE_ERROR") {
+    return res.status(502).json({
+      status: "error",
+      message: `${message}: ${error.message}`,
+      error: error.stripeCode || error.code,
+    });
+  }
+
+  console.error(`${message}:`, error.response?.data || error.message);
+  res.status(500).json({
+    status: "error",
+    message,
+    error: error.response?.data || error.message,
+  });
+};
+
+/**
+ * @route   POST /mpesa/transactions/:transactionId/milestones
+ * @desc    Split the freelancer's share of an M-Pesa payment into milestones:
+ *          { milestones: [{ title, amount }] }, amounts in whole KES adding
+ *          up to the escrowed payout. Replaces earlier milestones as long
+ *          as none has been approved.
+ * @access  Private (client on the transaction, or admin)
+ */
+router.post(
+  "/transactions/:transactionId/milestones",
+  requireAuth,
+  async (req, res) => {
+    try {
+      const transaction = await loadParticipantTransaction(
+        req.params.transactionId,
+        req.user,
+        { clientOnly: true },
+      );
+      const list = req.body?.milestones;
+
+      if (transaction.payment_provider && transaction.payment_provider !== "mpesa") {
+        throw paymentError(
+          "Milestone payouts are only available for M-Pesa payments",
+          "MILESTONES_UNSUPPORTED",
+          409,
+        );
+      }
+
+      if (
+        ![TRANSACTION_STATUS.PENDING, TRANSACTION_STATUS.HELD_IN_ESCROW].includes(
+          transaction.status,
+        ) ||
+        transaction.payout_queued_at
+      ) {
+        throw paymentError(
+          `Milestones cannot be changed now (status: ${transaction.status})`,
+          "NOT_EDITABLE",
+          409,
+        );
+      }
+
+      const valid =
+        Array.isArray(list) &&
+        list.length > 0 &&
+        list.length <= MAX_MILESTONES &&
+        list.every(
+          ({ title, amount } = {}) =>
+            typeof title === "string" &&
+            title.trim().length > 0 &&
+            title.length <= 200 &&
+            Number.isInteger(Number(amount)) &&
+            Number(amount) >= 10,
+        );
+      if (!valid) {
+        throw paymentError(
+          `milestones must be 1 to ${MAX_MILESTONES} items of { title, amount } with whole amounts of at least 10 KES`,
+          "INVALID_MILESTONES",
+        );
+      }
+
+      const total = escrowedPayout(transaction);
+      if (sumAmounts(list) !== total) {
+        throw paymentError(
+          `Milestone amounts must add up to the escrowed payout of ${total} KES`,
+          "AMOUNT_MISMATCH",
+          400,
+          { expected: total },
+        );
+      }
+
+      const { milestones: existing, error: listError } = await listMilestones(
+        transaction.id,
+      );
+      if (listError) throw listError;
+      if (existing.some((milestone) => milestone.status !== MILESTONE.PENDING)) {
+        throw paymentError(
+          "Milestones cannot be changed once one has been approved",
+          "MILESTONES_LOCKED",
+          409,
+        );
+      }
+
+      const { milestones, error } = await replaceMilestones(
+        transaction.id,
+        list.map(({ title, amount }) => ({
+          title: title.trim(),
+          amount: Number(amount),
+        })),
+        total,
+      );
+      if (error) throw error;
+
+      res.status(201).json({
+        status: "success",
+        message: "Milestones saved",
+        data: toMilestonePlan(transaction, milestones),
+      });
+    } catch (error) {
+      sendEscrowError(res, error, "Failed to save milestones");
+    }
+  },
+);
+
+/**
+ * @route   GET /mpesa/transactions/:transactionId/milestones
+ * @desc    Milestones of a transaction and how much is still in escrow
+ * @access  Private (client or freelancer on the transaction, or admin)
+ */
+router.get(
+  "/transactions/:transactionId/milestones",
+  requireAuth,
+  async (req, res) => {
+    try {
+      const transaction = await loadParticipantTransaction(
+        req.params.transactionId,
+        req.user,
+        { clientOnly: false },
+      );
+
+      const { milestones, error } = await listMilestones(transaction.id);
+      if (error) throw error;
+
+      res.status(200).json({
+        status: "success",
+        data: toMilestonePlan(transaction, milestones),
+      });
+    } catch (error) {
+      sendEscrowError(res, error, "Failed to load milestones");
+    }
+  },
+);
+
+/**
+ * Load the milestone in :milestoneId with its transaction, for its client or
+ * an admin. Admins may pass force: true to skip the float guard.
+ */
+const loadMilestoneForRelease = async (req) => {
+  if (req.body?.force && !isAdmin(req.user)) {
+    throw paymentError("Only admins can force payouts", "FORBIDDEN", 403);
+  }
+
+  const { milestone, error } = await getMilestone({
+    id: req.params.milestoneId,
+  });
+  if (error || !milestone) {
+    throw paymentError("Milestone not found", "NOT_FOUND", 404);
+  }
+
+  const transaction = await loadParticipantTransaction(
+    milestone.transaction_id,
+    req.user,
+    { clientOnly: true },
+  );
+  return { milestone, transaction };
+};
+
+const sendMilestonePayoutResult = (res, { queued, data }) =>
+  res.status(queued ? 202 : 200).json({
+    status: queued ? "queued" : "success",
+    message: queued
+      ? "Insufficient B2C float. Milestone payout queued until the account is topped up."
+      : "Milestone payout initiated",
+    data,
+  });
+
+/**
+ * @route   POST /mpesa/milestones/:milestoneId/approve
+ * @desc    Approve a milestone and pay it out to the freelancer's verified
+ *          number (202 when queued on a low float)
+ * @access  Private (client on the transaction, or admin)
+ */
+router.post("/milestones/:milestoneId/approve", requireAuth, async (req, res) => {
+  try {
+    const { milestone, transaction } = await loadMilestoneForRelease(req);
+
+    if (transaction.status !== TRANSACTION_STATUS.HELD_IN_ESCROW) {
+      throw paymentError(
+        `Only escrowed payments can be released (status: ${transaction.status})`,
+        "NOT_RELEASABLE",
+        409,
+      );
+    }
+
+    const { milestone: approved, error } = await updateMilestoneIfStatus(
+      milestone.id,
+      MILESTONE.PENDING,
+      {
+        status: MILESTONE.APPROVED,
+        approved_at: new Date().toISOString(),
+        approved_by: req.user.id,
+      },
+    );
+    if (error) throw error;
+    if (!approved) {
+      throw paymentError(
+        `Milestone is already ${milestone.status}`,
+        "MILESTONE_NOT_PENDING",
+        409,
+      );
+    }
+
+    sendMilestonePayoutResult(
+      res,
+      await payMilestone({
+        milestone: approved,
+        transaction,
+        force: req.body?.force,
+      }),
+    );
+  } catch (error) {
+    sendEscrowError(res, error, "Failed to release milestone");
+  }
+});
+
+/**
+ * @route   POST /mpesa/milestones/:milestoneId/retry
+ * @desc    Send an approved milestone's payout now, or try a failed one
+ *          again. Failures with an unknown outcome (timeouts) are left to
+ *          admins, who must first check the payout did not go through.
+ * @access  Private (client on the transaction, or admin)
+ */
+router.post("/milestones/:milestoneId/retry", requireAuth, async (req, res) => {
+  try {
+    let { milestone, transaction } = await loadMilestoneForRelease(req);
+
+    if (milestone.needs_manual_review && !isAdmin(req.user)) {
+      throw paymentError(
+        "This payout needs to be checked by an admin first",
+        "NEEDS_MANUAL_REVIEW",
+        409,
+      );
+    }
+
+    if (transaction.status !== TRANSACTION_STATUS.HELD_IN_ESCROW) {
+      throw paymentError(
+        `Only escrowed payments can be released (status: ${transaction.status})`,
+        "NOT_RELEASABLE",
+        409,
+      );
+    }
+
+    if (milestone.status === MILESTONE.FAILED) {
+      const { milestone: requeued, error } = await updateMilestoneIfStatus(
+        milestone.id,
+        MILESTONE.FAILED,
+        { status: MILESTONE.APPROVED, needs_manual_review: false },
+      );
+      if (error) throw error;
+      milestone = requeued || milestone;
+    }
+
+    if (milestone.status !== MILESTONE.APPROVED) {
+      throw paymentError(
+        `Milestone is ${milestone.status}; only approved or failed payouts can be sent`,
+        "MILESTONE_NOT_APPROVED",
+        409,
+      );
+    }
+
+    sendMilestonePayoutResult(
+      res,
+      await payMilestone({ milestone, transaction, force: req.body?.force }),
+    );
+  } catch (error) {
+    sendEscrowError(res, error, "Failed to release milestone");
+  }
+});
+
+export default router;
@@ -2,20 +2,99 @@ import express from "express";
 import axios from "axios";
 import dotenv from "dotenv";
 import rateLimit from "express-rate-limit";
-import { supabase } from "./Client.js";
-import { updateProject } from "./supabase.js";
+import { isAdmin, requireAdmin, requireAuth } from "./auth.js";
+import { createCallbackToken, verifyMpesaCallback } from "./callbackAuth.js";
+import { ingestCallback, registerCallbackProcessor } from "./callbackEvents.js";
+import { getCommissionRate, splitPayment } from "./commission.js";
+import {
+  BASE_URL,
+  CALLBACK_BASE_URL,
+  generateAccessToken,
+  generatePassword,
+  getOperationProfile,
+  getProfile,
+  MPESA_CONFIG,
+} from "./daraja.js";
+import { getPaidSplit } from "./disputes.js";
+import { listMilestones, MILESTONE } from "./milestones.js";
+import "./notifications.js"; // sends payment notifications on status changes
+import { subscribeToTransaction } from "./paymentEvents.js";
+import {
+  completeProject,
+  openEscrowTransaction,
+  paymentError,
+  sendPaymentError,
+} from "./paymentProviders.js";
+import { resolvePayoutNumber } from "./payoutNumbers.js";
+import { SharedRateLimitStore, store } from "./store.js";
+import {
+  blockPhone,
+  failStkTransaction,
+  findMpesaRequestByCheckoutId,
+  findTransactionByReceipt,
+  getBlockedPhone,
+  getLatestBalanceSnapshot,
+  getQueuedPayouts,
+  getStalePendingStkTransactions,
+  getTransaction,
+  isMpesaReceipt,
+  linkPayoutConversation,
+  listBlockedPhones,
+  listNotifications,
+  markNotificationsRead,
+  queuePayout,
+  saveBalanceSnapshot,
+  saveStatusQueryResult,
+  unblockPhone,
+  updateMpesaRequest,
+  updatePendingPayout,
+  updateStkTransaction,
+  updateTransactionIfStatus,
+} from "./supabase.js";
+import {
+  TRANSACTION_STATUS,
+  transitionTransaction,
+} from "./transactionStatus.js";
 
 dotenv.config();
 
 const router = express.Router();
 
 // ==================== RATE LIMITING ====================
+
+const describeWait = (seconds) =>
+  seconds >= 120 ? `${Math.ceil(seconds / 60)} minutes` : `${seconds} seconds`;
+
+// 429 with a Retry-After header and a message saying when to come back
+export const sendRetryLater = (res, message, retryAfter, error = "TOO_MANY_REQUESTS") => {
+  res.set("Retry-After", String(retryAfter));
+  res.status(429).json({
+    status: "error",
+    message: `${message} Please try again in ${describeWait(retryAfter)}.`,
+    error,
+    retryAfter,
+  });
+};
+
+// Seconds until an express-rate-limit window resets
+export const limiterRetryAfter = (req, windowMs) =>
+  Math.max(
+    1,
+    Math.ceil(
+      ((req.rateLimit?.resetTime?.getTime() ?? Date.now() + windowMs) -
+        Date.now()) /
+        1000,
+    ),
+  );
+
 // M-Pesa allows 5 requests per 60 seconds - we use 4 to be safe
 const mpesaQueryLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute window
   max: 4, // Max 4 requests per window
   standardHeaders: true,
   legacyHeaders: false,
+  store: new SharedRateLimitStore("mpesa-query"),
+  passOnStoreError: true, // don't block payments if the store is down
   // Skip the keyGenerator - let express-rate-limit handle it properly
   handler: (req, res) => {
     console.warn("⚠️ Rate limit hit for query endpoint");
@@ -28,590 +107,2773 @@ const mpesaQueryLimiter = rateLimit({
   },
 });
 
-const mpesaStkLimiter = rateLimit({
+// Counted per signed-in user (after requireAuth), not per IP, so users
+// sharing a carrier NAT address don't block each other
+export const mpesaStkLimiter = rateLimit({
   windowMs: 60 * 1000,
   max: 3, // Max 3 STK pushes per minute
   standardHeaders: true,
   legacyHeaders: false,
+  store: new SharedRateLimitStore("mpesa-stk"),
+  passOnStoreError: true,
+  keyGenerator: (req) => `user:${req.user.id}`,
   handler: (req, res) => {
-    console.warn("⚠️ Rate limit hit for STK push");
-    res.status(429).json({
-      status: "error",
-      message: "Too many payment requests. Please wait before trying again.",
+    console.warn(`⚠️ Rate limit hit for STK push (user ${req.user.id})`);
+    sendRetryLater(
+      res,
+      "Too many payment requests.",
+      limiterRetryAfter(req, 60 * 1000),
+    );
+  },
+});
+
+// ==================== QUERY RESULT CACHE ====================
+// STK query answers, shared across instances; the store expires them
+const QUERY_CACHE_TTL = 10000; // Cache for 10 seconds
+const queryResultCache = {
+  get: (checkoutRequestID) => store.getJson(`stk-query:${checkoutRequestID}`),
+  set: (checkoutRequestID, data, ttlMs) =>
+    store.setJson(`stk-query:${checkoutRequestID}`, data, ttlMs),
+};
+
+// ==================== UTILITY FUNCTIONS ====================
+
+/**
+ * Format phone number to M-Pesa format (254XXXXXXXXX)
+ */
+export const formatPhoneNumber = (phone) => {
+  // Remove any spaces, dashes, or plus signs
+  let cleaned = phone.replace(/[\s\-+]/g, "");
+
+  // If starts with 0, replace with 254
+  if (cleaned.startsWith("0")) {
+    cleaned = "254" + cleaned.slice(1);
+  }
+
+  // If doesn't start with 254, add it
+  if (!cleaned.startsWith("254")) {
+    cleaned = "254" + cleaned;
+  }
+
+  return cleaned;
+};
+
+/**
+ * Send a B2C payment and register it for callback verification.
+ * Returns Daraja's response body (ConversationID, OriginatorConversationID...).
+ */
+export const sendB2CPayment = async ({
+  transactionId,
+  phoneNumber,
+  amount,
+  remarks,
+  occasion,
+  purpose,
+}) => {
+  const profile = getOperationProfile("b2c");
+
+  // Get access token
+  const accessToken = await generateAccessToken(profile.name);
+
+  // A fresh OriginatorConversationID on every attempt, including retries
+  const originatorConversationID = `B2C_${transactionId || "TX"}_${Date.now()}`;
+
+  // Register the request so only its own result/timeout is accepted
+  const { token: callbackToken, request: mpesaRequest } =
+    await createCallbackToken({
+      requestType: "b2c",
+      transactionId,
+      originatorConversationId: originatorConversationID,
+      purpose,
+    });
+
+  // B2C payload
+  const b2cPayload = {
+    OriginatorConversationID: originatorConversationID,
+    InitiatorName: profile.initiatorName,
+    SecurityCredential: profile.securityCredential,
+    CommandID: "BusinessPayment", // or "SalaryPayment" or "PromotionPayment"
+    Amount: Math.round(amount),
+    PartyA: profile.shortCode,
+    PartyB: phoneNumber,
+    Remarks: remarks || "Payment to freelancer",
+    QueueTimeOutURL: `${CALLBACK_BASE_URL}/callback/b2c-timeout/${callbackToken}`,
+    ResultURL: `${CALLBACK_BASE_URL}/callback/b2c-result/${callbackToken}`,
+    Occasion: occasion || "Freelancer Payment",
+  };
+
+  // Make B2C request. A failed send carries its OriginatorConversationID so
+  // the caller can ask Daraja whether the payment went out after all.
+  let response;
+  try {
+    response = await axios.post(
+      `${BASE_URL}/mpesa/b2c/v3/paymentrequest`,
+      b2cPayload,
+      {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          "Content-Type": "application/json",
+        },
+      }
+    );
+  } catch (error) {
+    error.originatorConversationID = originatorConversationID;
+    throw error;
+  }
+
+  const { error: requestError } = await updateMpesaRequest(mpesaRequest.id, {
+    conversation_id: response.data.ConversationID,
+  });
+  if (requestError) {
+    console.error("Failed to record ConversationID:", requestError);
+  }
+
+  return response.data;
+};
+
+// Only a 4xx answer with a Daraja error code means the request was refused.
+// Network errors, timeouts and 5xx leave it unknown whether money moved.
+export const isRejectedByDaraja = (error) => {
+  const status = error.response?.status;
+  return (
+    status >= 400 && status < 500 && Boolean(error.response.data?.errorCode)
+  );
+};
+
+/**
+ * Ask Daraja for the status of an earlier transaction. Pass the M-Pesa
+ * TransactionID when known, otherwise the OriginatorConversationID of the
+ * original request. The answer arrives on /callback/transaction-status-result.
+ */
+const queryTransactionStatus = async ({
+  transactionID,
+  originalConversationID,
+  transactionId,
+  purpose,
+  remarks,
+  profileName = getOperationProfile("transactionStatus").name,
+}) => {
+  const profile = getProfile(profileName);
+  const accessToken = await generateAccessToken(profile.name);
+
+  const { token: callbackToken, request: mpesaRequest } =
+    await createCallbackToken({
+      requestType: "transaction_status",
+      transactionId,
+      purpose,
     });
+
+  const statusPayload = {
+    Initiator: profile.initiatorName,
+    SecurityCredential: profile.securityCredential,
+    CommandID: "TransactionStatusQuery",
+    TransactionID: transactionID || "",
+    OriginalConversationID: originalConversationID || "",
+    PartyA: profile.shortCode,
+    IdentifierType: "4", // 4 = organisation shortcode
+    ResultURL: `${CALLBACK_BASE_URL}/callback/transaction-status-result/${callbackToken}`,
+    QueueTimeOutURL: `${CALLBACK_BASE_URL}/callback/transaction-status-timeout/${callbackToken}`,
+    Remarks: remarks || "Transaction status check",
+    Occasion: purpose || "Status check",
+  };
+
+  const response = await axios.post(
+    `${BASE_URL}/mpesa/transactionstatus/v1/query`,
+    statusPayload,
+    {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        "Content-Type": "application/json",
+      },
+      timeout: 15000,
+    }
+  );
+
+  const { error: requestError } = await updateMpesaRequest(mpesaRequest.id, {
+    conversation_id: response.data.ConversationID,
+    originator_conversation_id: response.data.OriginatorConversationID,
+  });
+  if (requestError) {
+    console.error("Failed to record status query IDs:", requestError);
+  }
+
+  return response.data;
+};
+
+// ==================== STK ABUSE PROTECTION ====================
+// Limits on prompts per target phone, a cooldown for phones and users whose
+// prompts keep getting cancelled, and a blocklist of abusive numbers.
+const STK_PHONE_WINDOW_MS =
+  Number(process.env.MPESA_STK_PHONE_WINDOW_MS) || 10 * 60 * 1000;
+const STK_PHONE_LIMIT = Number(process.env.MPESA_STK_PHONE_LIMIT) || 3;
+const STK_CANCEL_WINDOW_MS =
+  Number(process.env.MPESA_STK_CANCEL_WINDOW_MS) || 60 * 60 * 1000;
+const STK_CANCEL_LIMIT = Number(process.env.MPESA_STK_CANCEL_LIMIT) || 3;
+const STK_CANCEL_COOLDOWN_MS =
+  Number(process.env.MPESA_STK_CANCEL_COOLDOWN_MS) || 30 * 60 * 1000;
+const STK_CANCELLED_BY_USER = 1032;
+
+// However many accounts or IPs are used, one phone gets only so many prompts
+export const mpesaStkPhoneLimiter = rateLimit({
+  windowMs: STK_PHONE_WINDOW_MS,
+  max: STK_PHONE_LIMIT,
+  standardHeaders: true,
+  legacyHeaders: false,
+  store: new SharedRateLimitStore("mpesa-stk-phone"),
+  passOnStoreError: true,
+  skip: (req) => !req.body?.phoneNumber,
+  keyGenerator: (req) => `phone:${formatPhoneNumber(String(req.body.phoneNumber))}`,
+  handler: (req, res) => {
+    console.warn("⚠️ Rate limit hit for STK push target phone");
+    sendRetryLater(
+      res,
+      "Too many payment prompts have been sent to this phone number.",
+      limiterRetryAfter(req, STK_PHONE_WINDOW_MS),
+    );
   },
 });
 
-// ==================== ACCESS TOKEN CACHE ====================
-const ACCESS_TOKEN_BUFFER_MS = 60 * 1000; // refresh 1 minute early
-const accessTokenCache = {
-  token: null,
-  expiresAt: 0,
-  inFlight: null,
+const cooldownKeys = (phoneNumber, userId) =>
+  [
+    phoneNumber && `stk-cooldown:phone:${phoneNumber}`,
+    userId && `stk-cooldown:user:${userId}`,
+  ].filter(Boolean);
+
+/**
+ * Count a cancelled prompt (ResultCode 1032) against the phone and the user
+ * who sent it; too many within the window starts a cooldown for both.
+ */
+const recordStkCancellation = async (phoneNumber, userId) => {
+  for (const key of cooldownKeys(phoneNumber, userId)) {
+    const subject = key.replace("stk-cooldown:", "");
+    const count = await store.increment(
+      `stk-cancellations:${subject}`,
+      STK_CANCEL_WINDOW_MS,
+    );
+
+    if (count >= STK_CANCEL_LIMIT) {
+      await store.setJson(
+        key,
+        { until: Date.now() + STK_CANCEL_COOLDOWN_MS, cancellations: count },
+        STK_CANCEL_COOLDOWN_MS,
+      );
+      console.warn(`⚠️ STK cooldown started for ${subject} after ${count} cancellations`);
+    }
+  }
 };
-// Add this near the top with other caches
-const queryResultCache = new Map();
-const QUERY_CACHE_TTL = 10000; // Cache for 10 seconds
 
-// Helper to clean old cache entries
-setInterval(() => {
-  const now = Date.now();
-  for (const [key, value] of queryResultCache.entries()) {
-    if (now > value.expiresAt) {
-      queryResultCache.delete(key);
+/**
+ * Reject STK pushes to blocklisted numbers, and from phones or users
+ * cooling down after repeated cancellations. Runs after requireAuth.
+ */
+export const stkAbuseGuard = async (req, res, next) => {
+  try {
+    if (!req.body?.phoneNumber) return next(); // the route reports it
+
+    const phoneNumber = formatPhoneNumber(String(req.body.phoneNumber));
+
+    const { entry, error } = await getBlockedPhone(phoneNumber);
+    if (error) throw error;
+    if (entry) {
+      console.warn(`🚫 STK push to blocklisted number ${phoneNumber}`);
+      return res.status(403).json({
+        status: "error",
+        message:
+          "Payment prompts can't be sent to this phone number. Please contact support.",
+        error: "PHONE_BLOCKED",
+        ...(entry.expires_at ? { blockedUntil: entry.expires_at } : {}),
+      });
+    }
+
+    for (const key of cooldownKeys(phoneNumber, req.user.id)) {
+      const cooldown = await store.getJson(key);
+      if (cooldown?.until > Date.now()) {
+        return sendRetryLater(
+          res,
+          "Several recent payment prompts were cancelled, so new ones are paused.",
+          Math.ceil((cooldown.until - Date.now()) / 1000),
+          "STK_COOLDOWN",
+        );
+      }
     }
+
+    next();
+  } catch (error) {
+    console.error("STK abuse guard error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Failed to initiate STK Push",
+    });
   }
-}, 30000); // Clean every 30 seconds
-// ==================== M-PESA CONFIGURATION ====================
-const MPESA_CONFIG = {
-  consumerKey: process.env.MPESA_CONSUMER_KEY,
-  consumerSecret: process.env.MPESA_CONSUMER_SECRET,
-  shortCode: process.env.MPESA_SHORTCODE,
-  passKey: process.env.MPESA_PASSKEY,
-  initiatorName: process.env.MPESA_INITIATOR_NAME,
-  securityCredential: process.env.MPESA_SECURITY_CREDENTIAL,
-  environment: process.env.MPESA_ENVIRONMENT || "sandbox",
 };
 
-const BASE_URL =
-  MPESA_CONFIG.environment === "production"
-    ? "https://api.safaricom.co.ke"
-    : "https://sandbox.safaricom.co.ke";
+/**
+ * @route   GET /mpesa/stk-blocklist
+ * @desc    List numbers blocked from receiving STK prompts
+ * @access  Admin
+ */
+router.get("/stk-blocklist", requireAdmin, async (req, res) => {
+  try {
+    const { entries, error } = await listBlockedPhones();
+    if (error) throw error;
+
+    res.status(200).json({
+      status: "success",
+      data: entries,
+    });
+  } catch (error) {
+    console.error("Blocklist Error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Failed to load blocklist",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /mpesa/stk-blocklist
+ * @desc    Block a number from receiving STK prompts. Body: phoneNumber,
+ *          reason, optional expiresAt (ISO date; omit to block until removed)
+ * @access  Admin
+ */
+router.post("/stk-blocklist", requireAdmin, async (req, res) => {
+  try {
+    const { phoneNumber, reason, expiresAt } = req.body;
 
-const CALLBACK_BASE_URL =
-  process.env.CALLBACK_BASE_URL || "https://yourdomain.com/mpesa";
+    if (!phoneNumber) {
+      return res.status(400).json({
+        status: "error",
+        message: "Phone number is required",
+      });
+    }
 
-// ==================== UTILITY FUNCTIONS ====================
+    if (expiresAt && Number.isNaN(Date.parse(expiresAt))) {
+      return res.status(400).json({
+        status: "error",
+        message: "expiresAt must be an ISO date",
+      });
+    }
+
+    const { entry, error } = await blockPhone({
+      phoneNumber: formatPhoneNumber(String(phoneNumber)),
+      reason,
+      blockedBy: req.user?.id,
+      expiresAt,
+    });
+    if (error) throw error;
+
+    console.log(`🚫 Blocked ${entry.phone_number} from STK prompts`);
+    res.status(200).json({
+      status: "success",
+      data: entry,
+    });
+  } catch (error) {
+    console.error("Block Phone Error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Failed to block phone number",
+      error: error.message,
+    });
+  }
+});
 
 /**
- * Generate M-Pesa Access Token with caching
+ * @route   DELETE /mpesa/stk-blocklist/:phoneNumber
+ * @desc    Remove a number from the blocklist
+ * @access  Admin
  */
-const generateAccessToken = async () => {
-  const now = Date.now();
-  
-  // Return cached token if still valid
-  if (accessTokenCache.token && accessTokenCache.expiresAt > now) {
-    console.log("✅ Using cached access token");
-    return accessTokenCache.token;
+router.delete("/stk-blocklist/:phoneNumber", requireAdmin, async (req, res) => {
+  try {
+    const phoneNumber = formatPhoneNumber(req.params.phoneNumber);
+    const { error } = await unblockPhone(phoneNumber);
+    if (error) throw error;
+
+    res.status(200).json({
+      status: "success",
+      message: `${phoneNumber} removed from blocklist`,
+    });
+  } catch (error) {
+    console.error("Unblock Phone Error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Failed to unblock phone number",
+      error: error.message,
+    });
+  }
+});
+
+// ==================== CLIENT PAYMENT ROUTES (STK PUSH) ====================
+
+// An STK prompt stays on the phone for about a minute; don't stack new ones
+const STK_PROMPT_LIFETIME_MS = 2 * 60 * 1000;
+
+// Credential profile behind each STK payment channel (undefined when the
+// channel isn't configured)
+const STK_CHANNEL_PROFILES = {
+  paybill: () => getOperationProfile("stkPush"),
+  till: () => MPESA_CONFIG.profiles.till,
+};
+
+// Paybill account number for a project, also accepted for SIM toolkit (C2B)
+// payments
+export const mpesaAccountReference = (projectId) =>
+  `P${String(projectId).replace(/-/g, "").slice(0, 10).toUpperCase()}`;
+
+/**
+ * Prompt the client's phone to pay a pending transaction (the M-Pesa
+ * provider's collect). Refuses while an earlier prompt may still be on the
+ * phone. Returns { transaction, data }.
+ */
+export const collectByStkPush = async ({ transaction, user, params }) => {
+  const { phoneNumber, transactionDesc, paymentChannel = "paybill" } = params;
+
+  if (!phoneNumber) {
+    throw paymentError("Phone number is required", "VALIDATION_ERROR");
   }
 
-  // Wait for in-flight request if one exists
-  if (accessTokenCache.inFlight) {
-    console.log("⏳ Waiting for in-flight token request");
-    return accessTokenCache.inFlight;
+  if (!STK_CHANNEL_PROFILES[paymentChannel]) {
+    throw paymentError(
+      `paymentChannel must be one of: ${Object.keys(STK_CHANNEL_PROFILES).join(", ")}`,
+      "VALIDATION_ERROR",
+    );
   }
 
-  // Generate new token
-  accessTokenCache.inFlight = (async () => {
-    try {
-      console.log("🔄 Generating new access token...");
-      const auth = Buffer.from(
-        `${MPESA_CONFIG.consumerKey}:${MPESA_CONFIG.consumerSecret}`
-      ).toString("base64");
-
-      const response = await axios.get(
-        `${BASE_URL}/oauth/v1/generate?grant_type=client_credentials`,
-        {
-          headers: {
-            Authorization: `Basic ${auth}`,
-          },
-          timeout: 10000,
-        }
+  const profile = STK_CHANNEL_PROFILES[paymentChannel]();
+  if (!profile) {
+    throw paymentError(
+      `M-Pesa ${paymentChannel} payments are not available`,
+      "CHANNEL_UNAVAILABLE",
+    );
+  }
+
+  if (transaction.stk_requested_at) {
+    const promptAge = Date.now() - new Date(transaction.stk_requested_at).getTime();
+    if (promptAge < STK_PROMPT_LIFETIME_MS) {
+      throw paymentError(
+        "A payment prompt is already on your phone. Complete or cancel it first.",
+        "STK_IN_PROGRESS",
+        409,
+        { retryAfter: Math.ceil((STK_PROMPT_LIFETIME_MS - promptAge) / 1000) },
       );
+    }
+  }
+
+  const accountReference =
+    transaction.mpesa_account_reference ||
+    mpesaAccountReference(transaction.project_id);
+  const amount = Math.round(Number(transaction.amount)); // M-Pesa doesn't accept decimals
+
+  // Get access token
+  const accessToken = await generateAccessToken(profile.name);
+
+  // Generate password and timestamp
+  const { password, timestamp } = generatePassword(profile);
+  // Format phone number
+  const formattedPhone = formatPhoneNumber(String(phoneNumber));
+
+  // Register the request so only its own callback is accepted
+  const { token: callbackToken, request: mpesaRequest } =
+    await createCallbackToken({
+      requestType: "stk_push",
+      transactionId: transaction.id,
+      userId: user.id,
+    });
+
+  // STK Push payload
+  const stkPushPayload = {
+    BusinessShortCode: profile.shortCode,
+    Password: password,
+    Timestamp: timestamp,
+    TransactionType: profile.transactionType,
+    Amount: amount,
+    PartyA: formattedPhone,
+    PartyB: profile.partyB,
+    PhoneNumber: formattedPhone,
+    CallBackURL: `${CALLBACK_BASE_URL}/callback/stk-push/${callbackToken}/${transaction.id}`,
+    AccountReference: accountReference,
+    TransactionDesc: transactionDesc || "Payment for services",
+  };
+  // Password and the callback token in CallBackURL stay out of the logs
+  console.log("📲 STK push:", {
+    shortCode: stkPushPayload.BusinessShortCode,
+    amount: stkPushPayload.Amount,
+    phone: formattedPhone,
+    accountReference,
+  });
+  // Make STK Push request
+  const response = await axios.post(
+    `${BASE_URL}/mpesa/stkpush/v1/processrequest`,
+    stkPushPayload,
+    {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        "Content-Type": "application/json",
+      },
+    }
+  );
+
+  const { data: updated, error: checkoutError } =
+    await updateTransactionIfStatus(transaction.id, TRANSACTION_STATUS.PENDING, {
+      mpesa_checkout_request_id: response.data.CheckoutRequestID,
+      mpesa_profile: profile.name,
+      stk_requested_at: new Date().toISOString(),
+    });
+  if (checkoutError) {
+    console.error("Failed to store CheckoutRequestID:", checkoutError);
+  }
+
+  const { error: requestError } = await updateMpesaRequest(mpesaRequest.id, {
+    checkout_request_id: response.data.CheckoutRequestID,
+    merchant_request_id: response.data.MerchantRequestID,
+    profile: profile.name,
+    phone_number: formattedPhone,
+  });
+  if (requestError) {
+    console.error("Failed to record CheckoutRequestID:", requestError);
+  }
+
+  return {
+    transaction: updated || transaction,
+    data: {
+      transactionId: transaction.id,
+      amount,
+      accountReference,
+      paymentChannel,
+      merchantRequestID: response.data.MerchantRequestID,
+      checkoutRequestID: response.data.CheckoutRequestID,
+      responseCode: response.data.ResponseCode,
+      responseDescription: response.data.ResponseDescription,
+      customerMessage: response.data.CustomerMessage,
+    },
+  };
+};
 
-      const { access_token, expires_in } = response.data || {};
-      if (!access_token) {
-        throw new Error("Access token missing in response");
+/**
+ * @route   POST /mpesa/stk-push
+ * @desc    Pay for an accepted bid by STK Push. Creates (or reuses) the
+ *          pending M-Pesa transaction for the bid, then prompts the phone.
+ *          paymentChannel "till" pays into the Buy Goods till instead of
+ *          the paybill.
+ * @access  Private (client who owns the project)
+ */
+router.post(
+  "/stk-push",
+  requireAuth,
+  mpesaStkLimiter,
+  stkAbuseGuard,
+  mpesaStkPhoneLimiter,
+  async (req, res) => {
+    try {
+      const { phoneNumber, projectId, bidId } = req.body;
+
+      // Validation
+      if (!phoneNumber || !projectId || !bidId) {
+        return res.status(400).json({
+          status: "error",
+          message: "Phone number, projectId and bidId are required",
+        });
       }
 
-      const ttlMs = (Number(expires_in) || 3599) * 1000;
-      accessTokenCache.token = access_token;
-      accessTokenCache.expiresAt = Date.now() + ttlMs - ACCESS_TOKEN_BUFFER_MS;
+      const { transaction } = await openEscrowTransaction({
+        user: req.user,
+        projectId,
+        bidId,
+        provider: "mpesa",
+        insertOptions: { mpesaAccountReference: mpesaAccountReference(projectId) },
+      });
+
+      const { data } = await collectByStkPush({
+        transaction,
+        user: req.user,
+        params: req.body,
+      });
 
-      console.log(`✅ Token cached, expires in ${Math.round(ttlMs / 1000)}s`);
-      return access_token;
+      res.status(200).json({
+        status: "success",
+        message: "STK Push initiated successfully",
+        data,
+      });
     } catch (error) {
-      accessTokenCache.token = null;
-      accessTokenCache.expiresAt = 0;
-      console.error("❌ Access Token Error:", error.response?.data || error.message);
-      throw new Error("Failed to generate access token");
-    } finally {
-      accessTokenCache.inFlight = null;
+      if (sendPaymentError(res, error)) return;
+
+      console.error("STK Push Error:", error.response?.data || error.message);
+      res.status(500).json({
+        status: "error",
+        message: "Failed to initiate STK Push",
+        error: error.response?.data || error.message,
+      });
+    }
+  },
+);
+
+/**
+ * Apply an STK Push callback body to its transaction.
+ * Throws when the transaction could not be updated so the event is marked failed.
+ */
+const processStkCallback = async (body, mpesaRequest) => {
+  const { Body } = body;
+  const { stkCallback } = Body;
+
+  // Extract callback data
+  const {
+    MerchantRequestID,
+    CheckoutRequestID,
+    ResultCode,
+    ResultDesc,
+    CallbackMetadata,
+  } = stkCallback;
+
+  if (ResultCode === 0) {
+    // Payment successful
+    const metadata = {};
+    CallbackMetadata?.Item?.forEach((item) => {
+      metadata[item.Name] = item.Value;
+    });
+
+    console.log("Payment Successful:", {
+      merchantRequestID: MerchantRequestID,
+      checkoutRequestID: CheckoutRequestID,
+      amount: metadata.Amount,
+      mpesaReceiptNumber: metadata.MpesaReceiptNumber,
+      phoneNumber: metadata.PhoneNumber,
+      transactionDate: metadata.TransactionDate,
+    });
+
+    const { data: escrowed, error: escrowError } = await updateStkTransaction(
+      CheckoutRequestID,
+      metadata,
+      ResultDesc,
+      mpesaRequest?.transaction_id,
+    );
+
+    if (escrowError) {
+      throw escrowError;
+    }
+
+    console.log("Payment held in escrow for transaction:", escrowed.id);
+  } else {
+    // Payment failed
+    console.log("Payment Failed:", {
+      merchantRequestID: MerchantRequestID,
+      checkoutRequestID: CheckoutRequestID,
+      resultCode: ResultCode,
+      resultDesc: ResultDesc,
+    });
+
+    const { error: failError } = await failStkTransaction(
+      CheckoutRequestID,
+      ResultCode,
+      ResultDesc,
+      mpesaRequest?.transaction_id,
+    );
+
+    if (failError) {
+      throw failError;
+    }
+
+    if (ResultCode === STK_CANCELLED_BY_USER) {
+      await recordStkCancellation(
+        mpesaRequest?.phone_number,
+        mpesaRequest?.user_id,
+      );
     }
-  })();
+  }
+};
+
+/**
+ * @route   POST /mpesa/callback/stk-push/:token/:transactionId
+ * @desc    Callback for STK Push payment confirmation
+ * @access  M-Pesa callback (token, IP allowlist and request cross-check)
+ */
+router.post(
+  "/callback/stk-push{/:token}{/:transactionId}",
+  verifyMpesaCallback("stk_push"),
+  async (req, res) => {
+    console.log(
+      "STK Push Callback Received:",
+      JSON.stringify(req.body, null, 2),
+    );
+    await ingestCallback("stk_push", req, res);
+  },
+);
+
+/**
+ * Ask Daraja for the result of an STK prompt, caching the answer in
+ * queryResultCache. Still-pending prompts come back from Daraja as an error
+ * (500.001.1001) and are thrown like any other failure.
+ */
+const queryStkStatus = async (checkoutRequestID, profileName) => {
+  console.log(`🔍 Querying M-Pesa: ${checkoutRequestID.slice(-10)}`);
+  // Query with the profile that sent the prompt
+  const profile = getProfile(
+    profileName || getOperationProfile("stkPush").name,
+  );
+  const accessToken = await generateAccessToken(profile.name);
+  const { password, timestamp } = generatePassword(profile);
+
+  const queryPayload = {
+    BusinessShortCode: profile.shortCode,
+    Password: password,
+    Timestamp: timestamp,
+    CheckoutRequestID: checkoutRequestID,
+  };
+
+  const response = await axios.post(
+    `${BASE_URL}/mpesa/stkpushquery/v1/query`,
+    queryPayload,
+    {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        "Content-Type": "application/json",
+      },
+      timeout: 15000,
+    }
+  );
+  const resultCode = response.data.ResultCode;
+  console.log(`📊 Query result: ${resultCode || "Pending"}`);
+  // Cache the result; if transaction is complete (success or failure),
+  // cache longer
+  const completed =
+    resultCode === "0" || resultCode === 0 ||
+    (resultCode && resultCode !== "0" && resultCode !== 0);
+  await queryResultCache.set(
+    checkoutRequestID,
+    response.data,
+    completed ? 5 * 60 * 1000 : QUERY_CACHE_TTL, // 5 minutes once complete
+  );
+
+  return response.data;
+};
+
+/**
+ * @route   POST /mpesa/query-stk
+ * @desc    Query the status of an STK Push transaction
+ * @access  Private (user who started the STK push, or admin)
+ */
+router.post("/query-stk", requireAuth, mpesaQueryLimiter, async (req, res) => {
+  try {
+    const { checkoutRequestID } = req.body;
+
+    if (!checkoutRequestID) {
+      return res.status(400).json({
+        status: "error",
+        message: "CheckoutRequestID is required",
+      });
+    }
+
+    const { request: stkRequest, error: lookupError } =
+      await findMpesaRequestByCheckoutId(checkoutRequestID);
+    if (lookupError) {
+      throw lookupError;
+    }
+
+    if (!stkRequest) {
+      return res.status(404).json({
+        status: "error",
+        message: "Unknown CheckoutRequestID",
+      });
+    }
+
+    if (stkRequest.user_id !== req.user.id && !isAdmin(req.user)) {
+      return res.status(403).json({
+        status: "error",
+        message: "You can only query your own payments",
+        error: "FORBIDDEN",
+      });
+    }
+// Check cache first
+    const cachedResult = await queryResultCache.get(checkoutRequestID);
+    if (cachedResult) {
+      console.log(`💾 Returning cached result for: ${checkoutRequestID.slice(-10)}`);
+      return res.status(200).json({
+        status: "success",
+        data: cachedResult,
+        cached: true,
+      });
+    }
+
+    const data = await queryStkStatus(checkoutRequestID, stkRequest.profile);
+
+    res.status(200).json({
+      status: "success",
+      data,
+    });
+  }catch (error) {
+    console.error("❌ Query STK Error:", error.response?.data || error.message);
+
+    // Handle rate limiting specifically
+    const fault = error.response?.data?.fault;
+    if (fault?.detail?.errorcode === "policies.ratelimit.SpikeArrestViolation") {
+      console.warn("⚠️ Rate limit exceeded");
+      return res.status(429).json({
+        status: "error",
+        message: "Rate limit exceeded. Please wait 60 seconds.",
+        error: "TOO_MANY_REQUESTS",
+      });
+    }
+
+    res.status(500).json({
+      status: "error",
+      message: "Failed to query transaction",
+      error: error.response?.data?.errorMessage || error.message,
+    });
+  }
+});
+
+// ==================== STK RECONCILIATION WORKER ====================
+// Resolves pending STK payments whose callback never arrived by asking
+// Daraja directly. It checks only a few per run so that clients polling
+// /query-stk keep their share of Daraja's ~5 queries a minute.
+const STK_RECONCILE_INTERVAL_MS = Number(
+  process.env.MPESA_STK_RECONCILE_INTERVAL_MS ?? 60 * 1000,
+); // 0 disables the worker
+const STK_RECONCILE_BATCH = Number(process.env.MPESA_STK_RECONCILE_BATCH) || 2;
+const STK_RECONCILE_AFTER_MS =
+  Number(process.env.MPESA_STK_RECONCILE_AFTER_MS) || STK_PROMPT_LIFETIME_MS;
+// Prompts Daraja still reports as processing after this long are abandoned
+const STK_EXPIRE_AFTER_MS =
+  Number(process.env.MPESA_STK_EXPIRE_AFTER_MS) || 15 * 60 * 1000;
+const STK_STILL_PROCESSING = "500.001.1001";
+let stkReconcileInFlight = false;
+
+export const isSpikeArrest = (error) =>
+  error.response?.data?.fault?.detail?.errorcode ===
+  "policies.ratelimit.SpikeArrestViolation";
+
+/**
+ * Query one pending STK payment and apply the answer like its callback
+ * would. Returns "resolved", "expired" or "pending".
+ */
+export const reconcileStkTransaction = async (transaction) => {
+  const checkoutRequestID = transaction.mpesa_checkout_request_id;
+  const expired =
+    Date.now() - new Date(transaction.stk_requested_at).getTime() >=
+    STK_EXPIRE_AFTER_MS;
+
+  // Mark it first so a failing query doesn't keep it at the head of the queue
+  await updateTransactionIfStatus(transaction.id, TRANSACTION_STATUS.PENDING, {
+    stk_last_checked_at: new Date().toISOString(),
+  });
+
+  let result = null;
+  let stillProcessing = false;
+  try {
+    result =
+      (await queryResultCache.get(checkoutRequestID)) ||
+      (await queryStkStatus(checkoutRequestID, transaction.mpesa_profile));
+  } catch (error) {
+    // Only Daraja saying the prompt is still open is an answer. A network
+    // error, a 5xx or a rate limit tells us nothing about the payment, so
+    // it stays pending for the next run.
+    stillProcessing = error.response?.data?.errorCode === STK_STILL_PROCESSING;
+    if (!stillProcessing) {
+      throw error;
+    }
+  }
+
+  if (result?.ResultCode !== undefined && result.ResultCode !== "") {
+    const stkCallback = {
+      MerchantRequestID: result.MerchantRequestID,
+      CheckoutRequestID: checkoutRequestID,
+      ResultCode: Number(result.ResultCode),
+      ResultDesc: result.ResultDesc,
+    };
+    // The request row carries the phone and user for cancellation cooldowns
+    const { request: stkRequest } =
+      await findMpesaRequestByCheckoutId(checkoutRequestID);
+
+    await processStkCallback({ Body: { stkCallback } }, stkRequest);
+    return "resolved";
+  }
+
+  // Daraja still has no outcome long after the prompt closed on the phone
+  if (expired && stillProcessing) {
+    const { error } = await failStkTransaction(
+      checkoutRequestID,
+      "expired",
+      "STK prompt expired without an answer",
+    );
+    if (error) throw error;
+    return "expired";
+  }
+
+  return "pending";
+};
+
+/**
+ * One worker run: reconcile up to STK_RECONCILE_BATCH stale pending STK
+ * payments. Stops early when Daraja starts rate limiting, and is skipped when
+ * another instance ran it within the last interval.
+ */
+const reconcilePendingStkPayments = async () => {
+  const summary = { checked: 0, resolved: 0, expired: 0, pending: 0, errors: 0 };
+  if (stkReconcileInFlight) return summary;
+
+  // At most one run per interval across all instances: the lock is left to
+  // expire rather than released
+  const lock = await store.acquireLock(
+    "stk-reconcile",
+    Math.max(STK_RECONCILE_INTERVAL_MS, 10 * 1000) * 0.9,
+  );
+  if (!lock) return { ...summary, skipped: true };
+  stkReconcileInFlight = true;
+
+  try {
+    const now = Date.now();
+    const { transactions, error } = await getStalePendingStkTransactions({
+      olderThan: new Date(now - STK_RECONCILE_AFTER_MS).toISOString(),
+      checkedBefore: new Date(now - STK_RECONCILE_AFTER_MS).toISOString(),
+      limit: STK_RECONCILE_BATCH,
+    });
+    if (error) throw error;
+
+    for (const transaction of transactions) {
+      summary.checked += 1;
+      try {
+        const outcome = await reconcileStkTransaction(transaction);
+        summary[outcome] += 1;
+        console.log(
+          `🔁 STK ${transaction.mpesa_checkout_request_id.slice(-10)}: ${outcome}`,
+        );
+      } catch (error) {
+        summary.errors += 1;
+        if (isSpikeArrest(error)) {
+          console.warn("⚠️ Daraja rate limit hit, pausing STK reconciliation");
+          break;
+        }
+        console.error(
+          `STK reconciliation failed for ${transaction.id}:`,
+          error.response?.data || error.message,
+        );
+      }
+    }
+  } catch (error) {
+    console.error("STK reconciliation run failed:", error);
+  } finally {
+    stkReconcileInFlight = false;
+  }
+
+  return summary;
+};
+
+if (STK_RECONCILE_INTERVAL_MS > 0) {
+  setInterval(reconcilePendingStkPayments, STK_RECONCILE_INTERVAL_MS);
+}
+
+/**
+ * @route   POST /mpesa/stk-reconcile
+ * @desc    Run the STK reconciliation worker now
+ * @access  Admin
+ */
+router.post("/stk-reconcile", requireAdmin, async (req, res) => {
+  const summary = await reconcilePendingStkPayments();
+  res.status(200).json({
+    status: "success",
+    data: summary,
+  });
+});
+
+// ==================== PAYMENT STATUS STREAM (SSE) ====================
+const STREAM_HEARTBEAT_MS = 15 * 1000;
+const STREAM_DB_CHECK_MS = 10 * 1000; // catches changes made by other instances
+const STREAM_MAX_LIFETIME_MS = 5 * 60 * 1000;
+
+// Statuses that are still waiting on M-Pesa; anything else ends the stream
+const IN_FLIGHT_STATUSES = [
+  TRANSACTION_STATUS.PENDING,
+  TRANSACTION_STATUS.PROCESSING_RELEASE,
+  TRANSACTION_STATUS.REFUND_PENDING,
+];
+
+// What the checkout screen needs, and nothing internal
+const toStatusEvent = (transaction) => ({
+  transactionId: transaction.id,
+  checkoutRequestID: transaction.mpesa_checkout_request_id || null,
+  status: transaction.status,
+  amount: transaction.amount,
+  resultCode: transaction.stk_result_code ?? null,
+  resultDescription: transaction.stk_result_description ?? null,
+  mpesaReceiptNumber: transaction.mpesa_receipt_number || null,
+  updatedAt: transaction.updated_at,
+});
+
+// EventSource can't send headers, so the stream also takes ?access_token=
+const acceptQueryToken = (req, res, next) => {
+  if (!req.get("authorization") && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+/**
+ * @route   GET /mpesa/payment-stream?checkoutRequestID=...|transactionId=...
+ * @desc    Server-Sent Events stream of a transaction's status. Sends the
+ *          current status, then each change, then a "final" event once the
+ *          transaction leaves pending/processing and closes.
+ * @access  Private (client or freelancer on the transaction, or admin)
+ */
+router.get(
+  "/payment-stream",
+  acceptQueryToken,
+  requireAuth,
+  async (req, res) => {
+    try {
+      const { checkoutRequestID, transactionId } = req.query;
+
+      if (!checkoutRequestID && !transactionId) {
+        return res.status(400).json({
+          status: "error",
+          message: "checkoutRequestID or transactionId is required",
+        });
+      }
+
+      let id = transactionId;
+      if (!id) {
+        const { request, error } =
+          await findMpesaRequestByCheckoutId(checkoutRequestID);
+        if (error) throw error;
+        id = request?.transaction_id;
+      }
+
+      const { transaction, error: lookupError } = id
+        ? await getTransaction(id)
+        : { transaction: null };
+      if (lookupError || !transaction) {
+        return res.status(404).json({
+          status: "error",
+          message: "Transaction not found",
+        });
+      }
+
+      if (
+        ![transaction.client_id, transaction.freelancer_id].includes(
+          req.user.id,
+        ) &&
+        !isAdmin(req.user)
+      ) {
+        return res.status(403).json({
+          status: "error",
+          message: "You can only follow your own payments",
+          error: "FORBIDDEN",
+        });
+      }
+
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no", // don't let nginx buffer the stream
+      });
+
+      let lastStatus = null;
+      let closed = false;
+      const timers = [];
+      let unsubscribe = () => {};
+
+      const close = () => {
+        if (closed) return;
+        closed = true;
+        timers.forEach(clearInterval);
+        unsubscribe();
+        res.end();
+      };
+
+      const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      };
+
+      const push = (current) => {
+        if (closed || current.status === lastStatus) return;
+        lastStatus = current.status;
+        send("status", toStatusEvent(current));
+
+        if (!IN_FLIGHT_STATUSES.includes(current.status)) {
+          send("final", toStatusEvent(current));
+          close();
+        }
+      };
+
+      unsubscribe = subscribeToTransaction(transaction.id, push);
+      res.on("close", close); // client went away
+
+      timers.push(
+        setInterval(() => res.write(": heartbeat\n\n"), STREAM_HEARTBEAT_MS),
+        setInterval(async () => {
+          const { transaction: latest } = await getTransaction(transaction.id);
+          if (latest) push(latest);
+        }, STREAM_DB_CHECK_MS),
+      );
+      timers.push(
+        setTimeout(() => {
+          if (closed) return;
+          send("timeout", { transactionId: transaction.id, status: lastStatus });
+          close();
+        }, STREAM_MAX_LIFETIME_MS),
+      );
+
+      push(transaction);
+    } catch (error) {
+      console.error("Payment Stream Error:", error);
+      if (!res.headersSent) {
+        res.status(500).json({
+          status: "error",
+          message: "Failed to open payment stream",
+        });
+      } else {
+        res.end();
+      }
+    }
+  },
+);
+
+// ==================== FREELANCER PAYOUT ROUTES (B2C) ====================
+
+/**
+ * Send a freelancer payout and move the transaction to processing_release.
+ * Shared by /b2c-payment and the low-float payout queue.
+ */
+const startPayout = async ({
+  transactionId,
+  phoneNumber,
+  amount,
+  remarks,
+  occasion,
+}) => {
+  // Claim the transaction before any money moves, so a second request for
+  // the same payout finds it already processing_release and stops here
+  const { data: claimed, error: claimError } = await transitionTransaction({
+    match: { id: transactionId },
+    from: TRANSACTION_STATUS.HELD_IN_ESCROW,
+    to: TRANSACTION_STATUS.PROCESSING_RELEASE,
+    updates: {
+      mpesa_conversation_id: null,
+      payout_phone_number: phoneNumber,
+      payout_amount: Math.round(amount),
+      payout_attempts: 1,
+      payout_queued_at: null,
+    },
+    reason: "Payout requested",
+  });
+
+  if (claimError) throw claimError;
+  if (!claimed) {
+    const error = new Error("Transaction is not awaiting release");
+    error.code = "NOT_RELEASABLE";
+    throw error;
+  }
+
+  let b2cResponse;
+  try {
+    b2cResponse = await sendB2CPayment({
+      transactionId,
+      phoneNumber,
+      amount,
+      remarks,
+      occasion,
+    });
+  } catch (sendError) {
+    // Refused, or never sent: no money moved
+    if (!sendError.originatorConversationID || isRejectedByDaraja(sendError)) {
+      await transitionTransaction({
+        match: { id: transactionId },
+        to: TRANSACTION_STATUS.RELEASE_FAILED,
+        updates: {
+          b2c_result_description: "Payout request could not be sent",
+        },
+        reason: "B2C request failed",
+      });
+      throw sendError;
+    }
+
+    // The payout may have gone out, so it stays processing_release until a
+    // status query (or its own result) says what happened
+    reserveFloat(amount);
+    await verifyUnconfirmedPayout(transactionId, sendError);
+    throw paymentError(
+      "The payout request got no answer from M-Pesa; its status is being checked",
+      "PAYOUT_UNCONFIRMED",
+      502,
+    );
+  }
+  reserveFloat(amount);
+
+  await savePayoutConversation(transactionId, b2cResponse);
+
+  return b2cResponse;
+};
+
+// Flag a payout whose request got no clear answer and ask Daraja for the
+// status of that request; resolveTimedOutPayout decides when it answers
+const verifyUnconfirmedPayout = async (transactionId, sendError) => {
+  console.error(
+    `⚠️ Payout ${transactionId} request got no clear answer:`,
+    sendError.response?.data || sendError.message,
+  );
+
+  const { error } = await updateTransactionIfStatus(
+    transactionId,
+    TRANSACTION_STATUS.PROCESSING_RELEASE,
+    {
+      mpesa_originator_conversation_id: sendError.originatorConversationID,
+      needs_manual_review: true,
+      b2c_result_description: "Payout request outcome unknown",
+    },
+  );
+  if (error) {
+    console.error(`❌ Failed to flag payout ${transactionId}:`, error);
+  }
+
+  try {
+    await queryTransactionStatus({
+      originalConversationID: sendError.originatorConversationID,
+      transactionId,
+      purpose: "payout_verification",
+      remarks: "Verify unconfirmed payout",
+      profileName: getOperationProfile("b2c").name,
+    });
+  } catch (queryError) {
+    console.error(
+      `Status query for payout ${transactionId} failed:`,
+      queryError.response?.data || queryError.message,
+    );
+  }
+};
+
+// Store the ConversationID results are matched by. The payout is already on
+// its way, so a failure is logged rather than thrown; its result then finds
+// the transaction through the request it was sent with (ensurePayoutLinked).
+const savePayoutConversation = async (transactionId, b2cResponse) => {
+  const { error } = await updateTransactionIfStatus(
+    transactionId,
+    TRANSACTION_STATUS.PROCESSING_RELEASE,
+    {
+      mpesa_conversation_id: b2cResponse.ConversationID,
+      mpesa_originator_conversation_id: b2cResponse.OriginatorConversationID,
+    },
+  );
+  if (error) {
+    console.error(
+      `❌ Failed to store ConversationID ${b2cResponse.ConversationID} for payout ${transactionId}:`,
+      error,
+    );
+  }
+};
+
+// Make sure a payout result can be matched by its ConversationID, linking it
+// from the B2C request when the ConversationID was never stored
+const ensurePayoutLinked = async (conversationId, mpesaRequest) => {
+  if (!conversationId || !mpesaRequest?.transaction_id) return;
+
+  const { error } = await linkPayoutConversation(mpesaRequest, conversationId);
+  if (error) throw error;
+};
+
+/**
+ * Pay an escrowed transaction out to the freelancer's verified number (the
+ * M-Pesa provider's release). params: { phoneNumber, amount } are only
+ * checked against the server's values; force skips the float guard.
+ * Returns { queued, data }; queued payouts go out once the float allows.
+ */
+export const releaseByB2C = async ({ transaction, params = {} }) => {
+  const { phoneNumber, amount, remarks, occasion, force } = params;
+
+  if (transaction.status !== TRANSACTION_STATUS.HELD_IN_ESCROW) {
+    throw paymentError(
+      `Only escrowed payments can be released (status: ${transaction.status})`,
+      "NOT_RELEASABLE",
+      409,
+    );
+  }
+
+  if (transaction.escrow_balance != null) {
+    throw paymentError(
+      "This payment is released in milestones; approve them instead",
+      "MILESTONES_ACTIVE",
+      409,
+    );
+  }
+
+  if (await getPaidSplit(transaction.id)) {
+    throw paymentError(
+      "The freelancer was paid their part in a dispute split; refund the rest to the client",
+      "DISPUTE_SPLIT_PAID",
+      409,
+    );
+  }
+
+  // The payout is always derived from the escrowed payment on the server
+  const { freelancerAmount: payoutAmount } = splitPayment(
+    transaction.amount,
+    await getCommissionRate(),
+  );
+
+  if (amount !== undefined && Math.round(Number(amount)) !== payoutAmount) {
+    throw paymentError(
+      `Amount does not match the escrowed payout of ${payoutAmount} KES`,
+      "AMOUNT_MISMATCH",
+    );
+  }
+
+  if (payoutAmount < 10) {
+    throw paymentError("Minimum B2C amount is 10 KES", "INVALID_AMOUNT");
+  }
+
+  // Only ever pay the number the freelancer has verified
+  const formattedPhone = await resolvePayoutNumber(transaction.freelancer_id);
+
+  if (phoneNumber && formatPhoneNumber(String(phoneNumber)) !== formattedPhone) {
+    throw paymentError(
+      "Phone number does not match the freelancer's verified payout number",
+      "PHONE_MISMATCH",
+    );
+  }
+
+  // Float guard
+  const float = force
+    ? { sufficient: true }
+    : await checkPayoutFloat(payoutAmount);
+  if (!float.sufficient) {
+    const { error: queueError } = await queuePayout(transaction.id, {
+      phoneNumber: formattedPhone,
+      amount: payoutAmount,
+      remarks,
+      occasion,
+    });
+    if (queueError) {
+      throw queueError;
+    }
+
+    return {
+      queued: true,
+      data: {
+        transactionId: transaction.id,
+        availableBalance: float.available,
+      },
+    };
+  }
+
+  const b2cResponse = await startPayout({
+    transactionId: transaction.id,
+    phoneNumber: formattedPhone,
+    amount: payoutAmount,
+    remarks,
+    occasion,
+  });
+
+  return {
+    queued: false,
+    data: {
+      amount: payoutAmount,
+      conversationID: b2cResponse.ConversationID,
+      originatorConversationID: b2cResponse.OriginatorConversationID,
+      responseCode: b2cResponse.ResponseCode,
+      responseDescription: b2cResponse.ResponseDescription,
+    },
+  };
+};
+
+/**
+ * @route   POST /mpesa/b2c-payment
+ * @desc    Send payment to freelancer via B2C, always to their verified
+ *          payout number (phoneNumber, if given, must match it). When the
+ *          last known utility balance cannot cover it, the payout is queued
+ *          instead (202). Admins may pass force: true to skip the float guard.
+ * @access  Private (client on the transaction, or admin)
+ */
+router.post("/b2c-payment", requireAuth, async (req, res) => {
+  try {
+    const admin = isAdmin(req.user);
+
+    if (!req.body.transaction?.id) {
+      return res.status(400).json({
+        status: "error",
+        message: "Transaction is required",
+      });
+    }
+
+    // Authorize against the stored transaction, not the one in the body
+    const { transaction, error: transactionError } = await getTransaction(
+      req.body.transaction.id,
+    );
+    if (transactionError) {
+      return res.status(404).json({
+        status: "error",
+        message: "Transaction not found",
+      });
+    }
+
+    if (transaction.client_id !== req.user.id && !admin) {
+      return res.status(403).json({
+        status: "error",
+        message: "Only the client on this transaction can release it",
+        error: "FORBIDDEN",
+      });
+    }
+
+    if (req.body.force && !admin) {
+      return res.status(403).json({
+        status: "error",
+        message: "Only admins can force payouts",
+        error: "FORBIDDEN",
+      });
+    }
+
+    // amount is optional and only checked against the server-side payout
+    const { queued, data } = await releaseByB2C({
+      transaction,
+      params: req.body,
+    });
+
+    if (queued) {
+      return res.status(202).json({
+        status: "queued",
+        message:
+          "Insufficient B2C float. Payout queued until the account is topped up.",
+        data,
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "B2C payment initiated successfully",
+      data,
+    });
+  } catch (error) {
+    if (sendPaymentError(res, error)) return;
+
+    if (error.code === "NOT_RELEASABLE" || error.code === "INVALID_TRANSITION") {
+      return res.status(409).json({
+        status: "error",
+        message: "Transaction cannot be released in its current state",
+        error: error.message,
+      });
+    }
+
+    console.error("B2C Payment Error:", error.response?.data || error.message);
+    res.status(500).json({
+      status: "error",
+      message: "Failed to initiate B2C payment",
+      error: error.response?.data || error.message,
+    });
+  }
+});
+
+// B2C payments other than escrow releases, by the purpose their request was
+// sent with: { result(Result, mpesaRequest, succeeded), timeout(Result,
+// mpesaRequest) }, registered by the routes that send them
+const B2C_PURPOSES = {};
+
+export const registerB2CPurpose = (purpose, handlers) => {
+  B2C_PURPOSES[purpose] = handlers;
+};
+
+// Fails the event when nothing handles the purpose, so it can be replayed
+// rather than settled as an escrow release
+const getB2CPurpose = (purpose) => {
+  if (!B2C_PURPOSES[purpose]) {
+    throw new Error(`No handler for B2C purpose ${purpose}`);
+  }
+  return B2C_PURPOSES[purpose];
+};
+
+/**
+ * Apply a B2C result callback body to its transaction.
+ */
+const processB2CResult = async (body, mpesaRequest) => {
+  const { Result } = body;
+  const { ResultCode, ResultDesc, ConversationID } = Result;
+
+  if (mpesaRequest?.purpose) {
+    await getB2CPurpose(mpesaRequest.purpose).result(
+      Result,
+      mpesaRequest,
+      ResultCode === 0,
+    );
+    return;
+  }
+
+  await ensurePayoutLinked(ConversationID, mpesaRequest);
+
+  if (ResultCode === 0) {
+    // Payment successful - update database
+    const parameters = {};
+    Result.ResultParameters?.ResultParameter?.forEach((param) => {
+      parameters[param.Key] = param.Value;
+    });
+
+    // Daraja puts the receipt on the Result and in TransactionReceipt
+    const receipt = Result.TransactionID || parameters.TransactionReceipt;
+
+    console.log("B2C Payment Successful:", {
+      conversationID: ConversationID,
+      transactionID: receipt,
+      amount: parameters.TransactionAmount,
+      recipientPhone: parameters.ReceiverPartyPublicName,
+    });
+
+    // A missing transaction fails the event, so it can be replayed once the
+    // ConversationID is stored
+    const { data: released, error } = await transitionTransaction({
+      match: { mpesa_conversation_id: ConversationID },
+      to: TRANSACTION_STATUS.RELEASED,
+      updates: {
+        mpesa_transaction_id: receipt,
+        b2c_result_code: "0",
+        b2c_result_description: ResultDesc,
+        needs_manual_review: false,
+      },
+      reason: "B2C payout completed",
+      metadata: { mpesaTransactionId: receipt },
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    await completeProject(released);
+    // The freelancer is notified from the status change (notifications.js)
+  } else {
+    // Payment failed
+    console.log("B2C Payment Failed:", {
+      conversationID: ConversationID,
+      resultCode: ResultCode,
+      resultDesc: ResultDesc,
+    });
+
+    const { error } = await updatePendingPayout(
+      ConversationID,
+      {
+        status: TRANSACTION_STATUS.RELEASE_FAILED,
+        b2c_result_code: String(ResultCode),
+        b2c_result_description: ResultDesc,
+      },
+      `B2C payout failed: ${ResultDesc}`,
+    );
+
+    if (error) {
+      throw error;
+    }
+  }
+};
+
+/**
+ * @route   POST /mpesa/callback/b2c-result/:token
+ * @desc    Callback for B2C payment result
+ * @access  M-Pesa callback (token, IP allowlist and request cross-check)
+ */
+router.post(
+  "/callback/b2c-result{/:token}",
+  verifyMpesaCallback("b2c_result"),
+  async (req, res) => {
+    console.log("B2C Result Callback:", JSON.stringify(req.body, null, 2));
+    await ingestCallback("b2c_result", req, res);
+  },
+);
+
+// How many B2C attempts a payout may get before it needs manual action
+const MAX_PAYOUT_ATTEMPTS = Number(process.env.MPESA_B2C_MAX_ATTEMPTS) || 2;
+
+// Flatten Daraja's ResultParameters list into a { Key: Value } object
+export const getResultParameters = (Result) => {
+  const parameters = {};
+  const list = Result?.ResultParameters?.ResultParameter;
+  (Array.isArray(list) ? list : list ? [list] : []).forEach((param) => {
+    parameters[param.Key] = param.Value;
+  });
+  return parameters;
+};
+
+/**
+ * Handle a B2C queue timeout callback body.
+ * The payout may or may not have gone through, so nothing is paid again here:
+ * we flag it and ask Daraja for the status of the original request. The
+ * decision is taken in resolveTimedOutPayout when that answer arrives.
+ */
+const processB2CTimeout = async (body, mpesaRequest) => {
+  const { Result } = body;
+
+  if (mpesaRequest?.purpose) {
+    await getB2CPurpose(mpesaRequest.purpose).timeout(Result, mpesaRequest);
+    return;
+  }
+
+  const conversationID =
+    Result?.ConversationID || mpesaRequest?.conversation_id;
+  await ensurePayoutLinked(conversationID, mpesaRequest);
+
+  const { data: transaction, error } = await updatePendingPayout(
+    conversationID,
+    {
+      b2c_result_code: "timeout",
+      b2c_result_description: Result?.ResultDesc || "B2C request timed out",
+      payout_timeout_at: new Date().toISOString(),
+    },
+  );
+
+  if (error) {
+    throw error;
+  }
+
+  if (!transaction) {
+    console.log(`B2C timeout for ${conversationID} ignored: already resolved`);
+    return;
+  }
+
+  console.log(`⏱️ B2C payout timed out, verifying: ${transaction.id}`);
+
+  await queryTransactionStatus({
+    originalConversationID: transaction.mpesa_originator_conversation_id,
+    transactionId: transaction.id,
+    purpose: "payout_verification",
+    remarks: "Verify timed out payout",
+    profileName: getOperationProfile("b2c").name,
+  });
+};
+
+/**
+ * @route   POST /mpesa/callback/b2c-timeout/:token
+ * @desc    Callback for B2C timeout
+ * @access  M-Pesa callback (token, IP allowlist and request cross-check)
+ */
+router.post(
+  "/callback/b2c-timeout{/:token}",
+  verifyMpesaCallback("b2c_timeout"),
+  async (req, res) => {
+    console.log("B2C Timeout Callback:", JSON.stringify(req.body, null, 2));
+    await ingestCallback("b2c_timeout", req, res);
+  },
+);
+
+/**
+ * Decide what happened to a timed-out payout, or one whose request got no
+ * clear answer, from a Transaction Status result.
+ * - Completed: the money moved, mark the transaction released.
+ * - Definitely not completed: retry with a new OriginatorConversationID while
+ *   attempts remain, otherwise fail it for manual action.
+ * - Anything ambiguous: fail it for manual action, never retry.
+ */
+const resolveTimedOutPayout = async (transactionId, Result) => {
+  const { transaction, error } = await getTransaction(transactionId);
+  if (error) {
+    throw error;
+  }
+
+  if (transaction.status !== TRANSACTION_STATUS.PROCESSING_RELEASE) {
+    console.log(`Payout ${transaction.id} already ${transaction.status}`);
+    return;
+  }
+
+  const parameters = getResultParameters(Result);
+  const mpesaStatus = String(parameters.TransactionStatus || "");
+  const conversationID = transaction.mpesa_conversation_id;
+  // A payout whose request got no answer has no ConversationID to match on
+  const updatePayout = (updates, reason) =>
+    conversationID
+      ? updatePendingPayout(conversationID, updates, reason)
+      : updateTransactionIfStatus(
+          transaction.id,
+          TRANSACTION_STATUS.PROCESSING_RELEASE,
+          updates,
+          reason,
+        );
+
+  if (Result.ResultCode === 0 && /^completed$/i.test(mpesaStatus)) {
+    const { data: released, error: releaseError } = await updatePayout(
+      {
+        status: TRANSACTION_STATUS.RELEASED,
+        mpesa_transaction_id: parameters.ReceiptNo,
+        b2c_result_code: "0",
+        b2c_result_description: "Completed (confirmed by status query)",
+        needs_manual_review: false,
+      },
+      "Timed-out payout confirmed by status query",
+    );
+    if (releaseError) throw releaseError;
+    await completeProject(released);
+
+    console.log(`✅ Timed-out payout ${transaction.id} had completed`);
+    return;
+  }
+
+  const notCompleted =
+    Result.ResultCode === 0 &&
+    /failed|cancelled|declined|expired/i.test(mpesaStatus);
+  const attempts = transaction.payout_attempts || 1;
+
+  if (!notCompleted || attempts >= MAX_PAYOUT_ATTEMPTS) {
+    const description = notCompleted
+      ? `Payout not completed after ${attempts} attempts`
+      : `Payout status unknown after timeout: ${Result.ResultDesc}`;
+    const { error: failError } = await updatePayout(
+      {
+        status: TRANSACTION_STATUS.RELEASE_FAILED,
+        needs_manual_review: true,
+        b2c_result_description: description,
+      },
+      description,
+    );
+    if (failError) throw failError;
+
+    console.warn(`⚠️ Payout ${transaction.id} needs manual review`);
+    return;
+  }
+
+  // Claim the retry by clearing the old ConversationID; a concurrent result or
+  // replay for the old request can no longer match this transaction.
+  const { data: claimed, error: claimError } = await updatePayout({
+    mpesa_conversation_id: null,
+    payout_attempts: attempts + 1,
+    needs_manual_review: false,
+    b2c_result_description: "Retrying payout after timeout",
+  });
+  if (claimError) throw claimError;
+  if (!claimed) return;
+
+  try {
+    const b2cResponse = await sendB2CPayment({
+      transactionId: transaction.id,
+      phoneNumber: transaction.payout_phone_number,
+      amount: transaction.payout_amount,
+    });
+
+    await savePayoutConversation(transaction.id, b2cResponse);
+
+    console.log(`🔁 Payout ${transaction.id} retried (attempt ${attempts + 1})`);
+  } catch (retryError) {
+    if (
+      retryError.originatorConversationID &&
+      !isRejectedByDaraja(retryError)
+    ) {
+      await verifyUnconfirmedPayout(transaction.id, retryError);
+      return;
+    }
+
+    console.error("Payout retry failed:", retryError.response?.data || retryError.message);
+    await updateTransactionIfStatus(
+      transaction.id,
+      TRANSACTION_STATUS.PROCESSING_RELEASE,
+      {
+        status: TRANSACTION_STATUS.RELEASE_FAILED,
+        needs_manual_review: true,
+        b2c_result_description: "Payout retry could not be sent",
+      },
+      "Payout retry could not be sent",
+    );
+  }
+};
+
+/**
+ * Apply a Transaction Status result to whatever asked for it.
+ */
+const processTransactionStatusResult = async (body, mpesaRequest) => {
+  const { Result } = body;
+
+  console.log("Transaction Status Result:", {
+    conversationID: Result?.ConversationID,
+    resultCode: Result?.ResultCode,
+    resultDesc: Result?.ResultDesc,
+    purpose: mpesaRequest?.purpose,
+  });
+
+  const parameters = getResultParameters(Result);
+
+  // Store the answer on the transaction it was asked about, or failing that
+  // the transaction carrying the receipt Daraja reported
+  let transactionId = mpesaRequest?.transaction_id;
+  if (!transactionId && parameters.ReceiptNo) {
+    const { transaction, error } = await findTransactionByReceipt(
+      parameters.ReceiptNo,
+    );
+    if (error) throw error;
+    transactionId = transaction?.id;
+  }
+
+  if (transactionId) {
+    const { error } = await saveStatusQueryResult(transactionId, {
+      resultCode: Result?.ResultCode,
+      resultDesc: Result?.ResultDesc,
+      conversationID: Result?.ConversationID,
+      purpose: mpesaRequest?.purpose || null,
+      parameters,
+    });
+    if (error) throw error;
+  } else {
+    console.warn("Transaction Status result matches no transaction");
+  }
+
+  if (mpesaRequest?.purpose === "payout_verification") {
+    await resolveTimedOutPayout(mpesaRequest.transaction_id, Result);
+  }
+};
+
+/**
+ * @route   POST /mpesa/callback/transaction-status-result/:token
+ * @desc    Callback for Transaction Status query results
+ * @access  M-Pesa callback (token, IP allowlist and request cross-check)
+ */
+router.post(
+  "/callback/transaction-status-result{/:token}",
+  verifyMpesaCallback("transaction_status_result"),
+  async (req, res) => {
+    console.log(
+      "Transaction Status Result Callback:",
+      JSON.stringify(req.body, null, 2),
+    );
+    await ingestCallback("transaction_status_result", req, res);
+  },
+);
+
+/**
+ * A status query that itself timed out leaves us no wiser; a payout being
+ * verified is handed over for manual action rather than guessed at.
+ */
+const processTransactionStatusTimeout = async (body, mpesaRequest) => {
+  if (mpesaRequest?.purpose !== "payout_verification") return;
+
+  const { error } = await updateTransactionIfStatus(
+    mpesaRequest.transaction_id,
+    TRANSACTION_STATUS.PROCESSING_RELEASE,
+    {
+      status: TRANSACTION_STATUS.RELEASE_FAILED,
+      needs_manual_review: true,
+      b2c_result_description: "Payout status query timed out",
+    },
+    "Payout status query timed out",
+  );
+
+  if (error) {
+    throw error;
+  }
+};
+
+/**
+ * @route   POST /mpesa/callback/transaction-status-timeout/:token
+ * @desc    Callback for Transaction Status query timeouts
+ * @access  M-Pesa callback (token, IP allowlist and request cross-check)
+ */
+router.post(
+  "/callback/transaction-status-timeout{/:token}",
+  verifyMpesaCallback("transaction_status_timeout"),
+  async (req, res) => {
+    console.log(
+      "Transaction Status Timeout Callback:",
+      JSON.stringify(req.body, null, 2),
+    );
+    await ingestCallback("transaction_status_timeout", req, res);
+  },
+);
+
+// ==================== TRANSACTION STATUS ROUTES ====================
+
+/**
+ * @route   POST /mpesa/transaction-status
+ * @desc    Ask Daraja about a payment by M-Pesa receipt / transaction ID.
+ *          Pass transactionId (ours) to store the answer on that row; the
+ *          result arrives asynchronously on the status callbacks.
+ * @access  Admin
+ */
+router.post(
+  "/transaction-status",
+  requireAdmin,
+  mpesaQueryLimiter,
+  async (req, res) => {
+    try {
+      const { mpesaReceiptNumber, transactionId } = req.body;
+
+      if (!mpesaReceiptNumber && !transactionId) {
+        return res.status(400).json({
+          status: "error",
+          message: "mpesaReceiptNumber or transactionId is required",
+        });
+      }
+
+      if (mpesaReceiptNumber && !isMpesaReceipt(mpesaReceiptNumber)) {
+        return res.status(400).json({
+          status: "error",
+          message: "mpesaReceiptNumber is not a valid M-Pesa receipt",
+        });
+      }
+
+      let transaction = null;
+      if (transactionId) {
+        const { transaction: found, error } = await getTransaction(transactionId);
+        if (error) {
+          return res.status(404).json({
+            status: "error",
+            message: "Transaction not found",
+          });
+        }
+        transaction = found;
+      } else {
+        const { transaction: found, error } = await findTransactionByReceipt(
+          mpesaReceiptNumber,
+        );
+        if (error) throw error;
+        transaction = found;
+      }
+
+      const receipt =
+        mpesaReceiptNumber ||
+        transaction?.mpesa_receipt_number ||
+        transaction?.mpesa_transaction_id;
+
+      if (!receipt && !transaction?.mpesa_originator_conversation_id) {
+        return res.status(400).json({
+          status: "error",
+          message: "Transaction has no M-Pesa receipt to query",
+        });
+      }
+
+      // Payout receipts live on the B2C shortcode, payments on the one
+      // that collected them
+      const isPayout =
+        !!transaction &&
+        (!receipt || receipt === transaction.mpesa_transaction_id);
+      const profileName = isPayout
+        ? getOperationProfile("b2c").name
+        : transaction?.mpesa_profile ||
+          getOperationProfile("transactionStatus").name;
+
+      const response = await queryTransactionStatus({
+        transactionID: receipt,
+        originalConversationID: receipt
+          ? undefined
+          : transaction.mpesa_originator_conversation_id,
+        transactionId: transaction?.id,
+        purpose: "support_lookup",
+        profileName,
+      });
+
+      res.status(202).json({
+        status: "success",
+        message: "Transaction status query sent; result will be stored",
+        data: {
+          transactionId: transaction?.id || null,
+          mpesaReceiptNumber: receipt || null,
+          conversationID: response.ConversationID,
+          originatorConversationID: response.OriginatorConversationID,
+          responseCode: response.ResponseCode,
+          responseDescription: response.ResponseDescription,
+        },
+      });
+    } catch (error) {
+      console.error(
+        "Transaction Status Error:",
+        error.response?.data || error.message,
+      );
+      res.status(500).json({
+        status: "error",
+        message: "Failed to query transaction status",
+        error: error.response?.data?.errorMessage || error.message,
+      });
+    }
+  },
+);
+
+/**
+ * @route   GET /mpesa/transaction-status/:transactionId
+ * @desc    Read the last stored Transaction Status result for a transaction
+ * @access  Admin
+ */
+router.get(
+  "/transaction-status/:transactionId",
+  requireAdmin,
+  async (req, res) => {
+    const { transaction, error } = await getTransaction(
+      req.params.transactionId,
+    );
+
+    if (error) {
+      return res.status(404).json({
+        status: "error",
+        message: "Transaction not found",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        transactionId: transaction.id,
+        status: transaction.status,
+        lastStatusQuery: transaction.last_status_query || null,
+        lastStatusQueryAt: transaction.last_status_query_at || null,
+      },
+    });
+  },
+);
+
+// ==================== ACCOUNT BALANCE ====================
+
+// Alert the team when the B2C utility account drops below this (KES)
+const FLOAT_ALERT_THRESHOLD =
+  Number(process.env.MPESA_FLOAT_ALERT_THRESHOLD) || 10000;
+const FLOAT_ALERT_INTERVAL_MS = 60 * 60 * 1000; // at most one alert per hour
+// Refresh the balance in the background once the snapshot is this old
+const BALANCE_MAX_AGE_MS = 10 * 60 * 1000;
+
+// Last-known balance. `reserved` counts payouts sent since the snapshot,
+// which Safaricom has not deducted from the figures we hold yet.
+const balanceCache = {
+  utility: null,
+  working: null,
+  checkedAt: 0,
+  reserved: 0,
+  lastAlertAt: 0,
+  refreshInFlight: null,
+};
+
+export const reserveFloat = (amount) => {
+  balanceCache.reserved += Math.round(amount);
+};
+
+// What the last balance leaves after the payouts sent since
+export const availableFloat = () =>
+  balanceCache.utility - balanceCache.reserved;
+
+// Other payouts waiting on the float (e.g. approved milestones), sent after
+// the queued releases each time a new balance arrives
+const floatListeners = [];
+
+export const onFloatAvailable = (listener) => {
+  floatListeners.push(listener);
+};
+
+/**
+ * Parse Daraja's AccountBalance string, e.g.
+ * "Working Account|KES|700.00|700.00|0.00|0.00&Utility Account|KES|..."
+ */
+const parseAccountBalance = (value = "") => {
+  const accounts = {};
+  String(value)
+    .split("&")
+    .filter(Boolean)
+    .forEach((entry) => {
+      const [name, currency, available, current, reserved, uncleared] =
+        entry.split("|");
+      accounts[name.trim()] = {
+        currency,
+        available: Number(available),
+        current: Number(current),
+        reserved: Number(reserved),
+        uncleared: Number(uncleared),
+      };
+    });
+  return accounts;
+};
+
+const notifyLowFloat = async (available) => {
+  const now = Date.now();
+  if (now - balanceCache.lastAlertAt < FLOAT_ALERT_INTERVAL_MS) return;
+  balanceCache.lastAlertAt = now;
+
+  const message = `⚠️ M-Pesa B2C float low: KES ${available} available (threshold KES ${FLOAT_ALERT_THRESHOLD})`;
+  console.warn(message);
+
+  if (!process.env.FLOAT_ALERT_WEBHOOK_URL) return;
+  try {
+    await axios.post(
+      process.env.FLOAT_ALERT_WEBHOOK_URL,
+      { text: message },
+      { timeout: 10000 },
+    );
+  } catch (error) {
+    console.error("Float alert delivery failed:", error.message);
+  }
+};
+
+/**
+ * Ask Daraja for the B2C shortcode balance. The answer arrives on
+ * /callback/account-balance-result and refreshes balanceCache.
+ */
+const queryAccountBalance = async () => {
+  const profile = getOperationProfile("accountBalance");
+  const accessToken = await generateAccessToken(profile.name);
+
+  const { token: callbackToken, request: mpesaRequest } =
+    await createCallbackToken({ requestType: "account_balance" });
+
+  const balancePayload = {
+    Initiator: profile.initiatorName,
+    SecurityCredential: profile.securityCredential,
+    CommandID: "AccountBalance",
+    PartyA: profile.shortCode,
+    IdentifierType: "4",
+    Remarks: "B2C float check",
+    QueueTimeOutURL: `${CALLBACK_BASE_URL}/callback/account-balance-timeout/${callbackToken}`,
+    ResultURL: `${CALLBACK_BASE_URL}/callback/account-balance-result/${callbackToken}`,
+  };
+
+  const response = await axios.post(
+    `${BASE_URL}/mpesa/accountbalance/v1/query`,
+    balancePayload,
+    {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        "Content-Type": "application/json",
+      },
+      timeout: 15000,
+    }
+  );
+
+  const { error: requestError } = await updateMpesaRequest(mpesaRequest.id, {
+    conversation_id: response.data.ConversationID,
+    originator_conversation_id: response.data.OriginatorConversationID,
+  });
+  if (requestError) {
+    console.error("Failed to record balance query IDs:", requestError);
+  }
+
+  return response.data;
+};
+
+// Fire a balance query unless one is already on its way
+const refreshBalanceInBackground = () => {
+  if (balanceCache.refreshInFlight) return;
+  balanceCache.refreshInFlight = queryAccountBalance()
+    .catch((error) =>
+      console.error("Balance refresh failed:", error.response?.data || error.message),
+    )
+    .finally(() => {
+      balanceCache.refreshInFlight = null;
+    });
+};
+
+/**
+ * Check whether the last known utility balance covers a payout.
+ * With no snapshot at all, payouts are allowed rather than blocked.
+ */
+export const checkPayoutFloat = async (amount) => {
+  if (balanceCache.utility === null) {
+    const { snapshot } = await getLatestBalanceSnapshot();
+    if (snapshot) {
+      balanceCache.utility = Number(snapshot.utility_available);
+      balanceCache.working = Number(snapshot.working_available);
+      balanceCache.checkedAt = new Date(snapshot.created_at).getTime();
+    }
+  }
+
+  if (Date.now() - balanceCache.checkedAt > BALANCE_MAX_AGE_MS) {
+    refreshBalanceInBackground();
+  }
+
+  if (balanceCache.utility === null) {
+    return { sufficient: true, available: null };
+  }
+
+  const available = balanceCache.utility - balanceCache.reserved;
+  return { sufficient: available >= Math.round(amount), available };
+};
+
+/**
+ * Send queued payouts, oldest first, while the new balance covers them.
+ */
+const dispatchQueuedPayouts = async () => {
+  const { payouts, error } = await getQueuedPayouts();
+  if (error) throw error;
+
+  for (const payout of payouts) {
+    const available = balanceCache.utility - balanceCache.reserved;
+    if (available < payout.payout_amount) break;
+
+    try {
+      // The number may have changed while the payout waited
+      const phoneNumber = await resolvePayoutNumber(payout.freelancer_id);
+      await startPayout({
+        transactionId: payout.id,
+        phoneNumber,
+        amount: payout.payout_amount,
+        remarks: payout.payout_remarks,
+        occasion: payout.payout_occasion,
+      });
+      console.log(`📤 Queued payout sent: ${payout.id}`);
+    } catch (sendError) {
+      console.error(
+        `Queued payout ${payout.id} failed to send:`,
+        sendError.response?.data || sendError.message,
+      );
+    }
+  }
 
-  return accessTokenCache.inFlight;
-};
-/**
- * Generate Password for STK Push
- */
-const generatePassword = () => {
-  const timestamp = new Date()
-    .toISOString()
-    .replace(/[^0-9]/g, "")
-    .slice(0, -3);
-  const password = Buffer.from(
-    `${MPESA_CONFIG.shortCode}${MPESA_CONFIG.passKey}${timestamp}`
-  ).toString("base64");
-  return { password, timestamp };
+  for (const listener of floatListeners) {
+    await listener();
+  }
 };
 
 /**
- * Format phone number to M-Pesa format (254XXXXXXXXX)
+ * Apply an Account Balance result: cache it, alert on low float and release
+ * queued payouts the new balance can cover.
  */
-const formatPhoneNumber = (phone) => {
-  // Remove any spaces, dashes, or plus signs
-  let cleaned = phone.replace(/[\s\-+]/g, "");
+const processAccountBalanceResult = async (body) => {
+  const { Result } = body;
 
-  // If starts with 0, replace with 254
-  if (cleaned.startsWith("0")) {
-    cleaned = "254" + cleaned.slice(1);
+  if (Result?.ResultCode !== 0) {
+    console.error("Account Balance query failed:", Result?.ResultDesc);
+    return;
   }
 
-  // If doesn't start with 254, add it
-  if (!cleaned.startsWith("254")) {
-    cleaned = "254" + cleaned;
-  }
+  const parameters = getResultParameters(Result);
+  const accounts = parseAccountBalance(parameters.AccountBalance);
+  const utility = accounts["Utility Account"]?.available ?? 0;
+  const working = accounts["Working Account"]?.available ?? 0;
 
-  return cleaned;
-};
+  const { error } = await saveBalanceSnapshot({
+    utilityAvailable: utility,
+    workingAvailable: working,
+    accounts,
+    completedAt: parameters.BOCompletedTime,
+  });
+  if (error) throw error;
 
-// ==================== CLIENT PAYMENT ROUTES (STK PUSH) ====================
+  balanceCache.utility = utility;
+  balanceCache.working = working;
+  balanceCache.checkedAt = Date.now();
+  balanceCache.reserved = 0;
 
-/**
- * @route   POST /mpesa/stk-push
- * @desc    Initiate STK Push to client's phone for payment
- * @access  Public
- */
-router.post("/stk-push", mpesaStkLimiter, async (req, res) => {
-  try {
-    const { phoneNumber, amount, accountReference, transactionDesc } = req.body;
+  console.log(`💰 B2C utility balance: KES ${utility}`);
 
-    // Validation
-    if (!phoneNumber || !amount) {
-      return res.status(400).json({
-        status: "error",
-        message: "Phone number and amount are required",
-      });
-    }
+  if (utility < FLOAT_ALERT_THRESHOLD) {
+    await notifyLowFloat(utility);
+  }
 
-    if (amount < 1) {
-      return res.status(400).json({
-        status: "error",
-        message: "Amount must be at least 1 KES",
-      });
-    }
+  await dispatchQueuedPayouts();
+};
 
-    // Get access token
-    const accessToken = await generateAccessToken();
-    console.log("Token :", accessToken);
+const processAccountBalanceTimeout = async (body) => {
+  console.warn("Account Balance query timed out:", body?.Result?.ResultDesc);
+};
 
-    // Generate password and timestamp
-    const { password, timestamp } = generatePassword();
-console.log("password & timestamp:", password,timestamp);
-    // Format phone number
-    const formattedPhone = formatPhoneNumber(phoneNumber);
+/**
+ * @route   POST /mpesa/callback/account-balance-result/:token
+ * @desc    Callback for Account Balance results
+ * @access  M-Pesa callback (token, IP allowlist and request cross-check)
+ */
+router.post(
+  "/callback/account-balance-result{/:token}",
+  verifyMpesaCallback("account_balance_result"),
+  async (req, res) => {
+    console.log(
+      "Account Balance Result Callback:",
+      JSON.stringify(req.body, null, 2),
+    );
+    await ingestCallback("account_balance_result", req, res);
+  },
+);
 
-    // STK Push payload
-    const stkPushPayload = {
-      BusinessShortCode: MPESA_CONFIG.shortCode,
-      Password: "MTc0Mzc5YmZiMjc5ZjlhYTliZGJjZjE1OGU5N2RkNzFhNDY3Y2QyZTBjODkzMDU5YjEwZjc4ZTZiNzJhZGExZWQyYzkxOTIwMjEwNjI4MDkyNDA4",
-      Timestamp: "20210628092408",
-      TransactionType: "CustomerPayBillOnline",
-      Amount: Math.round(amount), // M-Pesa doesn't accept decimals
-      PartyA: formattedPhone,
-      PartyB: MPESA_CONFIG.shortCode,
-      PhoneNumber: formattedPhone,
-      CallBackURL: `${CALLBACK_BASE_URL}/callback/stk-push`,
-      AccountReference: accountReference || "Payment",
-      TransactionDesc: transactionDesc || "Payment for services",
-    };
-console.log("payload:", stkPushPayload);
-    // Make STK Push request
-    const response = await axios.post(
-      `${BASE_URL}/mpesa/stkpush/v1/processrequest`,
-      stkPushPayload,
-      {
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-          "Content-Type": "application/json",
-        },
-      }
+/**
+ * @route   POST /mpesa/callback/account-balance-timeout/:token
+ * @desc    Callback for Account Balance timeouts
+ * @access  M-Pesa callback (token, IP allowlist and request cross-check)
+ */
+router.post(
+  "/callback/account-balance-timeout{/:token}",
+  verifyMpesaCallback("account_balance_timeout"),
+  async (req, res) => {
+    console.log(
+      "Account Balance Timeout Callback:",
+      JSON.stringify(req.body, null, 2),
     );
+    await ingestCallback("account_balance_timeout", req, res);
+  },
+);
 
-    res.status(200).json({
+/**
+ * @route   POST /mpesa/account-balance
+ * @desc    Request a fresh B2C shortcode balance from Daraja
+ * @access  Admin
+ */
+router.post("/account-balance", requireAdmin, async (req, res) => {
+  try {
+    const response = await queryAccountBalance();
+
+    res.status(202).json({
       status: "success",
-      message: "STK Push initiated successfully",
+      message: "Account balance query sent",
       data: {
-        merchantRequestID: response.data.MerchantRequestID,
-        checkoutRequestID: response.data.CheckoutRequestID,
-        responseCode: response.data.ResponseCode,
-        responseDescription: response.data.ResponseDescription,
-        customerMessage: response.data.CustomerMessage,
+        conversationID: response.ConversationID,
+        responseDescription: response.ResponseDescription,
       },
     });
   } catch (error) {
-    console.error("STK Push Error:", error.response?.data || error.message);
+    console.error(
+      "Account Balance Error:",
+      error.response?.data || error.message,
+    );
     res.status(500).json({
       status: "error",
-      message: "Failed to initiate STK Push",
-      error: error.response?.data || error.message,
+      message: "Failed to query account balance",
+      error: error.response?.data?.errorMessage || error.message,
     });
   }
 });
 
 /**
- * @route   POST /mpesa/callback/stk-push
- * @desc    Callback for STK Push payment confirmation
- * @access  Public (M-Pesa callback)
+ * @route   GET /mpesa/account-balance
+ * @desc    Last known B2C shortcode balance
+ * @access  Admin
  */
-router.post("/callback/stk-push", async (req, res) => {
-  try {
-    console.log("STK Push Callback Received:", JSON.stringify(req.body, null, 2));
+router.get("/account-balance", requireAdmin, async (req, res) => {
+  await checkPayoutFloat(0);
 
-    const { Body } = req.body;
-    const { stkCallback } = Body;
-
-    // Extract callback data
-    const {
-      MerchantRequestID,
-      CheckoutRequestID,
-      ResultCode,
-      ResultDesc,
-      CallbackMetadata,
-    } = stkCallback;
-
-    if (ResultCode === 0) {
-      // Payment successful
-      const metadata = {};
-      CallbackMetadata?.Item?.forEach((item) => {
-        metadata[item.Name] = item.Value;
-      });
+  res.status(200).json({
+    status: "success",
+    data: {
+      utilityAvailable: balanceCache.utility,
+      workingAvailable: balanceCache.working,
+      reservedSinceCheck: balanceCache.reserved,
+      checkedAt: balanceCache.checkedAt
+        ? new Date(balanceCache.checkedAt).toISOString()
+        : null,
+      alertThreshold: FLOAT_ALERT_THRESHOLD,
+    },
+  });
+});
 
-      console.log("Payment Successful:", {
-        merchantRequestID: MerchantRequestID,
-        checkoutRequestID: CheckoutRequestID,
-        amount: metadata.Amount,
-        mpesaReceiptNumber: metadata.MpesaReceiptNumber,
-        phoneNumber: metadata.PhoneNumber,
-        transactionDate: metadata.TransactionDate,
-      });
+// ==================== REFUNDS (REVERSAL / B2C) ====================
 
-      // TODO: Update your database with payment confirmation
-      // Example: await updatePaymentStatus(CheckoutRequestID, 'completed', metadata);
-    } else {
-      // Payment failed
-      console.log("Payment Failed:", {
-        merchantRequestID: MerchantRequestID,
-        checkoutRequestID: CheckoutRequestID,
-        resultCode: ResultCode,
-        resultDesc: ResultDesc,
-      });
+/**
+ * Reverse an STK payment in full through Daraja's Reversal API.
+ * The answer arrives on /callback/reversal-result.
+ */
+const sendReversal = async ({
+  transactionId,
+  receiptNumber,
+  amount,
+  remarks,
+  profileName = getOperationProfile("reversal").name,
+}) => {
+  const profile = getProfile(profileName);
+  const accessToken = await generateAccessToken(profile.name);
+
+  const { token: callbackToken, request: mpesaRequest } =
+    await createCallbackToken({
+      requestType: "reversal",
+      transactionId,
+      purpose: "refund",
+    });
 
-      // TODO: Update your database with payment failure
-      // Example: await updatePaymentStatus(CheckoutRequestID, 'failed', { ResultDesc });
+  const reversalPayload = {
+    Initiator: profile.initiatorName,
+    SecurityCredential: profile.securityCredential,
+    CommandID: "TransactionReversal",
+    TransactionID: receiptNumber,
+    Amount: Math.round(amount),
+    ReceiverParty: profile.partyB,
+    RecieverIdentifierType: "11", // Daraja's spelling
+    ResultURL: `${CALLBACK_BASE_URL}/callback/reversal-result/${callbackToken}`,
+    QueueTimeOutURL: `${CALLBACK_BASE_URL}/callback/reversal-timeout/${callbackToken}`,
+    Remarks: remarks || "Project cancelled",
+    Occasion: "Refund",
+  };
+
+  const response = await axios.post(
+    `${BASE_URL}/mpesa/reversal/v1/request`,
+    reversalPayload,
+    {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        "Content-Type": "application/json",
+      },
+      timeout: 15000,
     }
+  );
 
-    // Always respond to M-Pesa with success
-    res.status(200).json({
-      ResultCode: 0,
-      ResultDesc: "Accepted",
-    });
-  } catch (error) {
-    console.error("STK Callback Error:", error);
-    res.status(200).json({
-      ResultCode: 0,
-      ResultDesc: "Accepted",
-    });
+  const { error: requestError } = await updateMpesaRequest(mpesaRequest.id, {
+    conversation_id: response.data.ConversationID,
+    originator_conversation_id: response.data.OriginatorConversationID,
+  });
+  if (requestError) {
+    console.error("Failed to record reversal IDs:", requestError);
+  }
+
+  return response.data;
+};
+
+/**
+ * Record the outcome of a refund. Only moves transactions still in
+ * refund_pending, so duplicate or late results are harmless.
+ */
+const completeRefund = async (transactionId, succeeded, updates) => {
+  const { data, error } = await updateTransactionIfStatus(
+    transactionId,
+    TRANSACTION_STATUS.REFUND_PENDING,
+    {
+      ...updates,
+      status: succeeded
+        ? TRANSACTION_STATUS.REFUNDED
+        : TRANSACTION_STATUS.REFUND_FAILED,
+    },
+    succeeded ? "Refund completed" : "Refund failed",
+  );
+
+  if (error) {
+    throw error;
+  }
+
+  if (!data) {
+    console.log(`Refund result for ${transactionId} ignored: not pending`);
+    return;
   }
+
+  console.log(
+    succeeded
+      ? `↩️ Refund completed for transaction ${transactionId}`
+      : `❌ Refund failed for transaction ${transactionId}`,
+  );
+};
+
+// Partial refunds are B2C payments back to the client
+registerB2CPurpose("refund", {
+  result: (Result, mpesaRequest, succeeded) =>
+    completeRefund(mpesaRequest.transaction_id, succeeded, {
+      refund_receipt: Result.TransactionID || null,
+      refund_result_code: String(Result.ResultCode),
+      refund_result_description: Result.ResultDesc,
+    }),
+  timeout: (Result, mpesaRequest) =>
+    completeRefund(mpesaRequest.transaction_id, false, {
+      needs_manual_review: true,
+      refund_result_code: "timeout",
+      refund_result_description: Result?.ResultDesc || "Refund payout timed out",
+    }),
 });
 
 /**
- * @route   POST /mpesa/query-stk
- * @desc    Query the status of an STK Push transaction
- * @access  Public
+ * Refund a client's escrowed M-Pesa payment (the M-Pesa provider's refund).
+ * Always refunds everything still refundable: the whole payment is reversed
+ * on its receipt, while what is left after a dispute split or paid
+ * milestones is a partial refund, paid back to the client's phone through
+ * B2C. Returns { data }; the result arrives by callback.
  */
-router.post("/query-stk",mpesaQueryLimiter, async (req, res) => {
-  try {
-    const { checkoutRequestID } = req.body;
+export const refundByMpesa = async ({ transaction, amount, reason }) => {
+  if (transaction.status !== TRANSACTION_STATUS.HELD_IN_ESCROW) {
+    throw paymentError(
+      `Only escrowed payments can be refunded (status: ${transaction.status})`,
+      "NOT_REFUNDABLE",
+      409,
+    );
+  }
 
-    if (!checkoutRequestID) {
-      return res.status(400).json({
-        status: "error",
-        message: "CheckoutRequestID is required",
-      });
+  if (!transaction.mpesa_receipt_number) {
+    throw paymentError(
+      "Transaction has no M-Pesa receipt to refund",
+      "NOT_REFUNDABLE",
+    );
+  }
+
+  const paidAmount = Math.round(
+    Number(transaction.mpesa_paid_amount || transaction.amount),
+  );
+
+  // After a split only the client's part is left; once milestones have been
+  // paid out, only what they left
+  let refundable = paidAmount;
+  const split = await getPaidSplit(transaction.id);
+  if (split) {
+    refundable = Math.round(Number(split.client_amount));
+  } else if (transaction.escrow_balance != null) {
+    const { milestones, error } = await listMilestones(transaction.id);
+    if (error) throw error;
+
+    if (milestones.some((milestone) => milestone.status === MILESTONE.PROCESSING)) {
+      throw paymentError(
+        "A milestone payout is in progress; refund once it has completed",
+        "MILESTONE_IN_PROGRESS",
+        409,
+      );
     }
-// Check cache first
-    const cachedResult = queryResultCache.get(checkoutRequestID);
-    if (cachedResult && Date.now() < cachedResult.expiresAt) {
-      console.log(`💾 Returning cached result for: ${checkoutRequestID.slice(-10)}`);
-      return res.status(200).json({
-        status: "success",
-        data: cachedResult.data,
-        cached: true,
-      });
+    if (milestones.some((milestone) => milestone.status === MILESTONE.RELEASED)) {
+      refundable = Math.round(Number(transaction.escrow_balance));
     }
+  }
 
-    console.log(`🔍 Querying M-Pesa: ${checkoutRequestID.slice(-10)}`);
-    const accessToken = await generateAccessToken();
-    const { password, timestamp } = generatePassword();
-
-    const queryPayload = {
-      BusinessShortCode: MPESA_CONFIG.shortCode,
-      Password: "MTc0Mzc5YmZiMjc5ZjlhYTliZGJjZjE1OGU5N2RkNzFhNDY3Y2QyZTBjODkzMDU5YjEwZjc4ZTZiNzJhZGExZWQyYzkxOTIwMjEwNjI4MDkyNDA4",
-      Timestamp: "20210628092408",
-      CheckoutRequestID: checkoutRequestID,
-    };
+  const refundAmount = amount ? Math.round(Number(amount)) : refundable;
 
-    const response = await axios.post(
-      `${BASE_URL}/mpesa/stkpushquery/v1/query`,
-      queryPayload,
-      {
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-          "Content-Type": "application/json",
-        },
-        timeout: 15000,
-      }
+  // A refund settles the transaction (refunded), so it must return all that
+  // is still refundable; anything less would strand the rest in escrow
+  if (refundAmount !== refundable) {
+    throw paymentError(
+      `Refund amount must be the ${refundable} KES still refundable`,
+      "INVALID_AMOUNT",
+      400,
+      { refundable },
     );
-      const resultCode = response.data.ResultCode;
-    console.log(`📊 Query result: ${resultCode || "Pending"}`);
-  // Cache the result
-    queryResultCache.set(checkoutRequestID, {
-      data: response.data,
-      expiresAt: Date.now() + QUERY_CACHE_TTL,
-    });
-    // If transaction is complete (success or failure), cache longer
-    if (resultCode === "0" || resultCode === 0 || 
-        (resultCode && resultCode !== "0" && resultCode !== 0)) {
-      queryResultCache.set(checkoutRequestID, {
-        data: response.data,
-        expiresAt: Date.now() + (5 * 60 * 1000), // Cache for 5 minutes
-      });
-    }
-    res.status(200).json({
-      status: "success",
-      data: response.data,
-    });
-  }catch (error) {
-    console.error("❌ Query STK Error:", error.response?.data || error.message);
+  }
 
-    // Handle rate limiting specifically
-    const fault = error.response?.data?.fault;
-    if (fault?.detail?.errorcode === "policies.ratelimit.SpikeArrestViolation") {
-      console.warn("⚠️ Rate limit exceeded");
-      return res.status(429).json({
-        status: "error",
-        message: "Rate limit exceeded. Please wait 60 seconds.",
-        error: "TOO_MANY_REQUESTS",
-      });
-    }
+  const method = refundAmount === paidAmount ? "reversal" : "b2c";
 
-    res.status(500).json({
-      status: "error",
-      message: "Failed to query transaction",
-      error: error.response?.data?.errorMessage || error.message,
+  if (method === "b2c" && refundAmount < 10) {
+    throw paymentError("Minimum partial refund is 10 KES", "INVALID_AMOUNT");
+  }
+
+  // Claim the refund first so a second request cannot send it twice
+  const { data: claimed, error: claimError } = await updateTransactionIfStatus(
+    transaction.id,
+    TRANSACTION_STATUS.HELD_IN_ESCROW,
+    {
+      status: TRANSACTION_STATUS.REFUND_PENDING,
+      refund_method: method,
+      refund_amount: refundAmount,
+      refund_reason: reason || null,
+    },
+    reason ? `Refund requested: ${reason}` : "Refund requested",
+  );
+
+  if (claimError) throw claimError;
+  if (!claimed) {
+    throw paymentError(
+      "Transaction changed while requesting the refund",
+      "TRANSACTION_CHANGED",
+      409,
+    );
+  }
+
+  let response;
+  try {
+    response =
+      method === "reversal"
+        ? await sendReversal({
+            transactionId: transaction.id,
+            receiptNumber: transaction.mpesa_receipt_number,
+            amount: refundAmount,
+            remarks: reason,
+            // Reverse on the shortcode that collected the payment
+            profileName: transaction.mpesa_profile || undefined,
+          })
+        : await sendB2CPayment({
+            transactionId: transaction.id,
+            phoneNumber: transaction.mpesa_phone_number,
+            amount: refundAmount,
+            remarks: reason || "Partial refund",
+            occasion: "Refund",
+            purpose: "refund",
+          });
+  } catch (sendError) {
+    await completeRefund(transaction.id, false, {
+      refund_result_description: "Refund request could not be sent",
     });
+    throw sendError;
   }
-});
 
-// ==================== FREELANCER PAYOUT ROUTES (B2C) ====================
+  const { data: updated } = await updateTransactionIfStatus(
+    transaction.id,
+    TRANSACTION_STATUS.REFUND_PENDING,
+    { refund_conversation_id: response.ConversationID },
+  );
+
+  return {
+    transaction: updated || claimed,
+    data: {
+      transactionId: transaction.id,
+      method,
+      amount: refundAmount,
+      conversationID: response.ConversationID,
+    },
+  };
+};
 
 /**
- * @route   POST /mpesa/b2c-payment
- * @desc    Send payment to freelancer via B2C
- * @access  Public
+ * @route   POST /mpesa/refund
+ * @desc    Refund a client's escrowed STK payment. A full refund reverses the
+ *          M-Pesa receipt; what is left after a dispute split or paid
+ *          milestones is paid back to the client's phone through B2C.
+ *          amount, if given, must be everything still refundable.
+ * @access  Admin
  */
-router.post("/b2c-payment", async (req, res) => {
+router.post("/refund", requireAdmin, async (req, res) => {
   try {
-    const { phoneNumber,transaction,finalProjectId, amount, remarks, occasion } = req.body;
+    const { transactionId, amount, reason } = req.body;
 
-    // Validation
-    if (!phoneNumber || !amount) {
+    if (!transactionId) {
       return res.status(400).json({
         status: "error",
-        message: "Phone number and amount are required",
+        message: "transactionId is required",
       });
     }
 
-    if (amount < 10) {
-      return res.status(400).json({
+    const { transaction, error } = await getTransaction(transactionId);
+    if (error) {
+      return res.status(404).json({
         status: "error",
-        message: "Minimum B2C amount is 10 KES",
+        message: "Transaction not found",
       });
     }
 
-    // Get access token
-    const accessToken = await generateAccessToken();
-
-    // Format phone number
-    const formattedPhone = formatPhoneNumber(phoneNumber);
-const originatorConversationID = `B2C_${transaction?.id || "TX"}_${Date.now()}`;
-
-    // B2C payload
-    const b2cPayload = {
-       OriginatorConversationID: originatorConversationID, 
-      InitiatorName: MPESA_CONFIG.initiatorName,
-      SecurityCredential: MPESA_CONFIG.securityCredential,
-      CommandID: "BusinessPayment", // or "SalaryPayment" or "PromotionPayment"
-      Amount: Math.round(amount),
-      PartyA: MPESA_CONFIG.shortCode,
-      PartyB: formattedPhone,
-      Remarks: remarks || "Payment to freelancer",
-      QueueTimeOutURL: `${CALLBACK_BASE_URL}/callback/b2c-timeout`,
-      ResultURL: `${CALLBACK_BASE_URL}/callback/b2c-result`,
-      Occasion: occasion || "Freelancer Payment",
-    };
-
-    // Make B2C request
-    const response = await axios.post(
-      `${BASE_URL}/mpesa/b2c/v3/paymentrequest`,
-      b2cPayload,
-      {
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-          "Content-Type": "application/json",
-        },
-      }
-    );
- // 3. Update transaction
-      await supabase
-        .from("transactions")
-        .update({
-          status: "processing_release",
-          mpesa_conversation_id: response.data.conversationID,
-        })
-        .eq("id", transaction.id);
-
-        //update projects
-        if (finalProjectId) {
-              const { data: projectData, error: projectError } = await updateProject(finalProjectId);
-              
-              if (projectError) {
-                console.error("Project update failed:", projectError);
-               
-              } else {
-                console.log("Project status updated to completed:", projectData);
-              }
-            }
+    const { data } = await refundByMpesa({ transaction, amount, reason });
 
-    res.status(200).json({
+    res.status(202).json({
       status: "success",
-      message: "B2C payment initiated successfully",
-      data: {
-        conversationID: response.data.ConversationID,
-        originatorConversationID: response.data.OriginatorConversationID,
-        responseCode: response.data.ResponseCode,
-        responseDescription: response.data.ResponseDescription,
-      },
+      message: "Refund initiated",
+      data,
     });
   } catch (error) {
-    console.error("B2C Payment Error:", error.response?.data || error.message);
+    if (sendPaymentError(res, error)) return;
+
+    console.error("Refund Error:", error.response?.data || error.message);
     res.status(500).json({
       status: "error",
-      message: "Failed to initiate B2C payment",
-      error: error.response?.data || error.message,
+      message: "Failed to initiate refund",
+      error: error.response?.data?.errorMessage || error.message,
     });
   }
 });
 
+const processReversalResult = async (body, mpesaRequest) => {
+  const { Result } = body;
+
+  await completeRefund(mpesaRequest.transaction_id, Result.ResultCode === 0, {
+    refund_receipt: Result.TransactionID || null,
+    refund_result_code: String(Result.ResultCode),
+    refund_result_description: Result.ResultDesc,
+  });
+};
+
+// A reversal that timed out may still complete, so leave it for a human
+const processReversalTimeout = async (body, mpesaRequest) => {
+  await completeRefund(mpesaRequest.transaction_id, false, {
+    needs_manual_review: true,
+    refund_result_code: "timeout",
+    refund_result_description:
+      body?.Result?.ResultDesc || "Reversal request timed out",
+  });
+};
+
 /**
- * @route   POST /mpesa/callback/b2c-result
- * @desc    Callback for B2C payment result
- * @access  Public (M-Pesa callback)
+ * @route   POST /mpesa/callback/reversal-result/:token
+ * @desc    Callback for Reversal results
+ * @access  M-Pesa callback (token, IP allowlist and request cross-check)
  */
+router.post(
+  "/callback/reversal-result{/:token}",
+  verifyMpesaCallback("reversal_result"),
+  async (req, res) => {
+    console.log("Reversal Result Callback:", JSON.stringify(req.body, null, 2));
+    await ingestCallback("reversal_result", req, res);
+  },
+);
 
-router.post("/callback/b2c-result", async (req, res) => {
-  try {
-    console.log("B2C Result Callback:", JSON.stringify(req.body, null, 2));
+/**
+ * @route   POST /mpesa/callback/reversal-timeout/:token
+ * @desc    Callback for Reversal timeouts
+ * @access  M-Pesa callback (token, IP allowlist and request cross-check)
+ */
+router.post(
+  "/callback/reversal-timeout{/:token}",
+  verifyMpesaCallback("reversal_timeout"),
+  async (req, res) => {
+    console.log("Reversal Timeout Callback:", JSON.stringify(req.body, null, 2));
+    await ingestCallback("reversal_timeout", req, res);
+  },
+);
 
-    const { Result } = req.body;
-    const { ResultCode, ResultDesc, ResultParameters, ConversationID } = Result;
+// ==================== CALLBACK PROCESSORS ====================
 
-    if (ResultCode === 0) {
-      // Payment successful - update database
-      const parameters = {};
-      Result.ResultParameters?.ResultParameter?.forEach((param) => {
-        parameters[param.Key] = param.Value;
-      });
+// The callbacks above, for the event store (callbackEvents.js), with the
+// Daraja ID used to dedupe Safaricom's retries of the same callback
+const CALLBACK_PROCESSORS = {
+  stk_push: {
+    process: processStkCallback,
+    dedupeKey: (body) => body?.Body?.stkCallback?.CheckoutRequestID,
+  },
+  b2c_result: {
+    process: processB2CResult,
+    dedupeKey: (body) =>
+      body?.Result?.ConversationID || body?.Result?.TransactionID,
+  },
+  b2c_timeout: {
+    process: processB2CTimeout,
+    dedupeKey: (body) =>
+      body?.Result?.ConversationID || body?.Result?.OriginatorConversationID,
+  },
+  transaction_status_result: {
+    process: processTransactionStatusResult,
+    dedupeKey: (body) => body?.Result?.ConversationID,
+  },
+  transaction_status_timeout: {
+    process: processTransactionStatusTimeout,
+    dedupeKey: (body) => body?.Result?.ConversationID,
+  },
+  account_balance_result: {
+    process: processAccountBalanceResult,
+    dedupeKey: (body) => body?.Result?.ConversationID,
+  },
+  account_balance_timeout: {
+    process: processAccountBalanceTimeout,
+    dedupeKey: (body) => body?.Result?.ConversationID,
+  },
+  reversal_result: {
+    process: processReversalResult,
+    dedupeKey: (body) => body?.Result?.ConversationID,
+  },
+  reversal_timeout: {
+    process: processReversalTimeout,
+    dedupeKey: (body) => body?.Result?.ConversationID,
+  },
+};
 
-      console.log("B2C Payment Successful:", {
-        conversationID: ConversationID,
-        transactionID: parameters.TransactionID,
-        amount: parameters.TransactionAmount,
-        recipientPhone: parameters.ReceiverPartyPublicName,
-      });
+Object.entries(CALLBACK_PROCESSORS).forEach(([eventType, processor]) =>
+  registerCallbackProcessor(eventType, processor),
+);
 
-      // TODO: Update your database
-      await supabase
-        .from('transactions')
-        .update({
-          status: 'released',
-          mpesa_transaction_id: parameters.TransactionID,
-          b2c_result_code: '0',
-          b2c_result_description: ResultDesc,
-          released_at: new Date().toISOString(),
-        })
-        .eq('mpesa_conversation_id', ConversationID);
-
-      // TODO: Update project status
-      // TODO: Notify freelancer
-
-    } else {
-      // Payment failed
-      console.log("B2C Payment Failed:", {
-        conversationID: ConversationID,
-        resultCode: ResultCode,
-        resultDesc: ResultDesc,
-      });
+// ==================== NOTIFICATIONS ====================
 
-      // TODO: Update database with failure
-      await supabase
-        .from('transactions')
-        .update({
-          status: 'failed',
-          b2c_result_code: ResultCode,
-          b2c_result_description: ResultDesc,
-        })
-        .eq('mpesa_conversation_id', ConversationID);
-    }
+/**
+ * @route   GET /mpesa/notifications
+ * @desc    The signed-in user's payment notifications, newest first;
+ *          ?unread=true for unread ones only
+ * @access  Private
+ */
+router.get("/notifications", requireAuth, async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
 
-    res.status(200).json({
-      ResultCode: 0,
-      ResultDesc: "Accepted",
-    });
-  } catch (error) {
-    console.error("B2C Result Callback Error:", error);
-    res.status(200).json({
-      ResultCode: 0,
-      ResultDesc: "Accepted",
+  const { notifications, error } = await listNotifications(req.user.id, {
+    unreadOnly: req.query.unread === "true",
+    limit,
+  });
+
+  if (error) {
+    return res.status(500).json({
+      status: "error",
+      message: "Failed to load notifications",
+      error: error.message,
     });
   }
+
+  res.status(200).json({
+    status: "success",
+    data: notifications,
+  });
 });
 
 /**
- * @route   POST /mpesa/callback/b2c-timeout
- * @desc    Callback for B2C timeout
- * @access  Public (M-Pesa callback)
+ * @route   POST /mpesa/notifications/read
+ * @desc    Mark notifications as read: { ids: [...] }, or all without ids
+ * @access  Private
  */
-router.post("/callback/b2c-timeout", async (req, res) => {
-  try {
-    console.log("B2C Timeout Callback:", JSON.stringify(req.body, null, 2));
-
-    // TODO: Handle timeout - maybe retry or mark as failed
-    // Example: await updatePayoutStatus(req.body.ConversationID, 'timeout');
+router.post("/notifications/read", requireAuth, async (req, res) => {
+  const { ids } = req.body || {};
 
-    res.status(200).json({
-      ResultCode: 0,
-      ResultDesc: "Accepted",
+  if (ids !== undefined && (!Array.isArray(ids) || !ids.length)) {
+    return res.status(400).json({
+      status: "error",
+      message: "ids must be a non-empty array when given",
     });
-  } catch (error) {
-    console.error("B2C Timeout Callback Error:", error);
-    res.status(200).json({
-      ResultCode: 0,
-      ResultDesc: "Accepted",
+  }
+
+  const { count, error } = await markNotificationsRead(req.user.id, ids);
+
+  if (error) {
+    return res.status(500).json({
+      status: "error",
+      message: "Failed to update notifications",
+      error: error.message,
     });
   }
+
+  res.status(200).json({
+    status: "success",
+    data: { updated: count },
+  });
 });
 
 // ==================== UTILITY ROUTES ====================
@@ -675,41 +2937,52 @@ router.post("/validate-phone", (req, res) => {
 /**
  * @route   GET /mpesa/debug-config
  * @desc    Debug endpoint to check configuration (DO NOT USE IN PRODUCTION)
- * @access  Public
+ * @access  Admin
  */
-router.get("/debug-config", (req, res) => {
+router.get("/debug-config", requireAdmin, (req, res) => {
   try {
+    const preview = (value) =>
+      value ? value.substring(0, 10) + "..." : "NOT SET";
+    const isMissing = (value) => !value || String(value).includes("your_");
+
+    const issues = [];
+    const profiles = {};
+
+    Object.values(MPESA_CONFIG.profiles).forEach((profile) => {
+      profiles[profile.name] = {
+        hasConsumerKey: !!profile.consumerKey,
+        hasConsumerSecret: !!profile.consumerSecret,
+        hasShortCode: !!profile.shortCode,
+        hasPassKey: !!profile.passKey,
+        hasInitiator: !!profile.initiatorName,
+        consumerKeyPreview: preview(profile.consumerKey),
+        consumerSecretPreview: preview(profile.consumerSecret),
+        shortCode: profile.shortCode || "NOT SET",
+        partyB: profile.partyB || "NOT SET",
+        transactionType: profile.transactionType || null,
+      };
+
+      if (isMissing(profile.consumerKey)) {
+        issues.push(`${profile.name}: Consumer Key is not set or is a placeholder`);
+      }
+      if (isMissing(profile.consumerSecret)) {
+        issues.push(`${profile.name}: Consumer Secret is not set or is a placeholder`);
+      }
+      if (isMissing(profile.shortCode)) {
+        issues.push(`${profile.name}: Shortcode is not set or is a placeholder`);
+      }
+      // Only STK profiles need a passkey
+      if (profile.transactionType && isMissing(profile.passKey)) {
+        issues.push(`${profile.name}: Passkey is not set or is a placeholder`);
+      }
+    });
+
     const config = {
-      hasConsumerKey: !!MPESA_CONFIG.consumerKey,
-      hasConsumerSecret: !!MPESA_CONFIG.consumerSecret,
-      hasShortCode: !!MPESA_CONFIG.shortCode,
-      hasPassKey: !!MPESA_CONFIG.passKey,
       environment: MPESA_CONFIG.environment,
-      consumerKeyPreview: MPESA_CONFIG.consumerKey 
-        ? MPESA_CONFIG.consumerKey.substring(0, 10) + "..." 
-        : "NOT SET",
-      consumerSecretPreview: MPESA_CONFIG.consumerSecret
-        ? MPESA_CONFIG.consumerSecret.substring(0, 10) + "..."
-        : "NOT SET",
-      shortCode: MPESA_CONFIG.shortCode || "NOT SET",
       baseUrl: BASE_URL,
+      profiles,
     };
 
-    const issues = [];
-    
-    if (!MPESA_CONFIG.consumerKey || MPESA_CONFIG.consumerKey.includes("your_")) {
-      issues.push("Consumer Key is not set or is a placeholder");
-    }
-    if (!MPESA_CONFIG.consumerSecret || MPESA_CONFIG.consumerSecret.includes("your_")) {
-      issues.push("Consumer Secret is not set or is a placeholder");
-    }
-    if (!MPESA_CONFIG.shortCode || MPESA_CONFIG.shortCode.includes("your_")) {
-      issues.push("Shortcode is not set or is a placeholder");
-    }
-    if (!MPESA_CONFIG.passKey || MPESA_CONFIG.passKey.includes("your_")) {
-      issues.push("Passkey is not set or is a placeholder");
-    }
-
     res.status(200).json({
       status: issues.length === 0 ? "success" : "warning",
       message: issues.length === 0 
@@ -740,16 +3013,18 @@ router.get("/debug-config", (req, res) => {
 
 /**
  * @route   GET /mpesa/test-token
- * @desc    Test access token generation
- * @access  Public
+ * @desc    Test access token generation (?profile=paybill|till|b2c)
+ * @access  Admin
  */
-router.get("/test-token", async (req, res) => {
+router.get("/test-token", requireAdmin, async (req, res) => {
   try {
-    const accessToken = await generateAccessToken();
+    const profileName = req.query.profile || "paybill";
+    const accessToken = await generateAccessToken(profileName);
     
     res.status(200).json({
       status: "success",
       message: "Access token generated successfully",
+      profile: profileName,
       tokenPreview: accessToken.substring(0, 20) + "...",
       tokenLength: accessToken.length,
     });
@@ -0,0 +1,530 @@
+import express from "express";
+import crypto from "crypto";
+import dotenv from "dotenv";
+import rateLimit from "express-rate-limit";
+import { requireAuth } from "./auth.js";
+import {
+  checkPayoutFloat,
+  formatPhoneNumber,
+  limiterRetryAfter,
+  registerB2CPurpose,
+  reserveFloat,
+  sendB2CPayment,
+  sendRetryLater,
+} from "./MpesaRoutes.js";
+import { notifyUser, sendSmsToUser } from "./notifications.js";
+import {
+  countPayoutNumberPayments,
+  createPayoutNumberVerification,
+  getFreelancerPayoutNumber,
+  getPayoutNumberVerification,
+  listPayoutNumberChanges,
+  setFreelancerPayoutNumber,
+  updatePayoutNumberVerification,
+} from "./payoutNumbers.js";
+import { SharedRateLimitStore } from "./store.js";
+import { getBlockedPhone, profileCheck } from "./supabase.js";
+
+dotenv.config();
+
+const router = express.Router();
+
+// ==================== PAYOUT NUMBER VERIFICATION ====================
+// Freelancers are paid only to an M-Pesa number they have proven they hold,
+// either with an SMS code or by reading back the receipt of a small B2C
+// payment. A changed number can't receive payouts until a cooling-off
+// period has passed, and the old number is told about the change.
+const PAYOUT_NUMBER_COOLING_OFF_MS =
+  Number(process.env.MPESA_PAYOUT_NUMBER_COOLING_OFF_MS) || 24 * 60 * 60 * 1000;
+const PAYOUT_NUMBER_CHECK_AMOUNT =
+  Number(process.env.MPESA_PAYOUT_NUMBER_CHECK_AMOUNT) || 10;
+const PAYOUT_NUMBER_OTP_TTL_MS = 10 * 60 * 1000; // matches the SMS text
+const PAYOUT_NUMBER_PAYMENT_TTL_MS = 24 * 60 * 60 * 1000;
+const PAYOUT_NUMBER_MAX_ATTEMPTS = 5;
+// Confirmation payments any one number can receive per day, across users
+const PAYOUT_NUMBER_PAYMENTS_PER_DAY =
+  Number(process.env.MPESA_PAYOUT_NUMBER_PAYMENTS_PER_DAY) || 2;
+
+const payoutNumberLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5, // Max 5 verification starts per hour
+  standardHeaders: true,
+  legacyHeaders: false,
+  store: new SharedRateLimitStore("payout-number"),
+  passOnStoreError: true,
+  keyGenerator: (req) => `user:${req.user.id}`,
+  handler: (req, res) => {
+    console.warn(`⚠️ Rate limit hit for payout number changes (user ${req.user.id})`);
+    sendRetryLater(
+      res,
+      "Too many payout number requests.",
+      limiterRetryAfter(req, 60 * 60 * 1000),
+    );
+  },
+});
+
+const hashVerificationCode = (userId, code) =>
+  crypto
+    .createHash("sha256")
+    .update(`${userId}:${String(code).trim().toUpperCase()}`)
+    .digest("hex");
+
+const isValidKenyanPhone = (phone) =>
+  phone.length === 12 && /^254\d{9}$/.test(phone);
+
+/**
+ * Apply the B2C result of a confirmation payment: the receipt becomes the
+ * code the freelancer must read back from their M-Pesa SMS.
+ */
+const completePayoutNumberPayment = async (Result, mpesaRequest, succeeded) => {
+  const conversationId = Result?.ConversationID || mpesaRequest?.conversation_id;
+  const { verification, error } = await getPayoutNumberVerification({
+    conversationId,
+  });
+  if (error) throw error;
+
+  // Fails the event so it can be replayed once the ConversationID is stored
+  if (!verification) {
+    throw new Error(`No payout number verification for ${conversationId}`);
+  }
+
+  const receipt = Result?.TransactionID;
+  const { error: updateError } = await updatePayoutNumberVerification(
+    verification.id,
+    { status: "pending" },
+    succeeded && receipt
+      ? { code_hash: hashVerificationCode(verification.user_id, receipt) }
+      : {
+          status: "failed",
+          failure_reason: Result?.ResultDesc || "Confirmation payment failed",
+        },
+  );
+  if (updateError) throw updateError;
+
+  console.log(
+    succeeded
+      ? `📲 Payout number check payment sent for verification ${verification.id}`
+      : `❌ Payout number check payment failed for verification ${verification.id}`,
+  );
+};
+
+registerB2CPurpose("payout_number_check", {
+  result: completePayoutNumberPayment,
+  // Unknown outcome; the freelancer can start another check
+  timeout: (Result, mpesaRequest) =>
+    completePayoutNumberPayment(
+      { ...Result, ResultDesc: "Confirmation payment timed out" },
+      mpesaRequest,
+      false,
+    ),
+});
+
+/**
+ * Whether a confirmation payment may go to this number: only freelancers can
+ * ask for one, each number gets a few per day, and the B2C float must cover
+ * it. Returns the rejection, or null when the payment can be sent.
+ */
+const checkPayoutNumberPayment = async (userId, phoneNumber) => {
+  const { data: profiles, error: profileError } = await profileCheck(userId);
+  if (profileError) throw profileError;
+
+  if (!profiles?.length) {
+    return {
+      httpStatus: 403,
+      code: "FREELANCER_ONLY",
+      message: "Only freelancers can verify a number by payment",
+    };
+  }
+
+  const { count, error } = await countPayoutNumberPayments(
+    phoneNumber,
+    new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(),
+  );
+  if (error) throw error;
+
+  if (count >= PAYOUT_NUMBER_PAYMENTS_PER_DAY) {
+    return {
+      httpStatus: 429,
+      code: "PAYOUT_NUMBER_PAYMENT_LIMIT",
+      message: 'This number has had too many confirmation payments today. Use method "otp" instead.',
+    };
+  }
+
+  const float = await checkPayoutFloat(PAYOUT_NUMBER_CHECK_AMOUNT);
+  if (!float.sufficient) {
+    return {
+      httpStatus: 503,
+      code: "INSUFFICIENT_FLOAT",
+      message: 'Confirmation payments are unavailable right now. Use method "otp" instead.',
+    };
+  }
+
+  return null;
+};
+
+/**
+ * @route   GET /mpesa/payout-number
+ * @desc    The signed-in freelancer's payout number and when it can be used
+ * @access  Private
+ */
+router.get("/payout-number", requireAuth, async (req, res) => {
+  const { payoutNumber, error } = await getFreelancerPayoutNumber(req.user.id);
+
+  if (error) {
+    return res.status(500).json({
+      status: "error",
+      message: "Failed to load payout number",
+      error: error.message,
+    });
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: payoutNumber && {
+      ...payoutNumber,
+      coolingOff:
+        !!payoutNumber.usableAt && new Date(payoutNumber.usableAt) > new Date(),
+    },
+  });
+});
+
+/**
+ * @route   GET /mpesa/payout-number/history
+ * @desc    Every change of the signed-in freelancer's payout number
+ * @access  Private
+ */
+router.get("/payout-number/history", requireAuth, async (req, res) => {
+  const { changes, error } = await listPayoutNumberChanges(req.user.id);
+
+  if (error) {
+    return res.status(500).json({
+      status: "error",
+      message: "Failed to load payout number history",
+      error: error.message,
+    });
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: changes,
+  });
+});
+
+/**
+ * @route   POST /mpesa/payout-number
+ * @desc    Start verifying a new payout number: { phoneNumber, method }.
+ *          method "otp" (default) texts a code to the number; "payment"
+ *          sends it a small B2C payment whose receipt is the code, and is
+ *          only for freelancers, a few times a day per number.
+ * @access  Private
+ */
+router.post(
+  "/payout-number",
+  requireAuth,
+  payoutNumberLimiter,
+  async (req, res) => {
+    try {
+      const { phoneNumber, method = "otp" } = req.body || {};
+
+      if (!["otp", "payment"].includes(method)) {
+        return res.status(400).json({
+          status: "error",
+          message: 'method must be "otp" or "payment"',
+        });
+      }
+
+      const formattedPhone = phoneNumber
+        ? formatPhoneNumber(String(phoneNumber))
+        : "";
+      if (!isValidKenyanPhone(formattedPhone)) {
+        return res.status(400).json({
+          status: "error",
+          message: "A valid Kenyan phone number is required",
+        });
+      }
+
+      const { entry: blocked } = await getBlockedPhone(formattedPhone);
+      if (blocked) {
+        return res.status(403).json({
+          status: "error",
+          message: "This phone number cannot be used for payouts",
+          error: "PHONE_BLOCKED",
+        });
+      }
+
+      const { payoutNumber } = await getFreelancerPayoutNumber(req.user.id);
+      if (payoutNumber?.phoneNumber === formattedPhone) {
+        return res.status(409).json({
+          status: "error",
+          message: "This is already your payout number",
+        });
+      }
+
+      // The payment method spends platform money, so it is limited
+      if (method === "payment") {
+        const rejection = await checkPayoutNumberPayment(
+          req.user.id,
+          formattedPhone,
+        );
+        if (rejection) {
+          return res.status(rejection.httpStatus).json({
+            status: "error",
+            message: rejection.message,
+            error: rejection.code,
+          });
+        }
+      }
+
+      const otp =
+        method === "otp"
+          ? String(crypto.randomInt(0, 1000000)).padStart(6, "0")
+          : null;
+
+      const { verification, error } = await createPayoutNumberVerification({
+        userId: req.user.id,
+        phoneNumber: formattedPhone,
+        method,
+        codeHash: otp && hashVerificationCode(req.user.id, otp),
+        expiresAt: new Date(
+          Date.now() +
+            (otp ? PAYOUT_NUMBER_OTP_TTL_MS : PAYOUT_NUMBER_PAYMENT_TTL_MS),
+        ).toISOString(),
+      });
+      if (error) throw error;
+
+      if (otp) {
+        const sent = await sendSmsToUser(
+          req.user.id,
+          formattedPhone,
+          "payout_number_otp",
+          { code: otp },
+        );
+        if (sent !== "sent") {
+          await updatePayoutNumberVerification(
+            verification.id,
+            { status: "pending" },
+            { status: "failed", failure_reason: "Code could not be sent" },
+          );
+          return res.status(502).json({
+            status: "error",
+            message: "Could not send the verification code. Please try again.",
+          });
+        }
+      } else {
+        try {
+          const b2cResponse = await sendB2CPayment({
+            phoneNumber: formattedPhone,
+            amount: PAYOUT_NUMBER_CHECK_AMOUNT,
+            remarks: "Payout number check",
+            occasion: "Verification",
+            purpose: "payout_number_check",
+          });
+          reserveFloat(PAYOUT_NUMBER_CHECK_AMOUNT);
+          await updatePayoutNumberVerification(
+            verification.id,
+            { status: "pending" },
+            { conversation_id: b2cResponse.ConversationID },
+          );
+        } catch (sendError) {
+          await updatePayoutNumberVerification(
+            verification.id,
+            { status: "pending" },
+            {
+              status: "failed",
+              failure_reason: "Confirmation payment could not be sent",
+            },
+          );
+          throw sendError;
+        }
+      }
+
+      res.status(202).json({
+        status: "success",
+        message: otp
+          ? "We sent a code to the number. Submit it to confirm the number."
+          : `We are sending KES ${PAYOUT_NUMBER_CHECK_AMOUNT} to the number. Submit the M-Pesa receipt code from the SMS to confirm it.`,
+        data: {
+          verificationId: verification.id,
+          method,
+          phoneNumber: formattedPhone,
+          expiresAt: verification.expires_at,
+        },
+      });
+    } catch (error) {
+      console.error(
+        "Payout Number Error:",
+        error.response?.data || error.message,
+      );
+      res.status(500).json({
+        status: "error",
+        message: "Failed to start payout number verification",
+        error: error.response?.data || error.message,
+      });
+    }
+  },
+);
+
+/**
+ * @route   POST /mpesa/payout-number/verify
+ * @desc    Confirm a payout number: { verificationId, code }, where code is
+ *          the SMS code or the M-Pesa receipt of the confirmation payment
+ * @access  Private
+ */
+router.post("/payout-number/verify", requireAuth, async (req, res) => {
+  try {
+    const { verificationId, code } = req.body || {};
+
+    if (!verificationId || !code) {
+      return res.status(400).json({
+        status: "error",
+        message: "verificationId and code are required",
+      });
+    }
+
+    const { verification, error } = await getPayoutNumberVerification({
+      id: verificationId,
+    });
+    if (error) throw error;
+
+    if (!verification || verification.user_id !== req.user.id) {
+      return res.status(404).json({
+        status: "error",
+        message: "Verification not found",
+      });
+    }
+
+    if (verification.status !== "pending") {
+      return res.status(409).json({
+        status: "error",
+        message: `Verification is ${verification.status}; start a new one`,
+      });
+    }
+
+    if (new Date(verification.expires_at) <= new Date()) {
+      await updatePayoutNumberVerification(
+        verification.id,
+        { status: "pending" },
+        { status: "expired" },
+      );
+      return res.status(410).json({
+        status: "error",
+        message: "Verification expired; start a new one",
+      });
+    }
+
+    if (!verification.code_hash) {
+      return res.status(409).json({
+        status: "error",
+        message: "The confirmation payment has not arrived yet. Try again shortly.",
+      });
+    }
+
+    // Count the attempt first, so parallel guesses can't share one
+    const attempts = verification.attempts + 1;
+    const { verification: counted, error: countError } =
+      await updatePayoutNumberVerification(
+        verification.id,
+        { status: "pending", attempts: verification.attempts },
+        {
+          attempts,
+          ...(attempts >= PAYOUT_NUMBER_MAX_ATTEMPTS
+            ? { status: "failed", failure_reason: "Too many wrong codes" }
+            : {}),
+        },
+      );
+    if (countError) throw countError;
+    if (!counted) {
+      return res.status(409).json({
+        status: "error",
+        message: "Verification changed; please try again",
+      });
+    }
+
+    const expected = Buffer.from(verification.code_hash, "hex");
+    const provided = Buffer.from(hashVerificationCode(req.user.id, code), "hex");
+    if (!crypto.timingSafeEqual(expected, provided)) {
+      const attemptsRemaining = Math.max(0, PAYOUT_NUMBER_MAX_ATTEMPTS - attempts);
+      return res.status(400).json({
+        status: "error",
+        message: attemptsRemaining
+          ? "Incorrect code"
+          : "Incorrect code. Too many attempts; start a new verification.",
+        error: "INVALID_CODE",
+        attemptsRemaining,
+      });
+    }
+
+    // A correct last attempt still counts; it was marked failed above
+    const now = new Date();
+    const { verification: verified, error: verifyError } =
+      await updatePayoutNumberVerification(
+        verification.id,
+        { attempts },
+        { status: "verified", verified_at: now.toISOString() },
+      );
+    if (verifyError) throw verifyError;
+    if (!verified) {
+      return res.status(409).json({
+        status: "error",
+        message: "Verification changed; please try again",
+      });
+    }
+
+    const { payoutNumber: previous, error: previousError } =
+      await getFreelancerPayoutNumber(req.user.id);
+    if (previousError) throw previousError;
+
+    const usableAt = new Date(
+      previous ? now.getTime() + PAYOUT_NUMBER_COOLING_OFF_MS : now.getTime(),
+    ).toISOString();
+
+    const { error: saveError } = await setFreelancerPayoutNumber({
+      userId: req.user.id,
+      phoneNumber: verification.phone_number,
+      previousPhoneNumber: previous?.phoneNumber,
+      method: verification.method,
+      verificationId: verification.id,
+      usableAt,
+    });
+    if (saveError) throw saveError;
+
+    if (previous) {
+      const values = { phoneNumber: verification.phone_number, usableAt };
+      // The old number hears about it too, in case the account was taken over
+      sendSmsToUser(
+        req.user.id,
+        previous.phoneNumber,
+        "payout_number_changed",
+        values,
+      );
+      notifyUser({
+        userId: req.user.id,
+        type: "payout_number_changed",
+        values,
+        data: { oldPhoneNumber: previous.phoneNumber, ...values },
+      });
+    }
+
+    console.log(`✅ Payout number verified for user ${req.user.id}`);
+
+    res.status(200).json({
+      status: "success",
+      message: previous
+        ? "Payout number changed. Payouts to it start after the cooling-off period."
+        : "Payout number verified",
+      data: {
+        phoneNumber: verification.phone_number,
+        usableAt,
+      },
+    });
+  } catch (error) {
+    console.error("Payout Number Verify Error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Failed to verify payout number",
+      error: error.message,
+    });
+  }
+});
+
+export default router;
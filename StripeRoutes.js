@@ -0,0 +1,422 @@
+import express from "express";
+import dotenv from "dotenv";
+import { isAdmin, requireAuth } from "./auth.js";
+import { openEscrowTransaction, sendPaymentError } from "./paymentProviders.js";
+import {
+  constructWebhookEvent,
+  createAccount,
+  createAccountLink,
+  retrieveAccount,
+} from "./stripe.js";
+import { stripeProvider } from "./stripeProvider.js";
+import {
+  getTransaction,
+  getTransactionByPaymentIntent,
+  profileCheck,
+  removeFreelancerStripeAccount,
+  updateFreelancerStripeAccount,
+  updateTransaction,
+} from "./supabase.js";
+import {
+  TRANSACTION_STATUS,
+  transitionTransaction,
+} from "./transactionStatus.js";
+
+dotenv.config();
+
+const router = express.Router();
+
+// ==================== STRIPE ====================
+// Card payments and Stripe Connect payouts, for freelancers M-Pesa cannot
+// reach. Point STRIPE_API_BASE at stripe-mock (http://localhost:12111) to
+// run all of this locally; see test-stripe.sh.
+
+const S = TRANSACTION_STATUS;
+
+// Stripe errors are the upstream's fault (502); a missing key is ours (503)
+const sendStripeError = (res, error, message) => {
+  if (sendPaymentError(res, error)) return;
+
+  if (error.code === "STRIPE_ERROR") {
+    return res.status(502).json({
+      status: "error",
+      message: `${message}: ${error.message}`,
+      error: error.stripeCode || error.code,
+    });
+  }
+
+  if (error.code === "STRIPE_NOT_CONFIGURED") {
+    return res.status(503).json({
+      status: "error",
+      message: "Stripe payments are not available",
+      error: error.code,
+    });
+  }
+
+  console.error(`${message}:`, error.message);
+  res.status(500).json({
+    status: "error",
+    message,
+    error: error.message,
+  });
+};
+
+// The connected account saved on the user's freelancer profile, if any
+const getConnectedAccountId = async (userId) => {
+  const { data, error } = await profileCheck(userId);
+  if (error) throw error;
+  return data?.[0]?.stripe_account_id || null;
+};
+
+// What the frontend needs to know about a connected account
+const toConnectAccount = (account) => ({
+  id: account.id,
+  chargesEnabled: !!account.charges_enabled,
+  payoutsEnabled: !!account.payouts_enabled,
+  detailsSubmitted: !!account.details_submitted,
+  currentlyDue: account.requirements?.currently_due || [],
+});
+
+// ==================== CONNECT ONBOARDING ====================
+
+/**
+ * @route   POST /stripe/connect/account
+ * @desc    Create the freelancer's Stripe Express account (or return the one
+ *          they already have). Optional body: { country }.
+ * @access  Private (freelancer)
+ */
+router.post("/connect/account", requireAuth, async (req, res) => {
+  try {
+    const existingId = await getConnectedAccountId(req.user.id);
+    if (existingId) {
+      const account = await retrieveAccount(existingId);
+      return res.status(200).json({
+        status: "success",
+        message: "Stripe account already connected",
+        data: toConnectAccount(account),
+      });
+    }
+
+    const account = await createAccount(
+      {
+        type: "express",
+        country: req.body?.country || undefined,
+        email: req.user.email || undefined,
+        capabilities: { transfers: { requested: true } },
+        metadata: { user_id: req.user.id },
+      },
+      // Double submits get the same account instead of two
+      { idempotencyKey: `connect-account-${req.user.id}` },
+    );
+
+    const { error } = await updateFreelancerStripeAccount(
+      req.user.id,
+      account.id,
+    );
+    if (error) throw error;
+
+    console.log(`✅ Stripe account ${account.id} created for ${req.user.id}`);
+    res.status(201).json({
+      status: "success",
+      message: "Stripe account created",
+      data: toConnectAccount(account),
+    });
+  } catch (error) {
+    sendStripeError(res, error, "Failed to create Stripe account");
+  }
+});
+
+/**
+ * @route   GET /stripe/connect/account
+ * @desc    The freelancer's connected account and whether it can be paid
+ * @access  Private (freelancer)
+ */
+router.get("/connect/account", requireAuth, async (req, res) => {
+  try {
+    const accountId = await getConnectedAccountId(req.user.id);
+    if (!accountId) {
+      return res.status(200).json({ status: "success", data: null });
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: toConnectAccount(await retrieveAccount(accountId)),
+    });
+  } catch (error) {
+    sendStripeError(res, error, "Failed to load Stripe account");
+  }
+});
+
+/**
+ * @route   DELETE /stripe/connect/account
+ * @desc    Disconnect the freelancer's Stripe account. The account itself
+ *          stays with Stripe; later payouts need a new one.
+ * @access  Private (freelancer)
+ */
+router.delete("/connect/account", requireAuth, async (req, res) => {
+  try {
+    const { data, error } = await removeFreelancerStripeAccount(req.user.id);
+    if (error || !data) {
+      return res.status(404).json({
+        status: "error",
+        message: "No Stripe account connected",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Stripe account disconnected",
+    });
+  } catch (error) {
+    sendStripeError(res, error, "Failed to disconnect Stripe account");
+  }
+});
+
+/**
+ * @route   POST /stripe/connect/onboarding-link
+ * @desc    One-time Stripe-hosted onboarding link for the freelancer's
+ *          account. Redirect URLs come from STRIPE_CONNECT_REFRESH_URL and
+ *          STRIPE_CONNECT_RETURN_URL, or { refreshUrl, returnUrl }.
+ * @access  Private (freelancer)
+ */
+router.post("/connect/onboarding-link", requireAuth, async (req, res) => {
+  try {
+    const accountId = await getConnectedAccountId(req.user.id);
+    if (!accountId) {
+      return res.status(409).json({
+        status: "error",
+        message: "Create a Stripe account first",
+        error: "STRIPE_ACCOUNT_MISSING",
+      });
+    }
+
+    const refreshUrl =
+      process.env.STRIPE_CONNECT_REFRESH_URL || req.body?.refreshUrl;
+    const returnUrl =
+      process.env.STRIPE_CONNECT_RETURN_URL || req.body?.returnUrl;
+    if (!refreshUrl || !returnUrl) {
+      return res.status(400).json({
+        status: "error",
+        message: "refreshUrl and returnUrl are required",
+      });
+    }
+
+    const link = await createAccountLink({
+      account: accountId,
+      refresh_url: refreshUrl,
+      return_url: returnUrl,
+      type: "account_onboarding",
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        url: link.url,
+        expiresAt: new Date(link.expires_at * 1000).toISOString(),
+      },
+    });
+  } catch (error) {
+    sendStripeError(res, error, "Failed to create onboarding link");
+  }
+});
+
+// ==================== PAYMENTS ====================
+
+/**
+ * @route   POST /stripe/payment-intents
+ * @desc    Pay for an accepted bid by card: { projectId, bidId }. Creates the
+ *          pending transaction and its PaymentIntent; the frontend confirms
+ *          it with Stripe.js using clientSecret.
+ * @access  Private (client who owns the project)
+ */
+router.post("/payment-intents", requireAuth, async (req, res) => {
+  try {
+    const { projectId, bidId } = req.body || {};
+    if (!projectId || !bidId) {
+      return res.status(400).json({
+        status: "error",
+        message: "projectId and bidId are required",
+      });
+    }
+
+    const { transaction: opened } = await openEscrowTransaction({
+      user: req.user,
+      projectId,
+      bidId,
+      provider: stripeProvider.name,
+    });
+
+    const { transaction, data } = await stripeProvider.collect({
+      transaction: opened,
+      user: req.user,
+      params: req.body,
+    });
+
+    res.status(201).json({
+      status: "success",
+      message: "PaymentIntent created",
+      data: {
+        transactionId: transaction.id,
+        amount: transaction.amount,
+        ...data,
+      },
+    });
+  } catch (error) {
+    sendStripeError(res, error, "Failed to create PaymentIntent");
+  }
+});
+
+/**
+ * @route   POST /stripe/transfers/:transactionId
+ * @desc    Release escrow: transfer the freelancer's share of a card payment
+ *          to their connected account
+ * @access  Private (client on the transaction, or admin)
+ */
+router.post("/transfers/:transactionId", requireAuth, async (req, res) => {
+  try {
+    const { transaction, error } = await getTransaction(
+      req.params.transactionId,
+    );
+    if (error || !transaction) {
+      return res.status(404).json({
+        status: "error",
+        message: "Transaction not found",
+      });
+    }
+
+    if (transaction.client_id !== req.user.id && !isAdmin(req.user)) {
+      return res.status(403).json({
+        status: "error",
+        message: "Only the client on this transaction can release it",
+        error: "FORBIDDEN",
+      });
+    }
+
+    if (transaction.payment_provider !== stripeProvider.name) {
+      return res.status(409).json({
+        status: "error",
+        message: "This transaction was not paid with Stripe",
+        error: "PROVIDER_MISMATCH",
+      });
+    }
+
+    const { transaction: released, data } = await stripeProvider.release({
+      transaction,
+      user: req.user,
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Payment released to freelancer",
+      data: { transactionId: released.id, status: released.status, ...data },
+    });
+  } catch (error) {
+    sendStripeError(res, error, "Failed to release payment");
+  }
+});
+
+// ==================== WEBHOOK ====================
+
+// payment_intent.succeeded: move the pending transaction into escrow
+const handlePaymentSucceeded = async (intent) => {
+  const { transaction } = await getTransactionByPaymentIntent(intent.id);
+  if (!transaction) {
+    console.log(`⚠️ No transaction for PaymentIntent ${intent.id}`);
+    return;
+  }
+  if (transaction.status !== S.PENDING) {
+    console.log(`ℹ️ Transaction ${transaction.id} already ${transaction.status}`);
+    return;
+  }
+
+  const { error } = await updateTransaction(intent.id, {
+    stripe_charge_id: intent.latest_charge || null,
+  });
+  if (error) throw error;
+  console.log(`✅ Stripe payment ${intent.id} held in escrow`);
+};
+
+// payment_intent.canceled: the client has to start a new payment
+const handlePaymentCanceled = async (intent) => {
+  const { error } = await transitionTransaction({
+    match: { payment_intent_id: intent.id },
+    from: S.PENDING,
+    to: S.FAILED,
+    reason: "Stripe payment canceled",
+    metadata: { paymentIntentId: intent.id },
+  });
+  if (error && error.message !== "Transaction not found") throw error;
+};
+
+// charge.refunded / refund.updated: settle a pending refund
+const handleRefundUpdated = async (paymentIntentId) => {
+  if (!paymentIntentId) return;
+  const { transaction } = await getTransactionByPaymentIntent(paymentIntentId);
+  if (transaction?.status === S.REFUND_PENDING) {
+    await stripeProvider.confirm({ transaction });
+  }
+};
+
+/**
+ * @route   POST /stripe/webhook
+ * @desc    Stripe events, verified with STRIPE_WEBHOOK_SECRET against the
+ *          raw body. Anything we do not handle is acknowledged and ignored;
+ *          a 500 makes Stripe retry.
+ * @access  Public (Stripe-Signature)
+ */
+router.post("/webhook", async (req, res) => {
+  let event;
+  try {
+    event = constructWebhookEvent(
+      req.rawBody,
+      req.get("stripe-signature"),
+      process.env.STRIPE_WEBHOOK_SECRET,
+    );
+  } catch (error) {
+    console.error("❌ Stripe webhook rejected:", error.message);
+    return res.status(400).json({
+      status: "error",
+      message: "Invalid Stripe signature",
+    });
+  }
+
+  console.log(`=== 💳 STRIPE WEBHOOK: ${event.type} (${event.id}) ===`);
+
+  try {
+    const object = event.data?.object || {};
+
+    switch (event.type) {
+      case "payment_intent.succeeded":
+        await handlePaymentSucceeded(object);
+        break;
+      case "payment_intent.canceled":
+        await handlePaymentCanceled(object);
+        break;
+      case "payment_intent.payment_failed":
+        // The client can try another card on the same PaymentIntent
+        console.log(`⚠️ Stripe payment ${object.id} attempt failed`);
+        break;
+      case "charge.refunded":
+      case "refund.updated":
+        await handleRefundUpdated(object.payment_intent);
+        break;
+      case "account.updated":
+        console.log(
+          `ℹ️ Stripe account ${object.id}: payouts ${object.payouts_enabled ? "enabled" : "disabled"}`,
+        );
+        break;
+      default:
+        break;
+    }
+
+    res.status(200).json({ received: true });
+  } catch (error) {
+    console.error(`❌ Stripe webhook ${event.type} failed:`, error);
+    res.status(500).json({
+      status: "error",
+      message: "Failed to process Stripe event",
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,223 @@
+import express from "express";
+import { requireAdmin } from "./auth.js";
+import {
+  attemptDelivery,
+  createWebhookSubscription,
+  deactivateWebhookSubscription,
+  generateWebhookSecret,
+  getWebhookDelivery,
+  listWebhookDeliveries,
+  listWebhookSubscriptions,
+  retryDueDeliveries,
+  WEBHOOK_EVENTS,
+} from "./webhooks.js";
+
+const router = express.Router();
+
+// ==================== WEBHOOKS ====================
+
+/**
+ * @route   GET /mpesa/webhooks
+ * @desc    List webhook subscriptions (secrets are not returned)
+ * @access  Admin
+ */
+router.get("/webhooks", requireAdmin, async (req, res) => {
+  const { subscriptions, error } = await listWebhookSubscriptions();
+
+  if (error) {
+    return res.status(500).json({
+      status: "error",
+      message: "Failed to list webhooks",
+      error: error.message,
+    });
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: subscriptions,
+  });
+});
+
+/**
+ * @route   POST /mpesa/webhooks
+ * @desc    Subscribe a URL to events, e.g.
+ *          { url, events: ["payment.succeeded"], description }.
+ *          The signing secret is only returned here.
+ * @access  Admin
+ */
+router.post("/webhooks", requireAdmin, async (req, res) => {
+  try {
+    const { url, events = ["*"], description } = req.body || {};
+
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch {
+      parsedUrl = null;
+    }
+    if (!parsedUrl || !["http:", "https:"].includes(parsedUrl.protocol)) {
+      return res.status(400).json({
+        status: "error",
+        message: "A valid http(s) url is required",
+      });
+    }
+
+    const unknown = [].concat(events).filter(
+      (event) => event !== "*" && !WEBHOOK_EVENTS.includes(event),
+    );
+    if (!events.length || unknown.length) {
+      return res.status(400).json({
+        status: "error",
+        message: `Unknown events: ${unknown.join(", ") || "none given"}`,
+        validEvents: WEBHOOK_EVENTS,
+      });
+    }
+
+    const { subscription, error } = await createWebhookSubscription({
+      url: parsedUrl.toString(),
+      secret: generateWebhookSecret(),
+      events: [].concat(events),
+      description,
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    res.status(201).json({
+      status: "success",
+      message: "Webhook created. Store the secret now; it is not shown again.",
+      data: subscription,
+    });
+  } catch (error) {
+    console.error("Create Webhook Error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Failed to create webhook",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   DELETE /mpesa/webhooks/:id
+ * @desc    Deactivate a webhook subscription; its delivery log is kept
+ * @access  Admin
+ */
+router.delete("/webhooks/:id", requireAdmin, async (req, res) => {
+  const { subscription, error } = await deactivateWebhookSubscription(
+    req.params.id,
+  );
+
+  if (error) {
+    return res.status(500).json({
+      status: "error",
+      message: "Failed to deactivate webhook",
+      error: error.message,
+    });
+  }
+
+  if (!subscription) {
+    return res.status(404).json({
+      status: "error",
+      message: "Webhook not found",
+    });
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: subscription,
+  });
+});
+
+/**
+ * @route   GET /mpesa/webhook-deliveries
+ * @desc    Delivery log, e.g. ?status=failed&subscriptionId=...&eventType=...
+ * @access  Admin
+ */
+router.get("/webhook-deliveries", requireAdmin, async (req, res) => {
+  const { status, subscriptionId, eventType } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
+
+  const { deliveries, error } = await listWebhookDeliveries({
+    status,
+    subscriptionId,
+    eventType,
+    limit,
+  });
+
+  if (error) {
+    return res.status(500).json({
+      status: "error",
+      message: "Failed to list webhook deliveries",
+      error: error.message,
+    });
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: deliveries,
+  });
+});
+
+/**
+ * @route   POST /mpesa/webhook-deliveries/:id/redeliver
+ * @desc    Send a delivery again now, whatever its status
+ * @access  Admin
+ */
+router.post(
+  "/webhook-deliveries/:id/redeliver",
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const { delivery, error } = await getWebhookDelivery(req.params.id);
+
+      if (error) {
+        throw error;
+      }
+
+      if (!delivery) {
+        return res.status(404).json({
+          status: "error",
+          message: "Webhook delivery not found",
+        });
+      }
+
+      const result = await attemptDelivery(delivery);
+
+      if (!result) {
+        return res.status(409).json({
+          status: "error",
+          message: "Delivery is already being sent; try again shortly",
+        });
+      }
+
+      res.status(200).json({
+        status: result.status === "delivered" ? "success" : "error",
+        data: result,
+      });
+    } catch (error) {
+      console.error("Redeliver Webhook Error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Failed to redeliver webhook",
+        error: error.message,
+      });
+    }
+  },
+);
+
+/**
+ * @route   POST /mpesa/webhook-deliveries/retry
+ * @desc    Run the webhook retry worker now
+ * @access  Admin
+ */
+router.post("/webhook-deliveries/retry", requireAdmin, async (req, res) => {
+  const summary = await retryDueDeliveries();
+  res.status(200).json({
+    status: "success",
+    data: summary,
+  });
+});
+
+export default router;
@@ -0,0 +1,85 @@
+import crypto from "crypto";
+import { supabaseAdmin } from "./Client.js";
+
+// ==================== AUTHENTICATION ====================
+
+const getBearerToken = (req) => {
+  const header = req.get("authorization") || "";
+  const [scheme, token] = header.split(" ");
+  return scheme?.toLowerCase() === "bearer" && token ? token : null;
+};
+
+// Roles live in app_metadata, which only the service role can change
+export const isAdmin = (user) => user?.app_metadata?.role === "admin";
+
+const hasValidAdminKey = (req) => {
+  const expected = process.env.ADMIN_API_KEY;
+  const provided = req.get("x-admin-key") || "";
+
+  return (
+    !!expected &&
+    provided.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected))
+  );
+};
+
+/**
+ * Verify the Supabase JWT in the Authorization header and expose the user
+ * as req.user. Responds 401 when it is missing, invalid or expired.
+ */
+export const requireAuth = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+
+    if (!token) {
+      return res.status(401).json({
+        status: "error",
+        message: "Authentication required",
+        error: "UNAUTHORIZED",
+      });
+    }
+
+    const { data, error } = await supabaseAdmin.auth.getUser(token);
+
+    if (error || !data?.user) {
+      return res.status(401).json({
+        status: "error",
+        message: "Invalid or expired session. Please sign in again.",
+        error: "UNAUTHORIZED",
+      });
+    }
+
+    req.user = data.user;
+    next();
+  } catch (error) {
+    console.error("Auth error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Failed to verify session",
+    });
+  }
+};
+
+/**
+ * Allow admins only: either a Supabase user whose app_metadata.role is
+ * "admin", or internal tooling presenting the shared x-admin-key.
+ */
+export const requireAdmin = (req, res, next) => {
+  if (hasValidAdminKey(req)) {
+    req.isAdmin = true;
+    return next();
+  }
+
+  requireAuth(req, res, () => {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({
+        status: "error",
+        message: "Admin access required",
+        error: "FORBIDDEN",
+      });
+    }
+
+    req.isAdmin = true;
+    next();
+  });
+};
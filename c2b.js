@@ -0,0 +1,126 @@
+import { supabase, supabaseAdmin } from "./Client.js";
+import { parseMpesaTimestamp } from "./supabase.js";
+import {
+  TRANSACTION_STATUS,
+  transitionTransaction,
+} from "./transactionStatus.js";
+
+// ==================== C2B PAYBILL PAYMENTS ====================
+
+// Pending M-Pesa transaction waiting for a paybill payment with this account number
+export const getPendingTransactionByReference = async (accountReference) => {
+  try {
+    const { data, error } = await supabase
+      .from("transactions")
+      .select("*")
+      .eq("mpesa_account_reference", accountReference)
+      .eq("status", TRANSACTION_STATUS.PENDING)
+      .order("created_at", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      console.error("getPendingTransactionByReference error:", error);
+      return { transaction: null, error };
+    }
+
+    return { transaction: data, error: null };
+  } catch (error) {
+    console.error("getPendingTransactionByReference catch error:", error);
+    return { transaction: null, error };
+  }
+};
+
+// Move a pending transaction into escrow from a C2B confirmation
+export const updateC2BTransaction = async (
+  transactionId,
+  payment,
+  profileName,
+) => {
+  try {
+    const { data, error } = await transitionTransaction({
+      match: { id: transactionId },
+      from: TRANSACTION_STATUS.PENDING,
+      to: TRANSACTION_STATUS.HELD_IN_ESCROW,
+      updates: {
+        payment_channel: "c2b",
+        mpesa_receipt_number: payment.TransID,
+        mpesa_paid_amount: Number(payment.TransAmount),
+        mpesa_phone_number: payment.MSISDN ? String(payment.MSISDN) : null,
+        mpesa_transaction_date: parseMpesaTimestamp(payment.TransTime),
+        ...(profileName ? { mpesa_profile: profileName } : {}),
+      },
+      reason: "Paybill payment confirmed",
+      metadata: { mpesaReceiptNumber: payment.TransID },
+    });
+
+    if (error) {
+      console.error("C2B transaction update error:", error);
+      return { data: null, error };
+    }
+
+    if (!data) {
+      return {
+        data: null,
+        error: new Error(`Transaction ${transactionId} is no longer pending`),
+      };
+    }
+
+    console.log("C2B transaction updated to escrow:", data.id);
+    return { data, error: null };
+  } catch (error) {
+    console.error("update C2B transaction error:", error);
+    return { data: null, error };
+  }
+};
+
+// Record a paybill payment whose amount differs from the transaction it named.
+// The transaction stays pending and is flagged for manual review.
+export const recordC2BAmountMismatch = async (
+  transaction,
+  payment,
+  profileName,
+) => {
+  try {
+    const { error } = await supabaseAdmin
+      .from("c2b_amount_mismatches")
+      .upsert(
+        {
+          transaction_id: transaction.id,
+          trans_id: payment.TransID,
+          expected_amount: transaction.amount,
+          paid_amount: Number(payment.TransAmount),
+          phone_number: payment.MSISDN ? String(payment.MSISDN) : null,
+          business_short_code: payment.BusinessShortCode
+            ? String(payment.BusinessShortCode)
+            : null,
+          mpesa_profile: profileName || null,
+          paid_at: parseMpesaTimestamp(payment.TransTime),
+        },
+        { onConflict: "trans_id", ignoreDuplicates: true },
+      );
+
+    if (error) {
+      console.error("C2B amount mismatch insert error:", error);
+      return { data: null, error };
+    }
+
+    const { data, error: flagError } = await supabase
+      .from("transactions")
+      .update({ needs_manual_review: true })
+      .eq("id", transaction.id)
+      .eq("status", TRANSACTION_STATUS.PENDING)
+      .select()
+      .maybeSingle();
+
+    if (flagError) {
+      console.error("C2B amount mismatch flag error:", flagError);
+      return { data: null, error: flagError };
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    console.error("record C2B amount mismatch error:", error);
+    return { data: null, error };
+  }
+};
@@ -0,0 +1,203 @@
+import crypto from "crypto";
+import {
+  createMpesaRequest,
+  findMpesaRequestByToken,
+  logRejectedCallback,
+} from "./supabase.js";
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Express reports IPv4 clients as ::ffff:a.b.c.d on dual-stack sockets
+const normalizeIp = (ip = "") => ip.replace(/^::ffff:/, "");
+
+// Optional comma-separated list of Safaricom callback source IPs. Read per
+// request, since this module loads before dotenv has run.
+const isAllowedSourceIp = (ip) => {
+  const allowlist = (process.env.MPESA_CALLBACK_IP_ALLOWLIST || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  return allowlist.length === 0 || allowlist.includes(normalizeIp(ip));
+};
+
+// How each callback type maps back to the request we sent to Daraja.
+// params are the callback URL's path parameters.
+const CALLBACK_CHECKS = {
+  stk_push: {
+    requestType: "stk_push",
+    // A fast callback can beat the CheckoutRequestID onto the request; until
+    // then the transaction ID in the callback URL must be the request's
+    matches: (body, request, params) =>
+      request.checkout_request_id
+        ? body?.Body?.stkCallback?.CheckoutRequestID ===
+          request.checkout_request_id
+        : !!request.transaction_id &&
+          params?.transactionId === request.transaction_id,
+  },
+  b2c_result: {
+    requestType: "b2c",
+    matches: (body, request) =>
+      (!!request.conversation_id &&
+        body?.Result?.ConversationID === request.conversation_id) ||
+      (!!request.originator_conversation_id &&
+        body?.Result?.OriginatorConversationID ===
+          request.originator_conversation_id),
+  },
+};
+CALLBACK_CHECKS.b2c_timeout = CALLBACK_CHECKS.b2c_result;
+CALLBACK_CHECKS.transaction_status_result = {
+  ...CALLBACK_CHECKS.b2c_result,
+  requestType: "transaction_status",
+};
+CALLBACK_CHECKS.transaction_status_timeout =
+  CALLBACK_CHECKS.transaction_status_result;
+CALLBACK_CHECKS.account_balance_result = {
+  ...CALLBACK_CHECKS.b2c_result,
+  requestType: "account_balance",
+};
+CALLBACK_CHECKS.account_balance_timeout =
+  CALLBACK_CHECKS.account_balance_result;
+CALLBACK_CHECKS.reversal_result = {
+  ...CALLBACK_CHECKS.b2c_result,
+  requestType: "reversal",
+};
+CALLBACK_CHECKS.reversal_timeout = CALLBACK_CHECKS.reversal_result;
+
+/**
+ * Create an unguessable callback token for a Daraja request and record the
+ * request so its callbacks can be verified. The returned token goes into the
+ * callback URL path; only its hash is stored.
+ */
+export const createCallbackToken = async ({
+  requestType,
+  transactionId,
+  originatorConversationId,
+  purpose,
+  userId,
+}) => {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const { request, error } = await createMpesaRequest({
+    requestType,
+    callbackTokenHash: hashToken(token),
+    transactionId,
+    originatorConversationId,
+    purpose,
+    userId,
+  });
+
+  if (error) {
+    throw new Error("Failed to register M-Pesa request");
+  }
+
+  return { token, request };
+};
+
+const rejectCallback = async (eventType, req, res, reason) => {
+  const sourceIp = normalizeIp(req.ip);
+  console.warn(`🚫 Rejected ${eventType} callback from ${sourceIp}: ${reason}`);
+
+  await logRejectedCallback({
+    eventType,
+    reason,
+    sourceIp,
+    path: req.baseUrl + req.route.path,
+    payload: req.body ?? null,
+  });
+
+  res.status(403).json({
+    ResultCode: 1,
+    ResultDesc: "Rejected",
+  });
+};
+
+/**
+ * Middleware verifying that a callback comes from an allowed IP, carries the
+ * token of a request we started, and refers to that same request.
+ * The matching request row is exposed as req.mpesaRequest.
+ */
+export const verifyMpesaCallback = (eventType) => async (req, res, next) => {
+  try {
+    const check = CALLBACK_CHECKS[eventType];
+
+    if (!isAllowedSourceIp(req.ip)) {
+      return rejectCallback(eventType, req, res, "Source IP not allowed");
+    }
+
+    const { token } = req.params;
+    if (!token) {
+      return rejectCallback(eventType, req, res, "Missing callback token");
+    }
+
+    const { request, error } = await findMpesaRequestByToken(
+      check.requestType,
+      hashToken(token),
+    );
+
+    if (error) {
+      // Let Safaricom retry rather than dropping a possibly genuine callback
+      return res.status(500).json({
+        ResultCode: 1,
+        ResultDesc: "Verification unavailable",
+      });
+    }
+
+    if (!request) {
+      return rejectCallback(eventType, req, res, "Unknown callback token");
+    }
+
+    if (!check.matches(req.body, request, req.params)) {
+      return rejectCallback(
+        eventType,
+        req,
+        res,
+        "Callback does not match the originating request",
+      );
+    }
+
+    req.mpesaRequest = request;
+    next();
+  } catch (error) {
+    console.error("Callback verification error:", error);
+    res.status(500).json({
+      ResultCode: 1,
+      ResultDesc: "Verification failed",
+    });
+  }
+};
+
+const tokensMatch = (provided = "", expected = "") =>
+  provided.length === expected.length &&
+  crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected));
+
+/**
+ * Middleware for C2B validation/confirmation callbacks. Their URLs are
+ * registered once per shortcode, so instead of a per-request token they carry
+ * the static MPESA_C2B_CALLBACK_TOKEN and must name one of our shortcodes.
+ */
+export const verifyC2BCallback = (eventType, shortCodes) => async (req, res, next) => {
+  try {
+    const expected = process.env.MPESA_C2B_CALLBACK_TOKEN;
+
+    if (!isAllowedSourceIp(req.ip)) {
+      return rejectCallback(eventType, req, res, "Source IP not allowed");
+    }
+
+    if (!expected || !tokensMatch(req.params.token, expected)) {
+      return rejectCallback(eventType, req, res, "Invalid C2B callback token");
+    }
+
+    if (!shortCodes.includes(String(req.body?.BusinessShortCode))) {
+      return rejectCallback(eventType, req, res, "Unknown BusinessShortCode");
+    }
+
+    next();
+  } catch (error) {
+    console.error("C2B callback verification error:", error);
+    res.status(500).json({
+      ResultCode: 1,
+      ResultDesc: "Verification failed",
+    });
+  }
+};
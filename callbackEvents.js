@@ -0,0 +1,283 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { supabaseAdmin } from "./Client.js";
+import { getMpesaRequest } from "./supabase.js";
+
+dotenv.config();
+
+// ==================== CALLBACK EVENT STORE ====================
+
+// Raw Daraja callbacks are stored before anything is done with them, then
+// run through the processor registered for their type exactly once. Failed
+// events stay in mpesa_callback_events to be replayed (CallbackEventRoutes.js).
+
+// Each callback type maps to its processor and the Daraja ID used to dedupe
+// Safaricom's retries of the same callback, registered by the routes that
+// receive it
+const CALLBACK_PROCESSORS = {};
+
+// An event left in "processing" this long is taken to belong to a delivery
+// that died mid-way, and may be claimed again
+const STALE_PROCESSING_MS =
+  Number(process.env.MPESA_CALLBACK_STALE_PROCESSING_MS) || 10 * 60 * 1000;
+
+export const registerCallbackProcessor = (eventType, { process, dedupeKey }) => {
+  CALLBACK_PROCESSORS[eventType] = { process, dedupeKey };
+};
+
+const getDedupeKey = (eventType, body) => {
+  const key = CALLBACK_PROCESSORS[eventType]?.dedupeKey(body);
+  if (key) return String(key);
+
+  // Malformed bodies still get stored; hash them so exact repeats collapse
+  return `sha256:${crypto
+    .createHash("sha256")
+    .update(JSON.stringify(body ?? null))
+    .digest("hex")}`;
+};
+
+/**
+ * Run a stored event through its processor exactly once.
+ * Returns the final event row, or null when it was already processed or
+ * another delivery is still working on it.
+ */
+export const processCallbackEvent = async (event) => {
+  const { event: claimed, error: claimError } = await claimCallbackEvent(
+    event,
+    STALE_PROCESSING_MS,
+  );
+
+  if (claimError) {
+    throw claimError;
+  }
+
+  if (!claimed) {
+    console.log(
+      `⏭️ Callback event ${event.id} already ${event.status}, skipping`,
+    );
+    return null;
+  }
+
+  let processingError = null;
+  try {
+    let mpesaRequest = null;
+    if (claimed.mpesa_request_id) {
+      const { request, error } = await getMpesaRequest(claimed.mpesa_request_id);
+      if (error) throw error;
+      mpesaRequest = request;
+    }
+
+    const processor = CALLBACK_PROCESSORS[claimed.event_type];
+    if (!processor) {
+      throw new Error(`No processor for ${claimed.event_type} callbacks`);
+    }
+
+    await processor.process(claimed.payload, mpesaRequest);
+  } catch (error) {
+    console.error(`❌ Callback event ${claimed.id} failed:`, error);
+    processingError = error instanceof Error ? error : new Error(String(error));
+  }
+
+  const { event: completed } = await completeCallbackEvent(
+    claimed.id,
+    processingError,
+  );
+  return completed;
+};
+
+/**
+ * Store a callback body, then process it if it has not been processed yet.
+ * M-Pesa only gets "Accepted" once the raw event is safely stored, so a
+ * storage failure makes Safaricom retry instead of losing the callback.
+ */
+export const ingestCallback = async (eventType, req, res) => {
+  try {
+    const { event, duplicate, error } = await recordCallbackEvent(
+      eventType,
+      getDedupeKey(eventType, req.body),
+      req.body,
+      req.mpesaRequest?.id,
+    );
+
+    if (error) {
+      console.error(`Failed to store ${eventType} callback:`, error);
+      return res.status(500).json({
+        ResultCode: 1,
+        ResultDesc: "Failed to store callback",
+      });
+    }
+
+    if (duplicate) {
+      console.log(`♻️ Duplicate ${eventType} callback: ${event.dedupe_key}`);
+    }
+
+    await processCallbackEvent(event);
+  } catch (error) {
+    console.error(`${eventType} Callback Error:`, error);
+  }
+
+  res.status(200).json({
+    ResultCode: 0,
+    ResultDesc: "Accepted",
+  });
+};
+
+// ==================== M-PESA CALLBACK EVENTS ====================
+
+// Store a raw callback body. Duplicates (same type + dedupe key) return the
+// existing row with duplicate: true instead of inserting again.
+export const recordCallbackEvent = async (
+  eventType,
+  dedupeKey,
+  payload,
+  mpesaRequestId,
+) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("mpesa_callback_events")
+      .insert({
+        event_type: eventType,
+        dedupe_key: dedupeKey,
+        payload,
+        mpesa_request_id: mpesaRequestId || null,
+        status: "received",
+        attempts: 0,
+      })
+      .select()
+      .single();
+
+    if (!error) {
+      return { event: data, duplicate: false, error: null };
+    }
+
+    // 23505 = unique_violation on (event_type, dedupe_key)
+    if (error.code !== "23505") {
+      console.error("Callback event insert error:", error);
+      return { event: null, duplicate: false, error };
+    }
+
+    const { data: existing, error: fetchError } = await supabaseAdmin
+      .from("mpesa_callback_events")
+      .select("*")
+      .eq("event_type", eventType)
+      .eq("dedupe_key", dedupeKey)
+      .single();
+
+    if (fetchError) {
+      console.error("Callback event fetch error:", fetchError);
+      return { event: null, duplicate: true, error: fetchError };
+    }
+
+    return { event: existing, duplicate: true, error: null };
+  } catch (error) {
+    console.error("record callback event error:", error);
+    return { event: null, duplicate: false, error };
+  }
+};
+
+export const getCallbackEvent = async (eventId) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("mpesa_callback_events")
+      .select("*")
+      .eq("id", eventId)
+      .maybeSingle();
+
+    if (error) {
+      console.error("getCallbackEvent error:", error);
+      return { event: null, error };
+    }
+
+    if (!data) {
+      return { event: null, error: new Error("Callback event not found") };
+    }
+
+    return { event: data, error: null };
+  } catch (error) {
+    console.error("getCallbackEvent catch error:", error);
+    return { event: null, error };
+  }
+};
+
+export const listCallbackEvents = async ({ status, eventType, limit = 50 }) => {
+  try {
+    let query = supabaseAdmin
+      .from("mpesa_callback_events")
+      .select("*")
+      .order("created_at", { ascending: true })
+      .limit(limit);
+
+    if (status) query = query.eq("status", status);
+    if (eventType) query = query.eq("event_type", eventType);
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error("listCallbackEvents error:", error);
+      return { events: [], error };
+    }
+
+    return { events: data || [], error: null };
+  } catch (error) {
+    console.error("listCallbackEvents catch error:", error);
+    return { events: [], error };
+  }
+};
+
+// Atomically move an event into "processing", so concurrent deliveries cannot
+// both win. Received and failed events are claimed, as are processing ones
+// whose last attempt started more than staleAfterMs ago; processed events
+// never are.
+export const claimCallbackEvent = async (event, staleAfterMs) => {
+  try {
+    const staleBefore = new Date(Date.now() - staleAfterMs).toISOString();
+    const { data, error } = await supabaseAdmin
+      .from("mpesa_callback_events")
+      .update({
+        status: "processing",
+        attempts: (event.attempts || 0) + 1,
+        last_attempt_at: new Date().toISOString(),
+      })
+      .eq("id", event.id)
+      .or(
+        `status.in.(received,failed),and(status.eq.processing,last_attempt_at.lt."${staleBefore}")`,
+      )
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error("claimCallbackEvent error:", error);
+      return { event: null, error };
+    }
+
+    return { event: data, error: null };
+  } catch (error) {
+    console.error("claimCallbackEvent catch error:", error);
+    return { event: null, error };
+  }
+};
+
+export const completeCallbackEvent = async (eventId, processingError) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("mpesa_callback_events")
+      .update({
+        status: processingError ? "failed" : "processed",
+        error: processingError ? processingError.message : null,
+        processed_at: processingError ? null : new Date().toISOString(),
+      })
+      .eq("id", eventId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error("completeCallbackEvent error:", error);
+      return { event: null, error };
+    }
+
+    return { event: data, error: null };
+  } catch (error) {
+    console.error("completeCallbackEvent catch error:", error);
+    return { event: null, error };
+  }
+};
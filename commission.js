@@ -0,0 +1,34 @@
+import { Commission } from "./supabase.js";
+
+// ==================== PLATFORM COMMISSION ====================
+
+/**
+ * Current commission rate from platform_settings as a fraction (0.1 = 10%).
+ * The setting may be stored as a percentage ("10") or a fraction ("0.1").
+ */
+export const getCommissionRate = async () => {
+  const setting = await Commission();
+  const value = Number(setting?.setting_value);
+
+  if (!Number.isFinite(value) || value < 0 || value >= 100) {
+    throw new Error("commission_rate setting is missing or invalid");
+  }
+
+  return value >= 1 ? value / 100 : value;
+};
+
+/**
+ * Split a client payment into the platform fee and the freelancer's share.
+ * Whole shillings only, since M-Pesa does not accept decimals; rounding
+ * favours the freelancer.
+ */
+export const splitPayment = (amount, commissionRate) => {
+  const total = Math.round(Number(amount));
+  const platformFee = Math.floor(total * commissionRate);
+
+  return {
+    amount: total,
+    platformFee,
+    freelancerAmount: total - platformFee,
+  };
+};
@@ -0,0 +1,273 @@
+import axios from "axios";
+import dotenv from "dotenv";
+import { store } from "./store.js";
+
+dotenv.config();
+
+// ==================== M-PESA CONFIGURATION ====================
+
+const env = process.env;
+
+const parseJsonEnv = (name) => {
+  if (!env[name]) return {};
+  try {
+    return JSON.parse(env[name]);
+  } catch (error) {
+    console.error(`❌ ${name} is not valid JSON, ignoring it`);
+    return {};
+  }
+};
+
+const SIMULATOR_DEFAULTS = {
+  consumerKey: "simulator",
+  consumerSecret: "simulator",
+  initiatorName: "simulator",
+  securityCredential: "simulator",
+  shortCode: "174379",
+  passKey: "simulator",
+};
+
+/**
+ * Named Daraja credential profiles. Each has its own consumer key/secret and
+ * token cache, and the shortcode details one kind of operation needs:
+ * - paybill: STK (CustomerPayBillOnline), C2B, reversals
+ * - till:    Buy Goods STK (CustomerBuyGoodsOnline); BusinessShortCode is the
+ *            store number, PartyB the till number
+ * - b2c:     payouts and the B2C account balance
+ * Unset credentials fall back to the single-shortcode MPESA_* variables, and
+ * MPESA_PROFILES (JSON) can add or override profiles by name.
+ */
+const buildProfiles = () => {
+  const credentials = {
+    consumerKey: env.MPESA_CONSUMER_KEY,
+    consumerSecret: env.MPESA_CONSUMER_SECRET,
+    initiatorName: env.MPESA_INITIATOR_NAME,
+    securityCredential: env.MPESA_SECURITY_CREDENTIAL,
+  };
+
+  const profiles = {
+    paybill: {
+      ...credentials,
+      shortCode: env.MPESA_SHORTCODE,
+      partyB: env.MPESA_SHORTCODE,
+      passKey: env.MPESA_PASSKEY,
+      transactionType: "CustomerPayBillOnline",
+    },
+    b2c: {
+      consumerKey: env.MPESA_B2C_CONSUMER_KEY || credentials.consumerKey,
+      consumerSecret:
+        env.MPESA_B2C_CONSUMER_SECRET || credentials.consumerSecret,
+      initiatorName: env.MPESA_B2C_INITIATOR_NAME || credentials.initiatorName,
+      securityCredential:
+        env.MPESA_B2C_SECURITY_CREDENTIAL || credentials.securityCredential,
+      shortCode: env.MPESA_B2C_SHORTCODE || env.MPESA_SHORTCODE,
+    },
+  };
+
+  if (env.MPESA_TILL_NUMBER) {
+    profiles.till = {
+      consumerKey: env.MPESA_TILL_CONSUMER_KEY || credentials.consumerKey,
+      consumerSecret:
+        env.MPESA_TILL_CONSUMER_SECRET || credentials.consumerSecret,
+      initiatorName: env.MPESA_TILL_INITIATOR_NAME || credentials.initiatorName,
+      securityCredential:
+        env.MPESA_TILL_SECURITY_CREDENTIAL || credentials.securityCredential,
+      shortCode: env.MPESA_TILL_STORE_NUMBER || env.MPESA_TILL_NUMBER,
+      partyB: env.MPESA_TILL_NUMBER,
+      passKey: env.MPESA_TILL_PASSKEY,
+      transactionType: "CustomerBuyGoodsOnline",
+    };
+  }
+
+  Object.entries(parseJsonEnv("MPESA_PROFILES")).forEach(([name, profile]) => {
+    profiles[name] = { ...profiles[name], ...profile };
+  });
+
+  Object.entries(profiles).forEach(([name, profile]) => {
+    // The simulator accepts anything, so it runs with an empty .env
+    if (env.MPESA_ENVIRONMENT === "simulator") {
+      Object.entries(SIMULATOR_DEFAULTS).forEach(([key, value]) => {
+        profile[key] = profile[key] || value;
+      });
+    }
+    profile.name = name;
+    profile.partyB = profile.partyB || profile.shortCode;
+  });
+
+  return profiles;
+};
+
+export const MPESA_CONFIG = {
+  environment: env.MPESA_ENVIRONMENT || "sandbox",
+  profiles: buildProfiles(),
+};
+
+// Which profile each kind of Daraja call uses unless told otherwise;
+// MPESA_OPERATION_PROFILES (JSON) can remap them
+const OPERATION_PROFILES = {
+  stkPush: "paybill",
+  c2b: "paybill",
+  reversal: "paybill",
+  transactionStatus: "paybill",
+  b2c: "b2c",
+  accountBalance: "b2c",
+  ...parseJsonEnv("MPESA_OPERATION_PROFILES"),
+};
+
+export const IS_SIMULATOR = MPESA_CONFIG.environment === "simulator";
+
+// The simulator is served by this same app (see simulator.js)
+const LOCAL_URL = `http://localhost:${env.PORT || 4000}`;
+
+export const BASE_URL = IS_SIMULATOR
+  ? env.MPESA_SIMULATOR_URL || `${LOCAL_URL}/daraja-simulator`
+  : MPESA_CONFIG.environment === "production"
+    ? "https://api.safaricom.co.ke"
+    : "https://sandbox.safaricom.co.ke";
+
+export const CALLBACK_BASE_URL =
+  env.CALLBACK_BASE_URL ||
+  (IS_SIMULATOR ? `${LOCAL_URL}/mpesa` : "https://yourdomain.com/mpesa");
+
+// Look up a profile by name; throws for unknown names
+export const getProfile = (name) => {
+  const profile = MPESA_CONFIG.profiles[name];
+  if (!profile) {
+    throw new Error(`Unknown M-Pesa profile: ${name}`);
+  }
+  return profile;
+};
+
+export const getOperationProfile = (operation) =>
+  getProfile(OPERATION_PROFILES[operation]);
+
+// Shortcodes customers pay into, for checking C2B callbacks
+export const getCollectionShortCodes = () =>
+  Object.values(MPESA_CONFIG.profiles)
+    .filter((profile) => profile.transactionType)
+    .flatMap((profile) => [profile.shortCode, profile.partyB])
+    .filter(Boolean)
+    .map(String);
+
+// Collection profile that owns a paybill, till or store number
+export const findProfileByShortCode = (shortCode) =>
+  Object.values(MPESA_CONFIG.profiles).find(
+    (profile) =>
+      profile.transactionType &&
+      [profile.shortCode, profile.partyB].map(String).includes(String(shortCode)),
+  );
+
+// ==================== ACCESS TOKEN CACHE ====================
+// Tokens live in the shared store so every instance reuses the same one per
+// profile, and only one instance at a time asks Daraja for a new one.
+const ACCESS_TOKEN_BUFFER_MS = 60 * 1000; // refresh 1 minute early
+const TOKEN_LOCK_TTL_MS = 15 * 1000;
+const TOKEN_LOCK_WAIT_MS = 10 * 1000;
+// In-flight token request per profile name, within this instance
+const tokenRequests = new Map();
+
+const readCachedToken = async (profileName) => {
+  const cached = await store.getJson(`access-token:${profileName}`);
+  return cached?.token && cached.expiresAt > Date.now() ? cached.token : null;
+};
+
+const fetchAccessToken = async (profile) => {
+  console.log(`🔄 Generating new access token (${profile.name})...`);
+  const auth = Buffer.from(
+    `${profile.consumerKey}:${profile.consumerSecret}`
+  ).toString("base64");
+
+  const response = await axios.get(
+    `${BASE_URL}/oauth/v1/generate?grant_type=client_credentials`,
+    {
+      headers: {
+        Authorization: `Basic ${auth}`,
+      },
+      timeout: 10000,
+    }
+  );
+
+  const { access_token, expires_in } = response.data || {};
+  if (!access_token) {
+    throw new Error("Access token missing in response");
+  }
+
+  const ttlMs = (Number(expires_in) || 3599) * 1000 - ACCESS_TOKEN_BUFFER_MS;
+  await store.setJson(
+    `access-token:${profile.name}`,
+    { token: access_token, expiresAt: Date.now() + ttlMs },
+    ttlMs,
+  );
+
+  console.log(`✅ Token cached, expires in ${Math.round(ttlMs / 1000)}s`);
+  return access_token;
+};
+
+/**
+ * Generate M-Pesa Access Token with caching, per profile
+ */
+export const generateAccessToken = async (profileName = "paybill") => {
+  const profile = getProfile(profileName);
+
+  // Return cached token if still valid
+  const cached = await readCachedToken(profile.name);
+  if (cached) {
+    console.log(`✅ Using cached access token (${profile.name})`);
+    return cached;
+  }
+
+  // Wait for in-flight request if one exists
+  if (tokenRequests.has(profile.name)) {
+    console.log(`⏳ Waiting for in-flight token request (${profile.name})`);
+    return tokenRequests.get(profile.name);
+  }
+
+  // Generate new token
+  const request = (async () => {
+    const lockName = `access-token:${profile.name}`;
+    const lock = await store.acquireLock(lockName, TOKEN_LOCK_TTL_MS);
+
+    try {
+      if (!lock) {
+        // Another instance is fetching; use its token once it lands
+        const deadline = Date.now() + TOKEN_LOCK_WAIT_MS;
+        while (Date.now() < deadline) {
+          await new Promise((resolve) => setTimeout(resolve, 250));
+          const token = await readCachedToken(profile.name);
+          if (token) return token;
+        }
+        console.warn(`⚠️ Token lock wait timed out (${profile.name})`);
+      } else {
+        // It may have been refreshed while we were taking the lock
+        const token = await readCachedToken(profile.name);
+        if (token) return token;
+      }
+
+      return await fetchAccessToken(profile);
+    } catch (error) {
+      console.error("❌ Access Token Error:", error.response?.data || error.message);
+      throw new Error("Failed to generate access token");
+    } finally {
+      if (lock) await store.releaseLock(lockName, lock);
+      tokenRequests.delete(profile.name);
+    }
+  })();
+
+  tokenRequests.set(profile.name, request);
+  return request;
+};
+
+/**
+ * Generate Password and Timestamp for STK Push / STK Query.
+ * Daraja expects the timestamp in Kenyan time (UTC+3), YYYYMMDDHHmmss.
+ */
+export const generatePassword = (profile) => {
+  const timestamp = new Date(Date.now() + 3 * 60 * 60 * 1000)
+    .toISOString()
+    .replace(/[^0-9]/g, "")
+    .slice(0, 14);
+  const password = Buffer.from(
+    `${profile.shortCode}${profile.passKey}${timestamp}`
+  ).toString("base64");
+  return { password, timestamp };
+};
@@ -0,0 +1,155 @@
+import { supabaseAdmin } from "./Client.js";
+
+// ==================== DISPUTES ====================
+
+export const createDispute = async ({ transactionId, openedBy, reason }) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("disputes")
+      .insert({
+        transaction_id: transactionId,
+        opened_by: openedBy || null,
+        reason,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error("createDispute error:", error);
+      return { dispute: null, error };
+    }
+
+    return { dispute: data, error: null };
+  } catch (error) {
+    console.error("createDispute catch error:", error);
+    return { dispute: null, error };
+  }
+};
+
+// Look a dispute up by id, or by the ConversationID of its split payout,
+// with its statements
+export const getDispute = async ({ id, conversationId }) => {
+  try {
+    let query = supabaseAdmin
+      .from("disputes")
+      .select("*, statements:dispute_statements(*)");
+    query = id
+      ? query.eq("id", id)
+      : query.eq("payout_conversation_id", conversationId);
+
+    const { data, error } = await query.maybeSingle();
+
+    if (error) {
+      console.error("getDispute error:", error);
+      return { dispute: null, error };
+    }
+
+    return { dispute: data, error: null };
+  } catch (error) {
+    console.error("getDispute catch error:", error);
+    return { dispute: null, error };
+  }
+};
+
+// Disputes with their statements, newest first
+export const listDisputes = async ({ transactionId, status, limit = 50 }) => {
+  try {
+    let query = supabaseAdmin
+      .from("disputes")
+      .select("*, statements:dispute_statements(*)")
+      .order("created_at", { ascending: false })
+      .limit(limit);
+
+    if (transactionId) query = query.eq("transaction_id", transactionId);
+    if (status) query = query.eq("status", status);
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error("listDisputes error:", error);
+      return { disputes: [], error };
+    }
+
+    return { disputes: data || [], error: null };
+  } catch (error) {
+    console.error("listDisputes catch error:", error);
+    return { disputes: [], error };
+  }
+};
+
+/**
+ * Update a dispute only if it still matches `expected` (e.g. its status).
+ * Returns dispute: null when it no longer does.
+ */
+export const updateDisputeIfMatches = async (id, expected, updates) => {
+  try {
+    let query = supabaseAdmin
+      .from("disputes")
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq("id", id);
+    Object.entries(expected).forEach(([column, value]) => {
+      query = query.eq(column, value);
+    });
+
+    const { data, error } = await query.select().maybeSingle();
+
+    if (error) {
+      console.error("updateDisputeIfMatches error:", error);
+      return { dispute: null, error };
+    }
+
+    return { dispute: data, error: null };
+  } catch (error) {
+    console.error("updateDisputeIfMatches catch error:", error);
+    return { dispute: null, error };
+  }
+};
+
+export const addDisputeStatement = async ({
+  disputeId,
+  authorId,
+  authorRole,
+  statement,
+  evidenceUrls,
+}) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("dispute_statements")
+      .insert({
+        dispute_id: disputeId,
+        author_id: authorId || null,
+        author_role: authorRole,
+        statement,
+        evidence_urls: evidenceUrls || [],
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error("addDisputeStatement error:", error);
+      return { statement: null, error };
+    }
+
+    return { statement: data, error: null };
+  } catch (error) {
+    console.error("addDisputeStatement catch error:", error);
+    return { statement: null, error };
+  }
+};
+
+// A split whose freelancer part has been paid; only its client_amount is
+// still in escrow
+export const getPaidSplit = async (transactionId) => {
+  const { disputes, error } = await listDisputes({
+    transactionId,
+    status: "resolved",
+  });
+  if (error) throw error;
+
+  return (
+    disputes.find(
+      (dispute) =>
+        dispute.resolution === "split" && dispute.payout_status === "paid",
+    ) || null
+  );
+};
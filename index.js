@@ -1,7 +1,16 @@
 import cors from "cors";
 import dotenv from "dotenv";
 import express from "express";
+import C2BRoutes from "./C2BRoutes.js";
+import CallbackEventRoutes from "./CallbackEventRoutes.js";
+import CheckoutRoutes from "./CheckoutRoutes.js";
+import DisputeRoutes from "./DisputeRoutes.js";
+import MilestoneRoutes from "./MilestoneRoutes.js";
 import MpesaRoutes from "./MpesaRoutes.js";
+import PayoutNumberRoutes from "./PayoutNumberRoutes.js";
+import DarajaSimulator from "./simulator.js";
+import StripeRoutes from "./StripeRoutes.js";
+import WebhookRoutes from "./WebhookRoutes.js";
 
 // Initialize environment variables
 dotenv.config();
@@ -22,11 +31,32 @@ app.use(
   }),
 );
 
-app.use(express.json()); // Parse JSON request bodies
+// Parse JSON request bodies, keeping the raw bytes for webhook signatures
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  }),
+);
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded request bodies
 
 // Routes
 app.use("/mpesa", MpesaRoutes);
+app.use("/mpesa", CallbackEventRoutes);
+app.use("/mpesa", C2BRoutes);
+app.use("/mpesa", WebhookRoutes);
+app.use("/mpesa", PayoutNumberRoutes);
+app.use("/mpesa", MilestoneRoutes);
+app.use("/mpesa", DisputeRoutes);
+app.use("/checkout", CheckoutRoutes);
+app.use("/stripe", StripeRoutes);
+
+// Local fake Daraja for MPESA_ENVIRONMENT=simulator
+if (process.env.MPESA_ENVIRONMENT === "simulator") {
+  app.use("/daraja-simulator", DarajaSimulator);
+  console.log("🧪 M-Pesa simulator enabled at /daraja-simulator");
+}
 
 // Basic health check route
 app.get("/", (req, res) => {
@@ -0,0 +1,192 @@
+import { supabase, supabaseAdmin } from "./Client.js";
+
+// ==================== MILESTONES ====================
+
+// Milestone records, and the escrow arithmetic shared with the routes that
+// pay or refund them
+
+export const MILESTONE = Object.freeze({
+  PENDING: "pending",
+  APPROVED: "approved", // waiting for its payout, e.g. on a low float
+  PROCESSING: "processing",
+  RELEASED: "released",
+  FAILED: "failed",
+});
+
+export const sumAmounts = (milestones) =>
+  milestones.reduce((total, milestone) => total + Number(milestone.amount), 0);
+
+// The freelancer's share of the escrowed payment, split across milestones
+export const escrowedPayout = (transaction) =>
+  Math.round(Number(transaction.freelancer_amount ?? transaction.amount));
+
+// ==================== MILESTONE RECORDS ====================
+
+// Milestones of a transaction, in order
+export const listMilestones = async (transactionId) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("transaction_milestones")
+      .select("*")
+      .eq("transaction_id", transactionId)
+      .order("position", { ascending: true });
+
+    if (error) {
+      console.error("listMilestones error:", error);
+      return { milestones: [], error };
+    }
+
+    return { milestones: data || [], error: null };
+  } catch (error) {
+    console.error("listMilestones catch error:", error);
+    return { milestones: [], error };
+  }
+};
+
+/**
+ * Replace a transaction's milestones with [{ title, amount }] and start its
+ * escrow balance. Only milestones nobody has approved yet are removed.
+ */
+export const replaceMilestones = async (
+  transactionId,
+  milestones,
+  escrowBalance,
+) => {
+  try {
+    const { error: deleteError } = await supabaseAdmin
+      .from("transaction_milestones")
+      .delete()
+      .eq("transaction_id", transactionId)
+      .eq("status", "pending");
+
+    if (deleteError) {
+      console.error("replaceMilestones delete error:", deleteError);
+      return { milestones: [], error: deleteError };
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from("transaction_milestones")
+      .insert(
+        milestones.map(({ title, amount }, index) => ({
+          transaction_id: transactionId,
+          position: index + 1,
+          title,
+          amount,
+        })),
+      )
+      .select()
+      .order("position", { ascending: true });
+
+    if (error) {
+      console.error("replaceMilestones insert error:", error);
+      return { milestones: [], error };
+    }
+
+    const { error: balanceError } = await setEscrowBalance(
+      transactionId,
+      escrowBalance,
+    );
+    if (balanceError) {
+      return { milestones: data || [], error: balanceError };
+    }
+
+    return { milestones: data || [], error: null };
+  } catch (error) {
+    console.error("replaceMilestones catch error:", error);
+    return { milestones: [], error };
+  }
+};
+
+// Look a milestone up by id, or by the ConversationID of its payout
+export const getMilestone = async ({ id, conversationId }) => {
+  try {
+    let query = supabaseAdmin.from("transaction_milestones").select("*");
+    query = id
+      ? query.eq("id", id)
+      : query.eq("mpesa_conversation_id", conversationId);
+
+    const { data, error } = await query.maybeSingle();
+
+    if (error) {
+      console.error("getMilestone error:", error);
+      return { milestone: null, error };
+    }
+
+    return { milestone: data, error: null };
+  } catch (error) {
+    console.error("getMilestone catch error:", error);
+    return { milestone: null, error };
+  }
+};
+
+/**
+ * Update a milestone only while it is in one of expectedStatuses. Returns
+ * milestone: null when another request already moved it on.
+ */
+export const updateMilestoneIfStatus = async (id, expectedStatuses, updates) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("transaction_milestones")
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq("id", id)
+      .in("status", [].concat(expectedStatuses))
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error("updateMilestoneIfStatus error:", error);
+      return { milestone: null, error };
+    }
+
+    return { milestone: data, error: null };
+  } catch (error) {
+    console.error("updateMilestoneIfStatus catch error:", error);
+    return { milestone: null, error };
+  }
+};
+
+// Approved milestones still waiting for their payout, oldest approval first
+export const getApprovedMilestones = async () => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("transaction_milestones")
+      .select("*, transaction:transactions(*)")
+      .eq("status", "approved")
+      .order("approved_at", { ascending: true });
+
+    if (error) {
+      console.error("getApprovedMilestones error:", error);
+      return { milestones: [], error };
+    }
+
+    return { milestones: data || [], error: null };
+  } catch (error) {
+    console.error("getApprovedMilestones catch error:", error);
+    return { milestones: [], error };
+  }
+};
+
+// Record how much of the freelancer's share is still held in escrow
+export const setEscrowBalance = async (transactionId, escrowBalance) => {
+  try {
+    const { data, error } = await supabase
+      .from("transactions")
+      .update({
+        escrow_balance: escrowBalance,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", transactionId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error("setEscrowBalance error:", error);
+      return { data: null, error };
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    console.error("setEscrowBalance catch error:", error);
+    return { data: null, error };
+  }
+};
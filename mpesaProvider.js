@@ -0,0 +1,68 @@
+import {
+  collectByStkPush,
+  isSpikeArrest,
+  mpesaAccountReference,
+  mpesaStkLimiter,
+  mpesaStkPhoneLimiter,
+  reconcileStkTransaction,
+  refundByMpesa,
+  releaseByB2C,
+  stkAbuseGuard,
+} from "./MpesaRoutes.js";
+import { paymentError } from "./paymentProviders.js";
+import { getTransaction } from "./supabase.js";
+import { TRANSACTION_STATUS } from "./transactionStatus.js";
+
+// ==================== M-PESA PAYMENT PROVIDER ====================
+// M-Pesa behind the common provider interface (paymentProviders.js), for the
+// /checkout API. MpesaRoutes.js stays the M-Pesa-specific API.
+
+export const mpesaProvider = {
+  name: "mpesa",
+  collectMiddleware: [mpesaStkLimiter, stkAbuseGuard, mpesaStkPhoneLimiter],
+  insertOptions: ({ projectId }) => ({
+    mpesaAccountReference: mpesaAccountReference(projectId),
+  }),
+
+  collect: collectByStkPush,
+
+  // Ask Daraja about an unanswered STK prompt; callbacks do the rest
+  confirm: async ({ transaction }) => {
+    if (
+      transaction.status === TRANSACTION_STATUS.PENDING &&
+      transaction.mpesa_checkout_request_id
+    ) {
+      try {
+        await reconcileStkTransaction(transaction);
+      } catch (error) {
+        if (isSpikeArrest(error)) {
+          throw paymentError(
+            "M-Pesa is busy. Please try again shortly.",
+            "TOO_MANY_REQUESTS",
+            429,
+            { retryAfter: 60 },
+          );
+        }
+        throw error;
+      }
+    }
+
+    const { transaction: current, error } = await getTransaction(transaction.id);
+    if (error) throw error;
+    return { transaction: current };
+  },
+
+  release: releaseByB2C,
+  refund: refundByMpesa,
+
+  status: async ({ transaction }) => ({
+    checkoutRequestID: transaction.mpesa_checkout_request_id || null,
+    accountReference: transaction.mpesa_account_reference || null,
+    mpesaReceiptNumber: transaction.mpesa_receipt_number || null,
+    resultCode: transaction.stk_result_code ?? null,
+    resultDescription: transaction.stk_result_description ?? null,
+    payoutReceiptNumber: transaction.mpesa_transaction_id || null,
+    refundMethod: transaction.refund_method || null,
+    refundReceipt: transaction.refund_receipt || null,
+  }),
+};
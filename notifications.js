@@ -0,0 +1,358 @@
+import dotenv from "dotenv";
+import { onStatusChange } from "./paymentEvents.js";
+import { getNotificationContact, insertNotification } from "./supabase.js";
+import { TRANSACTION_STATUS } from "./transactionStatus.js";
+
+dotenv.config();
+
+// ==================== NOTIFICATIONS ====================
+// Tells clients and freelancers about their money. Each notification is saved
+// in-app (notifications table) and, where we have contact details, sent by
+// SMS and email through whichever providers are configured.
+
+const DEFAULT_LANGUAGE = process.env.NOTIFICATION_DEFAULT_LANGUAGE || "en";
+const LANGUAGES = ["en", "sw"];
+
+const S = TRANSACTION_STATUS;
+
+// ==================== PROVIDERS ====================
+
+/**
+ * A provider is { name, send({ to, subject, text }) } and throws on failure.
+ * The console provider just logs, for development.
+ */
+const consoleProvider = (channel) => ({
+  name: "console",
+  send: async ({ to, subject, text }) => {
+    console.log(
+      `📨 [${channel} → ${to}]${subject ? ` ${subject}:` : ""} ${text}`,
+    );
+  },
+});
+
+const providers = {
+  sms: { console: consoleProvider("sms") },
+  email: { console: consoleProvider("email") },
+};
+
+// Add an SMS or email provider; select it with NOTIFICATION_SMS_PROVIDER or
+// NOTIFICATION_EMAIL_PROVIDER
+export const registerNotificationProvider = (channel, provider) => {
+  if (!providers[channel]) {
+    throw new Error(`Unknown notification channel: ${channel}`);
+  }
+  providers[channel][provider.name] = provider;
+};
+
+// Configured provider for a channel; "none" turns the channel off
+const getProvider = (channel) => {
+  const name =
+    process.env[`NOTIFICATION_${channel.toUpperCase()}_PROVIDER`] || "console";
+  if (name === "none") return null;
+  return providers[channel][name] || null;
+};
+
+// ==================== TEMPLATES ====================
+
+export const formatAmount = (amount) =>
+  `KES ${Number(amount || 0).toLocaleString("en-KE", {
+    maximumFractionDigits: 2,
+  })}`;
+
+const receiptLine = {
+  en: (receipt) => (receipt ? ` M-Pesa receipt: ${receipt}.` : ""),
+  sw: (receipt) => (receipt ? ` Risiti ya M-Pesa: ${receipt}.` : ""),
+};
+
+// Where a freelancer's payout goes, by the transaction's payment_provider
+const payoutDestination = {
+  en: (provider) =>
+    provider === "stripe" ? "your Stripe account" : "your M-Pesa",
+  sw: (provider) =>
+    provider === "stripe" ? "akaunti yako ya Stripe" : "M-Pesa yako",
+};
+
+/**
+ * Message templates per notification type and language. Each gets the values
+ * it uses (amount, receipt, reference, code...) and returns { title, text }.
+ */
+const TEMPLATES = {
+  escrow_funded_client: {
+    en: ({ amount, receipt, reference }) => ({
+      title: "Payment received",
+      text: `We received your payment of ${amount} for project ${reference}. It is held safely in escrow until the work is approved.${receiptLine.en(receipt)}`,
+    }),
+    sw: ({ amount, receipt, reference }) => ({
+      title: "Malipo yamepokelewa",
+      text: `Tumepokea malipo yako ya ${amount} kwa mradi ${reference}. Pesa zimehifadhiwa salama kwenye escrow hadi kazi iidhinishwe.${receiptLine.sw(receipt)}`,
+    }),
+  },
+  escrow_funded_freelancer: {
+    en: ({ amount, reference }) => ({
+      title: "Project funded",
+      text: `The client has paid ${amount} into escrow for project ${reference}. You can start work.`,
+    }),
+    sw: ({ amount, reference }) => ({
+      title: "Mradi umelipiwa",
+      text: `Mteja amelipa ${amount} kwenye escrow kwa mradi ${reference}. Unaweza kuanza kazi.`,
+    }),
+  },
+  payout_released: {
+    en: ({ amount, receipt, reference, provider }) => ({
+      title: "Payment sent",
+      text: `${amount} for project ${reference} has been sent to ${payoutDestination.en(provider)}.${receiptLine.en(receipt)}`,
+    }),
+    sw: ({ amount, receipt, reference, provider }) => ({
+      title: "Malipo yametumwa",
+      text: `${amount} kwa mradi ${reference} imetumwa kwa ${payoutDestination.sw(provider)}.${receiptLine.sw(receipt)}`,
+    }),
+  },
+  milestone_released: {
+    en: ({ amount, receipt, reference, milestone }) => ({
+      title: "Milestone paid",
+      text: `${amount} for milestone "${milestone}" of project ${reference} has been sent to your M-Pesa.${receiptLine.en(receipt)}`,
+    }),
+    sw: ({ amount, receipt, reference, milestone }) => ({
+      title: "Hatua imelipwa",
+      text: `${amount} kwa hatua "${milestone}" ya mradi ${reference} imetumwa kwa M-Pesa yako.${receiptLine.sw(receipt)}`,
+    }),
+  },
+  payout_failed: {
+    en: ({ amount, reference, provider }) => ({
+      title: "Payout delayed",
+      text: `We could not send ${amount} for project ${reference} to ${payoutDestination.en(provider)}. The money is still safe in escrow and we will try again.`,
+    }),
+    sw: ({ amount, reference, provider }) => ({
+      title: "Malipo yamechelewa",
+      text: `Hatukuweza kutuma ${amount} kwa mradi ${reference} kwa ${payoutDestination.sw(provider)}. Pesa bado ziko salama kwenye escrow na tutajaribu tena.`,
+    }),
+  },
+  refund_completed: {
+    en: ({ amount, receipt, reference }) => ({
+      title: "Refund sent",
+      text: `${amount} for project ${reference} has been refunded to you.${receiptLine.en(receipt)}`,
+    }),
+    sw: ({ amount, receipt, reference }) => ({
+      title: "Pesa zimerudishwa",
+      text: `${amount} kwa mradi ${reference} zimerudishwa kwako.${receiptLine.sw(receipt)}`,
+    }),
+  },
+  dispute_opened: {
+    en: ({ reference }) => ({
+      title: "Payment on hold",
+      text: `A dispute was opened on project ${reference}. The payment is frozen in escrow until our team resolves it. Add your statement and evidence in the app.`,
+    }),
+    sw: ({ reference }) => ({
+      title: "Malipo yamezuiliwa",
+      text: `Mzozo umefunguliwa kwa mradi ${reference}. Malipo yamezuiliwa kwenye escrow hadi timu yetu iutatue. Ongeza maelezo na ushahidi wako kwenye programu.`,
+    }),
+  },
+  dispute_resolved: {
+    en: ({ reference, decision, freelancerAmount, clientAmount }) => ({
+      title: "Dispute resolved",
+      text: `The dispute on project ${reference} has been resolved: ${
+        {
+          refund: "the payment is refunded to the client",
+          pay: "the payment is released to the freelancer",
+          split: `${freelancerAmount} goes to the freelancer and ${clientAmount} back to the client`,
+        }[decision]
+      }.`,
+    }),
+    sw: ({ reference, decision, freelancerAmount, clientAmount }) => ({
+      title: "Mzozo umetatuliwa",
+      text: `Mzozo wa mradi ${reference} umetatuliwa: ${
+        {
+          refund: "malipo yanarudishwa kwa mteja",
+          pay: "malipo yanatumwa kwa mfanyakazi",
+          split: `${freelancerAmount} zinaenda kwa mfanyakazi na ${clientAmount} zinarudishwa kwa mteja`,
+        }[decision]
+      }.`,
+    }),
+  },
+  payout_number_otp: {
+    en: ({ code }) => ({
+      title: "Payout number code",
+      text: `Your code to confirm this number for M-Pesa payouts is ${code}. It expires in 10 minutes. Do not share it.`,
+    }),
+    sw: ({ code }) => ({
+      title: "Nambari ya uthibitisho",
+      text: `Nambari yako ya kuthibitisha simu hii kwa malipo ya M-Pesa ni ${code}. Itaisha baada ya dakika 10. Usiishiriki.`,
+    }),
+  },
+  payout_number_changed: {
+    en: ({ phoneNumber, usableAt }) => ({
+      title: "Payout number changed",
+      text: `Your M-Pesa payout number was changed to ${phoneNumber}. Payouts to it start after ${usableAt}. If this was not you, contact support now.`,
+    }),
+    sw: ({ phoneNumber, usableAt }) => ({
+      title: "Nambari ya malipo imebadilishwa",
+      text: `Nambari yako ya malipo ya M-Pesa imebadilishwa kuwa ${phoneNumber}. Malipo kwake yataanza baada ya ${usableAt}. Kama si wewe, wasiliana nasi sasa.`,
+    }),
+  },
+};
+
+export const renderNotification = (type, language, values) => {
+  const templates = TEMPLATES[type];
+  const render =
+    templates[language] || templates[DEFAULT_LANGUAGE] || templates.en;
+  return render(values);
+};
+
+// ==================== EVENTS ====================
+
+export const projectReference = (transaction) =>
+  String(transaction.project_id || transaction.id).slice(0, 8).toUpperCase();
+
+/**
+ * Who hears about a status change, and with what. Returns a list of
+ * { userId, type, amount, receipt }.
+ */
+const notificationsFor = (transaction, fromStatus) => {
+  switch (transaction.status) {
+    case S.HELD_IN_ESCROW:
+      if (fromStatus !== S.PENDING) return [];
+      return [
+        {
+          userId: transaction.client_id,
+          type: "escrow_funded_client",
+          amount: transaction.amount,
+          receipt: transaction.mpesa_receipt_number,
+        },
+        {
+          userId: transaction.freelancer_id,
+          type: "escrow_funded_freelancer",
+          amount: transaction.amount,
+        },
+      ];
+    case S.RELEASED:
+      // Each milestone payout was announced as it went out
+      if (fromStatus === S.HELD_IN_ESCROW) return [];
+      return [
+        {
+          userId: transaction.freelancer_id,
+          type: "payout_released",
+          amount: transaction.freelancer_amount ?? transaction.amount,
+          receipt: transaction.mpesa_transaction_id,
+        },
+      ];
+    case S.RELEASE_FAILED:
+      return [
+        {
+          userId: transaction.freelancer_id,
+          type: "payout_failed",
+          amount: transaction.freelancer_amount ?? transaction.amount,
+        },
+      ];
+    case S.DISPUTED:
+      return [
+        { userId: transaction.client_id, type: "dispute_opened" },
+        { userId: transaction.freelancer_id, type: "dispute_opened" },
+      ];
+    case S.REFUNDED:
+      return [
+        {
+          userId: transaction.client_id,
+          type: "refund_completed",
+          amount: transaction.refund_amount ?? transaction.amount,
+          receipt: transaction.refund_receipt,
+        },
+      ];
+    default:
+      return [];
+  }
+};
+
+const sendOnChannel = async (channel, to, message) => {
+  const provider = getProvider(channel);
+  if (!to || !provider) return "skipped";
+
+  try {
+    await provider.send({ to, subject: message.title, text: message.text });
+    return "sent";
+  } catch (error) {
+    console.error(`❌ ${channel} notification via ${provider.name} failed:`, error.message);
+    return "failed";
+  }
+};
+
+const resolveLanguage = (contact) =>
+  LANGUAGES.includes(contact?.language) ? contact.language : DEFAULT_LANGUAGE;
+
+/**
+ * Send a one-off SMS to a number that may not be on the user's account,
+ * such as a verification code. Nothing is kept in-app.
+ * Returns "sent", "failed" or "skipped".
+ */
+export const sendSmsToUser = async (userId, to, type, values) => {
+  try {
+    const { contact } = await getNotificationContact(userId);
+    const message = renderNotification(type, resolveLanguage(contact), values);
+    return await sendOnChannel("sms", to, message);
+  } catch (error) {
+    console.error(`sendSmsToUser ${type} error:`, error);
+    return "failed";
+  }
+};
+
+/**
+ * Render, send and store one notification for a user. Never throws.
+ * - values: what the template needs
+ * - data, transactionId: kept with the in-app notification
+ */
+export const notifyUser = async ({
+  userId,
+  type,
+  values,
+  data,
+  transactionId,
+}) => {
+  try {
+    if (!userId) return;
+
+    const { contact } = await getNotificationContact(userId);
+    const language = resolveLanguage(contact);
+    const message = renderNotification(type, language, values);
+
+    const [sms, email] = await Promise.all([
+      sendOnChannel("sms", contact?.phone, message),
+      sendOnChannel("email", contact?.email, message),
+    ]);
+
+    await insertNotification({
+      userId,
+      type,
+      title: message.title,
+      body: message.text,
+      language,
+      transactionId,
+      data,
+      delivery: { sms, email },
+    });
+  } catch (error) {
+    console.error(`notifyUser ${type} error:`, error);
+  }
+};
+
+onStatusChange((transaction, { fromStatus }) => {
+  notificationsFor(transaction, fromStatus).forEach(
+    ({ userId, type, amount, receipt }) => {
+      notifyUser({
+        userId,
+        type,
+        values: {
+          amount: formatAmount(amount),
+          receipt,
+          reference: projectReference(transaction),
+          provider: transaction.payment_provider,
+        },
+        transactionId: transaction.id,
+        data: {
+          amount,
+          receipt: receipt || null,
+          projectId: transaction.project_id,
+          status: transaction.status,
+        },
+      });
+    },
+  );
+});
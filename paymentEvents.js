@@ -0,0 +1,38 @@
+import { EventEmitter } from "events";
+
+// ==================== PAYMENT STATUS EVENTS ====================
+// In-process bus for transaction status changes, keyed by transaction ID.
+// Feeds the /payment-stream SSE endpoint; streams also re-read the database
+// periodically, so a change made by another instance still gets through.
+// Every change is also announced on STATUS_CHANGED for outbound webhooks.
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one listener per open stream
+
+const STATUS_CHANGED = Symbol("status-changed");
+
+/**
+ * Announce a transaction row that just changed status; never throws.
+ * change: { fromStatus, reason } describing the transition, when known.
+ */
+export const publishTransactionUpdate = (transaction, change = {}) => {
+  try {
+    emitter.emit(String(transaction.id), transaction);
+    emitter.emit(STATUS_CHANGED, transaction, change);
+  } catch (error) {
+    console.error("publishTransactionUpdate error:", error);
+  }
+};
+
+// Listen for changes to one transaction. Returns the unsubscribe function.
+export const subscribeToTransaction = (transactionId, listener) => {
+  const key = String(transactionId);
+  emitter.on(key, listener);
+  return () => emitter.off(key, listener);
+};
+
+// Listen for every status change, with (transaction, { fromStatus, reason })
+export const onStatusChange = (listener) => {
+  emitter.on(STATUS_CHANGED, listener);
+  return () => emitter.off(STATUS_CHANGED, listener);
+};
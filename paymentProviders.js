@@ -0,0 +1,144 @@
+import { getCommissionRate, splitPayment } from "./commission.js";
+import {
+  getAcceptedBid,
+  getOpenTransactionForBid,
+  InsertTransaction,
+  updateProject,
+} from "./supabase.js";
+import { TRANSACTION_STATUS } from "./transactionStatus.js";
+
+// ==================== PAYMENT PROVIDERS ====================
+/**
+ * Every way of paying (M-Pesa, Stripe...) is a provider object working on
+ * the same transactions table and escrow lifecycle (transactionStatus.js):
+ *
+ * - name: stored as transactions.payment_provider
+ * - collect({ transaction, user, params }): start the client's payment into
+ *   escrow. Returns { transaction, data } where data is what the frontend
+ *   needs next (an STK prompt was sent, a Stripe client secret...).
+ * - confirm({ transaction }): ask the provider where the payment (or refund)
+ *   stands and apply the answer. Returns { transaction }.
+ * - release({ transaction, user, params }): pay the freelancer their share.
+ *   Returns { data, queued? }; queued payouts go out later.
+ * - refund({ transaction, amount, reason }): pay the client back everything
+ *   still refundable (amount, if given, must match it). Returns { data }.
+ *   Results may arrive later (callbacks, confirm).
+ * - status({ transaction }): provider-side details, without changing anything.
+ * - collectMiddleware: optional Express middleware run before collect, e.g.
+ *   rate limits.
+ * - insertOptions({ projectId }): optional extra InsertTransaction options
+ *   for a new transaction.
+ *
+ * Methods throw paymentError(...) for problems the caller should be told
+ * about; anything else is a 500.
+ */
+
+// An error with an HTTP status and code that routes send back as-is
+export const paymentError = (message, code, httpStatus = 400, details = {}) =>
+  Object.assign(new Error(message), { code, httpStatus, details });
+
+// Respond to a paymentError; returns false for other errors
+export const sendPaymentError = (res, error) => {
+  if (!error?.httpStatus || !error.details) return false;
+  res.status(error.httpStatus).json({
+    status: "error",
+    message: error.message,
+    error: error.code,
+    ...error.details,
+  });
+  return true;
+};
+
+/**
+ * Find or create the escrow transaction for an accepted bid, priced from the
+ * bid. Only the client who owns the project may pay, and a bid with a
+ * pending payment through another provider must finish (or fail) first.
+ * insertOptions are passed to InsertTransaction.
+ */
+export const openEscrowTransaction = async ({
+  user,
+  projectId,
+  bidId,
+  provider,
+  insertOptions = {},
+}) => {
+  const { bid, project, error: bidError } = await getAcceptedBid(
+    projectId,
+    bidId,
+  );
+  if (bidError) {
+    throw paymentError(bidError.message, "BID_NOT_FOUND", 404);
+  }
+
+  if (project.client_id !== user.id) {
+    throw paymentError(
+      "You can only pay for your own projects",
+      "FORBIDDEN",
+      403,
+    );
+  }
+
+  const { transaction: existing, error: existingError } =
+    await getOpenTransactionForBid(bid.id);
+  if (existingError) throw existingError;
+
+  if (existing && existing.status !== TRANSACTION_STATUS.PENDING) {
+    throw paymentError(
+      "This bid has already been paid for",
+      "ALREADY_PAID",
+      409,
+    );
+  }
+
+  if (existing && existing.payment_provider !== provider) {
+    throw paymentError(
+      `A ${existing.payment_provider} payment for this bid is still pending`,
+      "PROVIDER_MISMATCH",
+      409,
+      { transactionId: existing.id, provider: existing.payment_provider },
+    );
+  }
+
+  if (existing) {
+    return { transaction: existing, project, bid };
+  }
+
+  // Price the payment from the accepted bid, never from the request
+  const { amount, platformFee, freelancerAmount } = splitPayment(
+    bid.amount,
+    await getCommissionRate(),
+  );
+
+  if (amount < 1) {
+    throw paymentError("Amount must be at least 1 KES", "INVALID_AMOUNT");
+  }
+
+  const { transaction, error: insertError } = await InsertTransaction(
+    project.id,
+    bid.id,
+    project.client_id,
+    bid.freelancer_id,
+    amount,
+    platformFee,
+    freelancerAmount,
+    null,
+    { paymentProvider: provider, ...insertOptions },
+  );
+  if (insertError) throw insertError;
+
+  return { transaction, project, bid };
+};
+
+// The freelancer has been paid in full, so the project is done. Called once
+// a payout has completed (a B2C result, a created Stripe transfer), never
+// when a payout is merely sent.
+export const completeProject = async (transaction) => {
+  if (!transaction?.project_id) return;
+
+  const { data, error } = await updateProject(transaction.project_id);
+  if (error) {
+    console.error("Project update failed:", error);
+  } else {
+    console.log("Project status updated to completed:", data);
+  }
+};
@@ -0,0 +1,248 @@
+import { supabaseAdmin } from "./Client.js";
+import { paymentError } from "./paymentProviders.js";
+
+// ==================== PAYOUT NUMBERS ====================
+
+// Freelancer's verified M-Pesa payout number, if any
+export const getFreelancerPayoutNumber = async (userId) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("freelancer_profiles")
+      .select(
+        "mpesa_payout_phone, mpesa_payout_phone_verified_at, mpesa_payout_phone_usable_at",
+      )
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error("getFreelancerPayoutNumber error:", error);
+      return { payoutNumber: null, error };
+    }
+
+    return {
+      payoutNumber: data?.mpesa_payout_phone
+        ? {
+            phoneNumber: data.mpesa_payout_phone,
+            verifiedAt: data.mpesa_payout_phone_verified_at,
+            usableAt: data.mpesa_payout_phone_usable_at,
+          }
+        : null,
+      error: null,
+    };
+  } catch (error) {
+    console.error("getFreelancerPayoutNumber catch error:", error);
+    return { payoutNumber: null, error };
+  }
+};
+
+/**
+ * Put a newly verified payout number on the freelancer's profile and record
+ * the change. usableAt is when payouts to it may start.
+ */
+export const setFreelancerPayoutNumber = async ({
+  userId,
+  phoneNumber,
+  previousPhoneNumber,
+  method,
+  verificationId,
+  usableAt,
+}) => {
+  try {
+    const now = new Date().toISOString();
+    const { data, error } = await supabaseAdmin
+      .from("freelancer_profiles")
+      .upsert(
+        {
+          user_id: userId,
+          mpesa_payout_phone: phoneNumber,
+          mpesa_payout_phone_verified_at: now,
+          mpesa_payout_phone_usable_at: usableAt,
+          updated_at: now,
+        },
+        {
+          onConflict: "user_id",
+          ignoreDuplicates: false,
+        },
+      )
+      .select()
+      .single();
+
+    if (error) {
+      console.error("setFreelancerPayoutNumber error:", error);
+      return { data: null, error };
+    }
+
+    const { error: historyError } = await supabaseAdmin
+      .from("payout_number_changes")
+      .insert({
+        user_id: userId,
+        old_phone_number: previousPhoneNumber || null,
+        new_phone_number: phoneNumber,
+        verification_method: method,
+        verification_id: verificationId,
+        usable_at: usableAt,
+      });
+
+    if (historyError) {
+      console.error("Payout number history insert error:", historyError);
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    console.error("setFreelancerPayoutNumber catch error:", error);
+    return { data: null, error };
+  }
+};
+
+export const listPayoutNumberChanges = async (userId) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("payout_number_changes")
+      .select("*")
+      .eq("user_id", userId)
+      .order("created_at", { ascending: false });
+
+    if (error) {
+      console.error("listPayoutNumberChanges error:", error);
+      return { changes: [], error };
+    }
+
+    return { changes: data || [], error: null };
+  } catch (error) {
+    console.error("listPayoutNumberChanges catch error:", error);
+    return { changes: [], error };
+  }
+};
+
+export const createPayoutNumberVerification = async ({
+  userId,
+  phoneNumber,
+  method,
+  codeHash,
+  expiresAt,
+}) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("payout_number_verifications")
+      .insert({
+        user_id: userId,
+        phone_number: phoneNumber,
+        method,
+        code_hash: codeHash || null,
+        expires_at: expiresAt,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error("createPayoutNumberVerification error:", error);
+      return { verification: null, error };
+    }
+
+    return { verification: data, error: null };
+  } catch (error) {
+    console.error("createPayoutNumberVerification catch error:", error);
+    return { verification: null, error };
+  }
+};
+
+// Confirmation payments sent to a number since a point in time, by anyone
+export const countPayoutNumberPayments = async (phoneNumber, since) => {
+  try {
+    const { count, error } = await supabaseAdmin
+      .from("payout_number_verifications")
+      .select("id", { count: "exact", head: true })
+      .eq("phone_number", phoneNumber)
+      .eq("method", "payment")
+      .gte("created_at", since);
+
+    if (error) {
+      console.error("countPayoutNumberPayments error:", error);
+      return { count: null, error };
+    }
+
+    return { count: count || 0, error: null };
+  } catch (error) {
+    console.error("countPayoutNumberPayments catch error:", error);
+    return { count: null, error };
+  }
+};
+
+// Look a verification up by id, or by the ConversationID of its payment
+export const getPayoutNumberVerification = async ({ id, conversationId }) => {
+  try {
+    let query = supabaseAdmin.from("payout_number_verifications").select("*");
+    query = id
+      ? query.eq("id", id)
+      : query.eq("conversation_id", conversationId);
+
+    const { data, error } = await query.maybeSingle();
+
+    if (error) {
+      console.error("getPayoutNumberVerification error:", error);
+      return { verification: null, error };
+    }
+
+    return { verification: data, error: null };
+  } catch (error) {
+    console.error("getPayoutNumberVerification catch error:", error);
+    return { verification: null, error };
+  }
+};
+
+/**
+ * Update a verification only if it still matches `expected` (e.g. its status
+ * and attempt count). Returns verification: null when it no longer does.
+ */
+export const updatePayoutNumberVerification = async (id, expected, updates) => {
+  try {
+    let query = supabaseAdmin
+      .from("payout_number_verifications")
+      .update(updates)
+      .eq("id", id);
+    Object.entries(expected).forEach(([column, value]) => {
+      query = query.eq(column, value);
+    });
+
+    const { data, error } = await query.select().maybeSingle();
+
+    if (error) {
+      console.error("updatePayoutNumberVerification error:", error);
+      return { verification: null, error };
+    }
+
+    return { verification: data, error: null };
+  } catch (error) {
+    console.error("updatePayoutNumberVerification catch error:", error);
+    return { verification: null, error };
+  }
+};
+
+/**
+ * The number a freelancer's payouts go to. Throws a paymentError with code
+ * PAYOUT_NUMBER_UNVERIFIED when there is none, or PAYOUT_NUMBER_COOLING_OFF
+ * (with usableAt) while a recent change is still cooling off.
+ */
+export const resolvePayoutNumber = async (freelancerId) => {
+  const { payoutNumber, error } = await getFreelancerPayoutNumber(freelancerId);
+  if (error) throw error;
+
+  if (!payoutNumber?.verifiedAt) {
+    throw paymentError(
+      "The freelancer has no verified M-Pesa payout number",
+      "PAYOUT_NUMBER_UNVERIFIED",
+      409,
+    );
+  }
+
+  if (payoutNumber.usableAt && new Date(payoutNumber.usableAt) > new Date()) {
+    throw paymentError(
+      `The payout number was changed recently; payouts resume at ${payoutNumber.usableAt}`,
+      "PAYOUT_NUMBER_COOLING_OFF",
+      409,
+      { usableAt: payoutNumber.usableAt },
+    );
+  }
+
+  return payoutNumber.phoneNumber;
+};
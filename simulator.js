@@ -0,0 +1,605 @@
+import express from "express";
+import axios from "axios";
+import crypto from "crypto";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Offline stand-in for the Daraja API, mounted at /daraja-simulator when
+ * MPESA_ENVIRONMENT=simulator. It answers the same endpoints MpesaRoutes.js
+ * calls and, after a delay, posts Daraja-shaped callbacks to the URLs it was
+ * given, so the whole escrow flow runs without Safaricom or a phone.
+ *
+ * The outcome is picked by the customer phone number, falling back to the
+ * amount; anything else succeeds:
+ *
+ *   phone 254700000001 or amount 1032  →  cancelled by the user
+ *   phone 254700000002 or amount 1037  →  timeout (no answer from the phone;
+ *                                          B2C gets a queue timeout)
+ *   phone 254700000003 or amount 1051  →  insufficient funds
+ *   phone 254700000004 or amount 1404  →  no callback at all
+ */
+
+const router = express.Router();
+
+// ==================== SIMULATOR SETTINGS ====================
+const CALLBACK_DELAY_MS = Number(process.env.MPESA_SIMULATOR_DELAY_MS) || 3000;
+const TIMEOUT_DELAY_MS =
+  Number(process.env.MPESA_SIMULATOR_TIMEOUT_DELAY_MS) || 15000;
+const TOKEN_TTL_SECONDS = 3599;
+
+const SCENARIOS = Object.freeze({
+  SUCCESS: "success",
+  CANCELLED: "cancelled",
+  TIMEOUT: "timeout",
+  INSUFFICIENT_FUNDS: "insufficient_funds",
+  NO_CALLBACK: "no_callback",
+});
+
+const MAGIC_PHONES = {
+  "254700000001": SCENARIOS.CANCELLED,
+  "254700000002": SCENARIOS.TIMEOUT,
+  "254700000003": SCENARIOS.INSUFFICIENT_FUNDS,
+  "254700000004": SCENARIOS.NO_CALLBACK,
+};
+
+const MAGIC_AMOUNTS = {
+  1032: SCENARIOS.CANCELLED,
+  1037: SCENARIOS.TIMEOUT,
+  1051: SCENARIOS.INSUFFICIENT_FUNDS,
+  1404: SCENARIOS.NO_CALLBACK,
+};
+
+const pickScenario = (phone, amount) =>
+  MAGIC_PHONES[String(phone)] ||
+  MAGIC_AMOUNTS[Math.round(Number(amount))] ||
+  SCENARIOS.SUCCESS;
+
+// ==================== SIMULATED STATE ====================
+const accessTokens = new Map(); // token -> expiresAt
+const stkRequests = new Map(); // CheckoutRequestID -> request and outcome
+const transactions = new Map(); // receipt or OriginatorConversationID -> record
+const c2bUrls = new Map(); // ShortCode -> { ConfirmationURL, ValidationURL }
+const float = {
+  utility: Number(process.env.MPESA_SIMULATOR_FLOAT) || 100000,
+  working: 0,
+};
+
+// ==================== HELPERS ====================
+
+// YYYYMMDDHHmmss in Kenyan time, as Daraja formats it
+const darajaTimestamp = () =>
+  new Date(Date.now() + 3 * 60 * 60 * 1000)
+    .toISOString()
+    .replace(/[^0-9]/g, "")
+    .slice(0, 14);
+
+// DD.MM.YYYY HH:mm:ss, as B2C results format it
+const darajaDateTime = () => {
+  const t = darajaTimestamp();
+  return `${t.slice(6, 8)}.${t.slice(4, 6)}.${t.slice(0, 4)} ${t.slice(8, 10)}:${t.slice(10, 12)}:${t.slice(12, 14)}`;
+};
+
+const randomDigits = (length) =>
+  Array.from({ length }, () => crypto.randomInt(10)).join("");
+
+// M-Pesa receipts: 10 upper-case letters and digits
+const newReceipt = () =>
+  `S${crypto.randomBytes(8).toString("hex").toUpperCase().slice(0, 9)}`;
+
+const newConversationId = () =>
+  `AG_${darajaTimestamp().slice(0, 8)}_${crypto.randomBytes(10).toString("hex")}`;
+
+const newOriginatorConversationId = () =>
+  `${randomDigits(5)}-${randomDigits(8)}-1`;
+
+const fireCallback = (url, body, delayMs = CALLBACK_DELAY_MS) => {
+  if (!url) return;
+  setTimeout(async () => {
+    try {
+      console.log(`🧪 Simulator callback -> ${url}`);
+      await axios.post(url, body, { timeout: 10000 });
+    } catch (error) {
+      console.error(
+        "🧪 Simulator callback failed:",
+        error.response?.status || error.message,
+      );
+    }
+  }, delayMs);
+};
+
+const resultParameters = (params) => ({
+  ResultParameter: Object.entries(params).map(([Key, Value]) => ({
+    Key,
+    Value,
+  })),
+});
+
+const badRequest = (res, errorMessage, errorCode = "400.002.02") =>
+  res.status(400).json({
+    requestId: randomDigits(5),
+    errorCode,
+    errorMessage,
+  });
+
+// Daraja answers an unknown or expired token with 404
+const requireAccessToken = (req, res, next) => {
+  const [scheme, token] = (req.get("authorization") || "").split(" ");
+  const expiresAt = accessTokens.get(token);
+
+  if (scheme !== "Bearer" || !expiresAt || expiresAt < Date.now()) {
+    return res.status(404).json({
+      requestId: randomDigits(5),
+      errorCode: "404.001.03",
+      errorMessage: "Invalid Access Token",
+    });
+  }
+
+  next();
+};
+
+// ==================== OAUTH ====================
+
+router.get("/oauth/v1/generate", (req, res) => {
+  const [scheme, credentials] = (req.get("authorization") || "").split(" ");
+  const [key, secret] = Buffer.from(credentials || "", "base64")
+    .toString()
+    .split(":");
+
+  if (scheme !== "Basic" || !key || !secret) {
+    return badRequest(res, "Invalid Authentication passed", "400.008.01");
+  }
+
+  const token = crypto.randomBytes(14).toString("base64url");
+  accessTokens.set(token, Date.now() + TOKEN_TTL_SECONDS * 1000);
+
+  res.status(200).json({
+    access_token: token,
+    expires_in: String(TOKEN_TTL_SECONDS),
+  });
+});
+
+// ==================== STK PUSH ====================
+
+const STK_RESULTS = {
+  [SCENARIOS.CANCELLED]: { ResultCode: 1032, ResultDesc: "Request cancelled by user" },
+  [SCENARIOS.TIMEOUT]: { ResultCode: 1037, ResultDesc: "DS timeout user cannot be reached" },
+  [SCENARIOS.INSUFFICIENT_FUNDS]: {
+    ResultCode: 1,
+    ResultDesc: "The balance is insufficient for the transaction",
+  },
+};
+
+// Password must be base64(BusinessShortCode + passkey + Timestamp)
+const isValidStkPassword = ({ BusinessShortCode, Password, Timestamp }) => {
+  const decoded = Buffer.from(Password || "", "base64").toString();
+  return (
+    !!Timestamp &&
+    decoded.startsWith(String(BusinessShortCode)) &&
+    decoded.endsWith(String(Timestamp))
+  );
+};
+
+router.post("/mpesa/stkpush/v1/processrequest", requireAccessToken, (req, res) => {
+  const { BusinessShortCode, Amount, PhoneNumber, CallBackURL } = req.body;
+
+  if (!BusinessShortCode || !Amount || !PhoneNumber || !CallBackURL) {
+    return badRequest(res, "Bad Request - Invalid request body");
+  }
+  if (!isValidStkPassword(req.body)) {
+    return badRequest(res, "Bad Request - Invalid Password");
+  }
+
+  const scenario = pickScenario(PhoneNumber, Amount);
+  const merchantRequestId = newOriginatorConversationId();
+  const checkoutRequestId = `ws_CO_${darajaTimestamp()}${randomDigits(10)}`;
+
+  const stkCallback = {
+    MerchantRequestID: merchantRequestId,
+    CheckoutRequestID: checkoutRequestId,
+  };
+
+  if (scenario === SCENARIOS.SUCCESS) {
+    const receipt = newReceipt();
+    Object.assign(stkCallback, {
+      ResultCode: 0,
+      ResultDesc: "The service request is processed successfully.",
+      CallbackMetadata: {
+        Item: [
+          { Name: "Amount", Value: Number(Amount) },
+          { Name: "MpesaReceiptNumber", Value: receipt },
+          { Name: "Balance" },
+          { Name: "TransactionDate", Value: Number(darajaTimestamp()) },
+          { Name: "PhoneNumber", Value: Number(PhoneNumber) },
+        ],
+      },
+    });
+    transactions.set(receipt, {
+      receipt,
+      amount: Number(Amount),
+      phone: String(PhoneNumber),
+      shortCode: String(BusinessShortCode),
+      status: "Completed",
+    });
+  } else if (STK_RESULTS[scenario]) {
+    Object.assign(stkCallback, STK_RESULTS[scenario]);
+  }
+
+  const request = { ...stkCallback, scenario, completed: false };
+  stkRequests.set(checkoutRequestId, request);
+
+  if (scenario !== SCENARIOS.NO_CALLBACK) {
+    const delay =
+      scenario === SCENARIOS.TIMEOUT ? TIMEOUT_DELAY_MS : CALLBACK_DELAY_MS;
+    setTimeout(() => {
+      request.completed = true;
+    }, delay);
+    fireCallback(CallBackURL, { Body: { stkCallback } }, delay);
+  }
+
+  console.log(`🧪 Simulated STK push ${checkoutRequestId.slice(-10)}: ${scenario}`);
+
+  res.status(200).json({
+    MerchantRequestID: merchantRequestId,
+    CheckoutRequestID: checkoutRequestId,
+    ResponseCode: "0",
+    ResponseDescription: "Success. Request accepted for processing",
+    CustomerMessage: "Success. Request accepted for processing",
+  });
+});
+
+router.post("/mpesa/stkpushquery/v1/query", requireAccessToken, (req, res) => {
+  const request = stkRequests.get(req.body.CheckoutRequestID);
+
+  if (!request) {
+    return badRequest(res, "Bad Request - Invalid CheckoutRequestID");
+  }
+
+  if (!request.completed) {
+    return res.status(500).json({
+      requestId: randomDigits(5),
+      errorCode: "500.001.1001",
+      errorMessage: "The transaction is being processed",
+    });
+  }
+
+  res.status(200).json({
+    ResponseCode: "0",
+    ResponseDescription: "The service request has been accepted successsfully",
+    MerchantRequestID: request.MerchantRequestID,
+    CheckoutRequestID: request.CheckoutRequestID,
+    ResultCode: String(request.ResultCode),
+    ResultDesc: request.ResultDesc,
+  });
+});
+
+// ==================== B2C ====================
+
+const B2C_FAILURES = {
+  [SCENARIOS.CANCELLED]: {
+    ResultCode: 2040,
+    ResultDesc:
+      "Credit Party customer type (Unregistered or Registered Customer) can't be supported by the service.",
+  },
+  [SCENARIOS.INSUFFICIENT_FUNDS]: {
+    ResultCode: 1,
+    ResultDesc: "The balance is insufficient for the transaction.",
+  },
+};
+
+router.post("/mpesa/b2c/v3/paymentrequest", requireAccessToken, (req, res) => {
+  const {
+    OriginatorConversationID,
+    Amount,
+    PartyB,
+    ResultURL,
+    QueueTimeOutURL,
+  } = req.body;
+
+  if (!OriginatorConversationID || !Amount || !PartyB || !ResultURL) {
+    return badRequest(res, "Bad Request - Invalid request body");
+  }
+
+  const amount = Number(Amount);
+  const conversationId = newConversationId();
+  let scenario = pickScenario(PartyB, Amount);
+  if (scenario === SCENARIOS.SUCCESS && amount > float.utility) {
+    scenario = SCENARIOS.INSUFFICIENT_FUNDS;
+  }
+
+  const Result = {
+    ResultType: 0,
+    OriginatorConversationID,
+    ConversationID: conversationId,
+  };
+
+  // A timed-out payout still goes through behind the scenes, so the
+  // status query that follows finds it completed
+  if (scenario === SCENARIOS.SUCCESS || scenario === SCENARIOS.TIMEOUT) {
+    const receipt = newReceipt();
+    float.utility -= amount;
+    const record = {
+      receipt,
+      amount,
+      phone: String(PartyB),
+      shortCode: String(req.body.PartyA),
+      status: "Completed",
+      originatorConversationId: OriginatorConversationID,
+    };
+    transactions.set(receipt, record);
+    transactions.set(OriginatorConversationID, record);
+
+    Object.assign(Result, {
+      ResultCode: 0,
+      ResultDesc: "The service request is processed successfully.",
+      TransactionID: receipt,
+      ResultParameters: resultParameters({
+        TransactionAmount: amount,
+        TransactionReceipt: receipt,
+        B2CRecipientIsRegisteredCustomer: "Y",
+        B2CChargesPaidAccountAvailableFunds: 0,
+        ReceiverPartyPublicName: `${PartyB} - Simulated Customer`,
+        TransactionCompletedDateTime: darajaDateTime(),
+        B2CUtilityAccountAvailableFunds: float.utility,
+        B2CWorkingAccountAvailableFunds: float.working,
+      }),
+    });
+  } else if (B2C_FAILURES[scenario]) {
+    transactions.set(OriginatorConversationID, {
+      amount,
+      phone: String(PartyB),
+      status: "Failed",
+      originatorConversationId: OriginatorConversationID,
+    });
+    Object.assign(Result, B2C_FAILURES[scenario], {
+      TransactionID: newReceipt(),
+    });
+  }
+
+  Result.ReferenceData = {
+    ReferenceItem: { Key: "QueueTimeoutURL", Value: QueueTimeOutURL },
+  };
+
+  if (scenario === SCENARIOS.TIMEOUT) {
+    fireCallback(
+      QueueTimeOutURL,
+      {
+        Result: {
+          ...Result,
+          ResultType: 1,
+          ResultCode: 1,
+          ResultDesc: "The request timed out in the queue",
+          ResultParameters: undefined,
+        },
+      },
+      TIMEOUT_DELAY_MS,
+    );
+  } else if (scenario !== SCENARIOS.NO_CALLBACK) {
+    fireCallback(ResultURL, { Result });
+  }
+
+  console.log(`🧪 Simulated B2C ${OriginatorConversationID}: ${scenario}`);
+
+  res.status(200).json({
+    ConversationID: conversationId,
+    OriginatorConversationID,
+    ResponseCode: "0",
+    ResponseDescription: "Accept the service request successfully.",
+  });
+});
+
+// Daraja's synchronous acknowledgement for the async result APIs
+const acceptRequest = (res, originatorConversationId) =>
+  res.status(200).json({
+    OriginatorConversationID:
+      originatorConversationId || newOriginatorConversationId(),
+    ConversationID: newConversationId(),
+    ResponseCode: "0",
+    ResponseDescription: "Accept the service request successfully.",
+  });
+
+// ==================== TRANSACTION STATUS ====================
+
+router.post("/mpesa/transactionstatus/v1/query", requireAccessToken, (req, res) => {
+  const { TransactionID, OriginalConversationID, ResultURL } = req.body;
+
+  if (!ResultURL || (!TransactionID && !OriginalConversationID)) {
+    return badRequest(res, "Bad Request - Invalid request body");
+  }
+
+  const record =
+    transactions.get(TransactionID) || transactions.get(OriginalConversationID);
+  const originatorConversationId = newOriginatorConversationId();
+  const conversationId = newConversationId();
+
+  const Result = {
+    ResultType: 0,
+    OriginatorConversationID: originatorConversationId,
+    ConversationID: conversationId,
+    TransactionID: newReceipt(),
+  };
+
+  if (record) {
+    Object.assign(Result, {
+      ResultCode: 0,
+      ResultDesc: "The service request is processed successfully.",
+      ResultParameters: resultParameters({
+        DebitPartyName: `${record.shortCode || "600000"} - Simulated Business`,
+        CreditPartyName: `${record.phone} - Simulated Customer`,
+        OriginatorConversationID: record.originatorConversationId || "",
+        InitiatedTime: Number(darajaTimestamp()),
+        DebitAccountType: "Utility Account",
+        DebitPartyCharges: "",
+        TransactionReason: "",
+        ReasonType: "Business Payment to Customer via API",
+        TransactionStatus: record.status,
+        FinalisedTime: Number(darajaTimestamp()),
+        Amount: record.amount,
+        ConversationID: conversationId,
+        ReceiptNo: record.receipt || "",
+      }),
+    });
+  } else {
+    Object.assign(Result, {
+      ResultCode: 2001,
+      ResultDesc: "The initiator information is invalid.",
+    });
+  }
+
+  fireCallback(ResultURL, { Result });
+  acceptRequest(res, originatorConversationId);
+});
+
+// ==================== ACCOUNT BALANCE ====================
+
+router.post("/mpesa/accountbalance/v1/query", requireAccessToken, (req, res) => {
+  const { ResultURL } = req.body;
+  if (!ResultURL) {
+    return badRequest(res, "Bad Request - Invalid request body");
+  }
+
+  const originatorConversationId = newOriginatorConversationId();
+  const money = (value) => Number(value).toFixed(2);
+
+  fireCallback(ResultURL, {
+    Result: {
+      ResultType: 0,
+      ResultCode: 0,
+      ResultDesc: "The service request is processed successfully.",
+      OriginatorConversationID: originatorConversationId,
+      ConversationID: newConversationId(),
+      TransactionID: newReceipt(),
+      ResultParameters: resultParameters({
+        AccountBalance: [
+          `Working Account|KES|${money(float.working)}|${money(float.working)}|0.00|0.00`,
+          `Utility Account|KES|${money(float.utility)}|${money(float.utility)}|0.00|0.00`,
+          "Charges Paid Account|KES|0.00|0.00|0.00|0.00",
+        ].join("&"),
+        BOCompletedTime: Number(darajaTimestamp()),
+      }),
+    },
+  });
+
+  acceptRequest(res, originatorConversationId);
+});
+
+// ==================== REVERSAL ====================
+
+router.post("/mpesa/reversal/v1/request", requireAccessToken, (req, res) => {
+  const { TransactionID, Amount, ResultURL } = req.body;
+  if (!TransactionID || !ResultURL) {
+    return badRequest(res, "Bad Request - Invalid request body");
+  }
+
+  const record = transactions.get(TransactionID);
+  const originatorConversationId = newOriginatorConversationId();
+  const Result = {
+    ResultType: 0,
+    OriginatorConversationID: originatorConversationId,
+    ConversationID: newConversationId(),
+    TransactionID: newReceipt(),
+  };
+
+  if (record && record.status === "Completed") {
+    record.status = "Reversed";
+    Object.assign(Result, {
+      ResultCode: 0,
+      ResultDesc: "The service request is processed successfully.",
+      ResultParameters: resultParameters({
+        DebitAccountBalance: "Utility Account|KES|0.00|0.00|0.00|0.00",
+        Amount: Number(Amount) || record.amount,
+        TransCompletedTime: Number(darajaTimestamp()),
+        OriginalTransactionID: TransactionID,
+        Charge: 0,
+        CreditPartyPublicName: `${record.phone} - Simulated Customer`,
+        DebitPartyPublicName: `${record.shortCode} - Simulated Business`,
+      }),
+    });
+  } else {
+    Object.assign(Result, {
+      ResultCode: "R000002",
+      ResultDesc: "The OriginalTransactionID is invalid.",
+    });
+  }
+
+  fireCallback(ResultURL, { Result });
+  acceptRequest(res, originatorConversationId);
+});
+
+// ==================== C2B ====================
+
+router.post("/mpesa/c2b/v1/registerurl", requireAccessToken, (req, res) => {
+  const { ShortCode, ConfirmationURL, ValidationURL } = req.body;
+  if (!ShortCode || !ConfirmationURL) {
+    return badRequest(res, "Bad Request - Invalid request body");
+  }
+
+  c2bUrls.set(String(ShortCode), { ConfirmationURL, ValidationURL });
+
+  res.status(200).json({
+    OriginatorCoversationID: newOriginatorConversationId(), // Daraja's spelling
+    ResponseCode: "0",
+    ResponseDescription: "Success",
+  });
+});
+
+// Same as Daraja's sandbox C2B simulate: validation first, then confirmation
+router.post("/mpesa/c2b/v1/simulate", requireAccessToken, (req, res) => {
+  const { ShortCode, Amount, Msisdn, BillRefNumber, CommandID } = req.body;
+  const urls = c2bUrls.get(String(ShortCode));
+
+  if (!urls) {
+    return badRequest(res, "Bad Request - No URLs registered for ShortCode");
+  }
+
+  const payment = {
+    TransactionType: CommandID === "CustomerBuyGoodsOnline" ? "Buy Goods" : "Pay Bill",
+    TransID: newReceipt(),
+    TransTime: darajaTimestamp(),
+    TransAmount: Number(Amount).toFixed(2),
+    BusinessShortCode: String(ShortCode),
+    BillRefNumber: BillRefNumber || "",
+    InvoiceNumber: "",
+    OrgAccountBalance: "",
+    ThirdPartyTransID: "",
+    MSISDN: String(Msisdn),
+    FirstName: "Simulated",
+  };
+
+  setTimeout(async () => {
+    try {
+      if (urls.ValidationURL) {
+        const { data } = await axios.post(urls.ValidationURL, payment, {
+          timeout: 10000,
+        });
+        if (String(data?.ResultCode) !== "0") {
+          console.log(`🧪 Simulated C2B ${payment.TransID} rejected: ${data?.ResultDesc}`);
+          return;
+        }
+      }
+
+      transactions.set(payment.TransID, {
+        receipt: payment.TransID,
+        amount: Number(Amount),
+        phone: String(Msisdn),
+        shortCode: String(ShortCode),
+        status: "Completed",
+      });
+      await axios.post(urls.ConfirmationURL, payment, { timeout: 10000 });
+    } catch (error) {
+      console.error(
+        "🧪 Simulated C2B callback failed:",
+        error.response?.status || error.message,
+      );
+    }
+  }, CALLBACK_DELAY_MS);
+
+  res.status(200).json({
+    OriginatorCoversationID: newOriginatorConversationId(),
+    ResponseCode: "0",
+    ResponseDescription: "Accept the service request successfully.",
+  });
+});
+
+export default router;
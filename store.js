@@ -0,0 +1,259 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+import Redis from "ioredis";
+
+dotenv.config();
+
+// ==================== SHARED STORE ====================
+// Key/value store for state that every instance must agree on: OAuth tokens,
+// STK query results, rate-limit counters and locks. With REDIS_URL set it
+// talks to any Redis-protocol server (Redis, Valkey, KeyDB...); otherwise it
+// keeps everything in process memory, which is fine for a single instance.
+
+const KEY_PREFIX = process.env.STORE_KEY_PREFIX || "mpesa:";
+const REDIS_COMMAND_TIMEOUT_MS = 2000;
+
+// ==================== IN-MEMORY BACKEND ====================
+
+const createMemoryBackend = () => {
+  const entries = new Map(); // key -> { value, expiresAt }
+
+  const read = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // Sweep expired keys now and then; lookups also drop them lazily
+  setInterval(() => {
+    for (const key of entries.keys()) read(key);
+  }, 30000).unref();
+
+  return {
+    name: "memory",
+    localKeys: true,
+
+    get: async (key) => read(key)?.value ?? null,
+
+    set: async (key, value, { ttlMs, onlyIfAbsent = false } = {}) => {
+      if (onlyIfAbsent && read(key)) return false;
+      entries.set(key, {
+        value: String(value),
+        expiresAt: ttlMs ? Date.now() + ttlMs : null,
+      });
+      return true;
+    },
+
+    del: async (key) => {
+      entries.delete(key);
+    },
+
+    deleteIfEquals: async (key, value) => {
+      if (read(key)?.value !== value) return false;
+      entries.delete(key);
+      return true;
+    },
+
+    increment: async (key, ttlMs) => {
+      let entry = read(key);
+      if (!entry) {
+        entry = { value: "0", expiresAt: Date.now() + ttlMs };
+        entries.set(key, entry);
+      }
+      entry.value = String(Number(entry.value) + 1);
+      return { count: Number(entry.value), expiresAt: entry.expiresAt };
+    },
+
+    decrement: async (key) => {
+      const entry = read(key);
+      if (entry) entry.value = String(Math.max(0, Number(entry.value) - 1));
+    },
+  };
+};
+
+// ==================== REDIS BACKEND ====================
+
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then redis.call('PEXPIRE', KEYS[1], ARGV[1]) end
+return {count, redis.call('PTTL', KEYS[1])}`;
+
+const DELETE_IF_EQUALS_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+const createRedisBackend = (url) => {
+  // Commands fail fast while Redis is unreachable instead of queueing, so
+  // the store helpers can fall back (see store below); ioredis keeps
+  // reconnecting in the background
+  const client = new Redis(url, {
+    commandTimeout: REDIS_COMMAND_TIMEOUT_MS,
+    maxRetriesPerRequest: 1,
+  });
+
+  client.on("error", (error) => {
+    console.error("❌ Redis connection error:", error.message);
+  });
+
+  client.defineCommand("incrementWindow", {
+    numberOfKeys: 1,
+    lua: INCREMENT_SCRIPT,
+  });
+  client.defineCommand("deleteIfEquals", {
+    numberOfKeys: 1,
+    lua: DELETE_IF_EQUALS_SCRIPT,
+  });
+
+  return {
+    name: "redis",
+    localKeys: false,
+
+    get: (key) => client.get(key),
+
+    set: async (key, value, { ttlMs, onlyIfAbsent = false } = {}) => {
+      const args = [key, String(value)];
+      if (ttlMs) args.push("PX", Math.ceil(ttlMs));
+      if (onlyIfAbsent) args.push("NX");
+      return (await client.set(...args)) === "OK";
+    },
+
+    del: async (key) => {
+      await client.del(key);
+    },
+
+    deleteIfEquals: async (key, value) =>
+      (await client.deleteIfEquals(key, value)) === 1,
+
+    increment: async (key, ttlMs) => {
+      const [count, pttl] = await client.incrementWindow(key, Math.ceil(ttlMs));
+      return { count, expiresAt: pttl > 0 ? Date.now() + pttl : null };
+    },
+
+    decrement: async (key) => {
+      await client.decr(key);
+    },
+  };
+};
+
+// ==================== STORE ====================
+
+const backend = process.env.REDIS_URL
+  ? createRedisBackend(process.env.REDIS_URL)
+  : createMemoryBackend();
+
+console.log(`🗄️ Shared store: ${backend.name}`);
+
+const prefixed = (key) => `${KEY_PREFIX}${key}`;
+
+/**
+ * Cache helpers never throw: if the store is unreachable, callers behave as
+ * if nothing was cached rather than failing the payment flow.
+ */
+export const store = {
+  name: backend.name,
+
+  getJson: async (key) => {
+    try {
+      const value = await backend.get(prefixed(key));
+      return value === null ? null : JSON.parse(value);
+    } catch (error) {
+      console.error(`Store read failed for ${key}:`, error.message);
+      return null;
+    }
+  },
+
+  setJson: async (key, value, ttlMs) => {
+    try {
+      return await backend.set(prefixed(key), JSON.stringify(value), { ttlMs });
+    } catch (error) {
+      console.error(`Store write failed for ${key}:`, error.message);
+      return false;
+    }
+  },
+
+  del: async (key) => {
+    try {
+      await backend.del(prefixed(key));
+    } catch (error) {
+      console.error(`Store delete failed for ${key}:`, error.message);
+    }
+  },
+
+  // Count an event in a window starting at the first hit; 0 if unreachable
+  increment: async (key, windowMs) => {
+    try {
+      const { count } = await backend.increment(prefixed(key), windowMs);
+      return count;
+    } catch (error) {
+      console.error(`Store increment failed for ${key}:`, error.message);
+      return 0;
+    }
+  },
+
+  /**
+   * Take a cross-instance lock. Returns a token to pass to releaseLock, or
+   * null if someone else holds it (or the store is unreachable). The lock
+   * expires after ttlMs in case its holder dies.
+   */
+  acquireLock: async (name, ttlMs) => {
+    const token = crypto.randomBytes(16).toString("hex");
+    try {
+      const acquired = await backend.set(prefixed(`lock:${name}`), token, {
+        ttlMs,
+        onlyIfAbsent: true,
+      });
+      return acquired ? token : null;
+    } catch (error) {
+      console.error(`Store lock failed for ${name}:`, error.message);
+      return null;
+    }
+  },
+
+  // Release a lock, but only if we still hold it
+  releaseLock: async (name, token) => {
+    try {
+      await backend.deleteIfEquals(prefixed(`lock:${name}`), token);
+    } catch (error) {
+      console.error(`Store unlock failed for ${name}:`, error.message);
+    }
+  },
+};
+
+/**
+ * express-rate-limit store keeping hit counters in the shared store, so a
+ * limit holds across all instances. Use one per limiter.
+ */
+export class SharedRateLimitStore {
+  constructor(prefix) {
+    this.prefix = `ratelimit:${prefix}:`;
+    this.localKeys = backend.localKeys;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async increment(key) {
+    const { count, expiresAt } = await backend.increment(
+      prefixed(this.prefix + key),
+      this.windowMs,
+    );
+    return {
+      totalHits: count,
+      resetTime: expiresAt ? new Date(expiresAt) : undefined,
+    };
+  }
+
+  async decrement(key) {
+    await backend.decrement(prefixed(this.prefix + key));
+  }
+
+  async resetKey(key) {
+    await backend.del(prefixed(this.prefix + key));
+  }
+}
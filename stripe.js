@@ -0,0 +1,156 @@
+import axios from "axios";
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { stripeKey } from "./constants/index.js";
+
+dotenv.config();
+
+// ==================== STRIPE API ====================
+// Thin client for the Stripe REST API. STRIPE_API_BASE points it somewhere
+// else, e.g. http://localhost:12111 for stripe-mock.
+
+export const STRIPE_API_BASE =
+  process.env.STRIPE_API_BASE || "https://api.stripe.com";
+export const STRIPE_CURRENCY = (process.env.STRIPE_CURRENCY || "kes").toLowerCase();
+
+// Currencies Stripe counts in whole units rather than cents
+const ZERO_DECIMAL_CURRENCIES = [
+  "bif", "clp", "djf", "gnf", "jpy", "kmf", "krw", "mga",
+  "pyg", "rwf", "ugx", "vnd", "vuv", "xaf", "xof", "xpf",
+];
+
+export const toStripeAmount = (amount, currency = STRIPE_CURRENCY) =>
+  ZERO_DECIMAL_CURRENCIES.includes(currency)
+    ? Math.round(Number(amount))
+    : Math.round(Number(amount) * 100);
+
+export const fromStripeAmount = (amount, currency = STRIPE_CURRENCY) =>
+  ZERO_DECIMAL_CURRENCIES.includes(currency) ? amount : amount / 100;
+
+// Stripe takes form bodies with bracketed keys: metadata[transaction_id]=...
+const encodeForm = (params, prefix, pairs = new URLSearchParams()) => {
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === "object") {
+      encodeForm(value, name, pairs);
+    } else {
+      pairs.append(name, String(value));
+    }
+  });
+  return pairs;
+};
+
+/**
+ * Call the Stripe API. Throws an Error with code "STRIPE_ERROR" (and
+ * stripeCode / httpStatus from Stripe) when the request fails.
+ * - idempotencyKey: makes retries of the same money movement safe
+ * - stripeAccount: act on a connected account
+ */
+export const stripeRequest = async (
+  method,
+  path,
+  params = {},
+  { idempotencyKey, stripeAccount } = {},
+) => {
+  const secretKey = stripeKey || process.env.STRIPE_SECRET_KEY;
+  if (!secretKey) {
+    const error = new Error("STRIPE_SECRET_KEY is not configured");
+    error.code = "STRIPE_NOT_CONFIGURED";
+    throw error;
+  }
+
+  const isGet = method.toUpperCase() === "GET";
+  const form = encodeForm(params);
+
+  try {
+    const response = await axios.request({
+      method,
+      url: `${STRIPE_API_BASE}/v1${path}`,
+      headers: {
+        Authorization: `Bearer ${secretKey}`,
+        "Content-Type": "application/x-www-form-urlencoded",
+        ...(idempotencyKey && { "Idempotency-Key": idempotencyKey }),
+        ...(stripeAccount && { "Stripe-Account": stripeAccount }),
+      },
+      params: isGet ? form : undefined,
+      data: isGet ? undefined : form.toString(),
+      timeout: 15000,
+    });
+    return response.data;
+  } catch (error) {
+    const stripeError = error.response?.data?.error;
+    const wrapped = new Error(stripeError?.message || error.message);
+    wrapped.code = "STRIPE_ERROR";
+    wrapped.stripeCode = stripeError?.code || stripeError?.type || null;
+    wrapped.httpStatus = error.response?.status || 502;
+    throw wrapped;
+  }
+};
+
+export const createPaymentIntent = (params, options) =>
+  stripeRequest("POST", "/payment_intents", params, options);
+
+export const retrievePaymentIntent = (paymentIntentId) =>
+  stripeRequest("GET", `/payment_intents/${encodeURIComponent(paymentIntentId)}`);
+
+export const createTransfer = (params, options) =>
+  stripeRequest("POST", "/transfers", params, options);
+
+export const createRefund = (params, options) =>
+  stripeRequest("POST", "/refunds", params, options);
+
+export const retrieveRefund = (refundId) =>
+  stripeRequest("GET", `/refunds/${encodeURIComponent(refundId)}`);
+
+// ==================== CONNECT ====================
+
+export const createAccount = (params, options) =>
+  stripeRequest("POST", "/accounts", params, options);
+
+export const retrieveAccount = (accountId) =>
+  stripeRequest("GET", `/accounts/${encodeURIComponent(accountId)}`);
+
+export const createAccountLink = (params) =>
+  stripeRequest("POST", "/account_links", params);
+
+// ==================== WEBHOOKS ====================
+
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+/**
+ * Check a Stripe-Signature header (t=...,v1=...) against the raw request
+ * body and return the parsed event. Throws when the signature is missing,
+ * wrong or older than five minutes.
+ */
+export const constructWebhookEvent = (rawBody, signatureHeader, secret) => {
+  if (!secret) throw new Error("STRIPE_WEBHOOK_SECRET is not configured");
+  if (!rawBody || !signatureHeader) throw new Error("Missing Stripe signature");
+
+  const parts = signatureHeader.split(",").map((part) => part.split("="));
+  const timestamp = Number(parts.find(([key]) => key === "t")?.[1]);
+  const signatures = parts
+    .filter(([key]) => key === "v1")
+    .map(([, value]) => value);
+
+  if (!timestamp || signatures.length === 0) {
+    throw new Error("Malformed Stripe signature");
+  }
+
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${rawBody.toString("utf8")}`)
+    .digest("hex");
+  const matches = signatures.some(
+    (signature) =>
+      signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected)),
+  );
+  if (!matches) throw new Error("Stripe signature does not match");
+
+  if (Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+    throw new Error("Stripe signature has expired");
+  }
+
+  return JSON.parse(rawBody.toString("utf8"));
+};
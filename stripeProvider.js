@@ -0,0 +1,328 @@
+import { completeProject, paymentError } from "./paymentProviders.js";
+import {
+  createPaymentIntent,
+  createRefund,
+  createTransfer,
+  fromStripeAmount,
+  retrievePaymentIntent,
+  retrieveRefund,
+  STRIPE_CURRENCY,
+  toStripeAmount,
+} from "./stripe.js";
+import {
+  getFreelancerStripeAccount,
+  getTransaction,
+  updateTransactionIfStatus,
+} from "./supabase.js";
+import {
+  TRANSACTION_STATUS,
+  transitionTransaction,
+} from "./transactionStatus.js";
+
+// ==================== STRIPE PROVIDER ====================
+// Card payments collected on the platform account (separate charges and
+// transfers): the charge sits in our balance as escrow, release transfers
+// the freelancer's share to their connected account, refunds go back to
+// the card.
+
+const S = TRANSACTION_STATUS;
+
+const reload = async (transactionId) => {
+  const { transaction, error } = await getTransaction(transactionId);
+  if (error) throw error;
+  return transaction;
+};
+
+// Apply a Stripe refund object to a refund_pending transaction
+const applyRefund = async (transactionId, refund) => {
+  if (refund.status === "pending" || refund.status === "requires_action") {
+    return null;
+  }
+
+  const succeeded = refund.status === "succeeded";
+  const { data, error } = await updateTransactionIfStatus(
+    transactionId,
+    S.REFUND_PENDING,
+    {
+      status: succeeded ? S.REFUNDED : S.REFUND_FAILED,
+      refund_receipt: refund.id,
+      refund_result_code: refund.status,
+      refund_result_description: refund.failure_reason || null,
+    },
+    succeeded ? "Refund completed" : "Refund failed",
+  );
+  if (error) throw error;
+  return data;
+};
+
+export const stripeProvider = {
+  name: "stripe",
+
+  /**
+   * Create (or reuse) the PaymentIntent for the transaction. The frontend
+   * confirms it with Stripe.js using the returned client secret.
+   */
+  collect: async ({ transaction }) => {
+    let intent = transaction.payment_intent_id
+      ? await retrievePaymentIntent(transaction.payment_intent_id)
+      : null;
+
+    if (!intent || intent.status === "canceled") {
+      // Concurrent requests share one intent; a canceled one gets replaced
+      const idempotencyKey = `collect-${transaction.id}-${intent?.id || "new"}`;
+      intent = await createPaymentIntent(
+        {
+          amount: toStripeAmount(transaction.amount),
+          currency: STRIPE_CURRENCY,
+          automatic_payment_methods: { enabled: true },
+          transfer_group: transaction.id,
+          metadata: {
+            transaction_id: transaction.id,
+            project_id: transaction.project_id,
+            bid_id: transaction.bid_id,
+          },
+        },
+        { idempotencyKey },
+      );
+
+      const { data, error } = await updateTransactionIfStatus(
+        transaction.id,
+        S.PENDING,
+        { payment_intent_id: intent.id },
+      );
+      if (error) throw error;
+      if (!data) {
+        throw paymentError(
+          "Transaction changed while starting the payment",
+          "TRANSACTION_CHANGED",
+          409,
+        );
+      }
+      transaction = data;
+    }
+
+    return {
+      transaction,
+      data: {
+        paymentIntentId: intent.id,
+        clientSecret: intent.client_secret,
+        paymentStatus: intent.status,
+        currency: intent.currency,
+      },
+    };
+  },
+
+  confirm: async ({ transaction }) => {
+    if (transaction.status === S.PENDING && transaction.payment_intent_id) {
+      const intent = await retrievePaymentIntent(transaction.payment_intent_id);
+
+      if (intent.status === "succeeded") {
+        const { error } = await transitionTransaction({
+          match: { id: transaction.id },
+          from: S.PENDING,
+          to: S.HELD_IN_ESCROW,
+          updates: { stripe_charge_id: intent.latest_charge || null },
+          reason: "Stripe payment succeeded",
+          metadata: { paymentIntentId: intent.id },
+        });
+        if (error) throw error;
+      } else if (intent.status === "canceled") {
+        const { error } = await transitionTransaction({
+          match: { id: transaction.id },
+          from: S.PENDING,
+          to: S.FAILED,
+          reason: "Stripe payment canceled",
+          metadata: { paymentIntentId: intent.id },
+        });
+        if (error) throw error;
+      }
+    }
+
+    if (transaction.status === S.REFUND_PENDING && transaction.stripe_refund_id) {
+      await applyRefund(
+        transaction.id,
+        await retrieveRefund(transaction.stripe_refund_id),
+      );
+    }
+
+    return { transaction: await reload(transaction.id) };
+  },
+
+  /**
+   * Transfer the freelancer's share to their connected account. A failed
+   * transfer leaves the money in escrow (release_failed) to try again.
+   */
+  release: async ({ transaction }) => {
+    const { stripeAccountId } = await getFreelancerStripeAccount(
+      transaction.freelancer_id,
+    );
+    if (!stripeAccountId) {
+      throw paymentError(
+        "The freelancer has not connected a Stripe account",
+        "STRIPE_ACCOUNT_MISSING",
+        409,
+      );
+    }
+
+    const amount = Number(transaction.freelancer_amount ?? transaction.amount);
+
+    // Claim the release before any money moves
+    const { data: claimed, error: claimError } = await transitionTransaction({
+      match: { id: transaction.id },
+      from: [S.HELD_IN_ESCROW, S.RELEASE_FAILED],
+      to: S.PROCESSING_RELEASE,
+      updates: { payout_amount: amount, payout_attempts: 1 },
+      reason: "Payout requested",
+    });
+    if (claimError) throw claimError;
+    if (!claimed) {
+      throw paymentError(
+        "Transaction is not awaiting release",
+        "NOT_RELEASABLE",
+        409,
+      );
+    }
+
+    let transfer;
+    try {
+      transfer = await createTransfer(
+        {
+          amount: toStripeAmount(amount),
+          currency: STRIPE_CURRENCY,
+          destination: stripeAccountId,
+          transfer_group: transaction.id,
+          source_transaction: transaction.stripe_charge_id || undefined,
+          metadata: { transaction_id: transaction.id },
+        },
+        { idempotencyKey: `release-${transaction.id}-${claimed.updated_at}` },
+      );
+    } catch (transferError) {
+      await transitionTransaction({
+        match: { id: transaction.id },
+        from: S.PROCESSING_RELEASE,
+        to: S.RELEASE_FAILED,
+        reason: `Stripe transfer failed: ${transferError.message}`,
+      });
+      throw transferError;
+    }
+
+    const { data: released, error } = await transitionTransaction({
+      match: { id: transaction.id },
+      from: S.PROCESSING_RELEASE,
+      to: S.RELEASED,
+      updates: { stripe_transfer_id: transfer.id },
+      reason: "Stripe transfer created",
+      metadata: { transferId: transfer.id },
+    });
+    if (error) throw error;
+    if (released) await completeProject(released);
+
+    return {
+      transaction: released || (await reload(transaction.id)),
+      data: {
+        transferId: transfer.id,
+        amount,
+        destination: stripeAccountId,
+      },
+    };
+  },
+
+  // Refund the card payment. The transaction ends up refunded, so only the
+  // whole payment can be refunded; a part would strand the rest in escrow.
+  refund: async ({ transaction, amount, reason }) => {
+    const paidAmount = Number(transaction.amount);
+    const refundAmount = amount ? Number(amount) : paidAmount;
+
+    if (refundAmount !== paidAmount) {
+      throw paymentError(
+        `Refund amount must be the ${paidAmount} paid`,
+        "INVALID_AMOUNT",
+        400,
+        { refundable: paidAmount },
+      );
+    }
+
+    if (!transaction.payment_intent_id) {
+      throw paymentError(
+        "Transaction has no Stripe payment to refund",
+        "NOT_REFUNDABLE",
+      );
+    }
+
+    // A failed refund can be tried again from refund_failed
+    const { data: claimed, error: claimError } = await updateTransactionIfStatus(
+      transaction.id,
+      [S.HELD_IN_ESCROW, S.REFUND_FAILED],
+      {
+        status: S.REFUND_PENDING,
+        refund_method: "stripe",
+        refund_amount: refundAmount,
+        refund_reason: reason || null,
+      },
+      reason ? `Refund requested: ${reason}` : "Refund requested",
+    );
+    if (claimError) throw claimError;
+    if (!claimed) {
+      throw paymentError(
+        "Only escrowed payments can be refunded",
+        "NOT_REFUNDABLE",
+        409,
+      );
+    }
+
+    let refund;
+    try {
+      refund = await createRefund(
+        {
+          payment_intent: transaction.payment_intent_id,
+          amount: toStripeAmount(refundAmount),
+          metadata: { transaction_id: transaction.id },
+        },
+        // One key per attempt: a retry after a failure must not replay it
+        { idempotencyKey: `refund-${transaction.id}-${claimed.updated_at}` },
+      );
+    } catch (refundError) {
+      await updateTransactionIfStatus(
+        transaction.id,
+        S.REFUND_PENDING,
+        {
+          status: S.REFUND_FAILED,
+          refund_result_description: "Refund request could not be sent",
+        },
+        "Refund failed",
+      );
+      throw refundError;
+    }
+
+    await updateTransactionIfStatus(transaction.id, S.REFUND_PENDING, {
+      stripe_refund_id: refund.id,
+    });
+    await applyRefund(transaction.id, refund);
+
+    return {
+      transaction: await reload(transaction.id),
+      data: {
+        refundId: refund.id,
+        amount: refundAmount,
+        refundStatus: refund.status,
+      },
+    };
+  },
+
+  status: async ({ transaction }) => {
+    const intent = transaction.payment_intent_id
+      ? await retrievePaymentIntent(transaction.payment_intent_id)
+      : null;
+
+    return {
+      paymentIntentId: intent?.id || null,
+      paymentStatus: intent?.status || null,
+      amountReceived: intent
+        ? fromStripeAmount(intent.amount_received, intent.currency)
+        : null,
+      currency: intent?.currency || STRIPE_CURRENCY,
+      transferId: transaction.stripe_transfer_id || null,
+      refundId: transaction.stripe_refund_id || null,
+    };
+  },
+};
@@ -1,4 +1,10 @@
 import { supabase, supabaseAdmin } from "./Client.js";
+import {
+  INITIAL_STATUS,
+  recordStatusHistory,
+  TRANSACTION_STATUS,
+  transitionTransaction,
+} from "./transactionStatus.js";
 
 export const InsertTransaction = async (
   projectId,
@@ -9,6 +15,7 @@ export const InsertTransaction = async (
   platformFee,
   freelancerAmount,
   paymentIntentId,
+  { paymentProvider = "stripe", mpesaAccountReference } = {},
 ) => {
   try {
     const { data: transaction, error: transError } = await supabase
@@ -21,9 +28,10 @@ export const InsertTransaction = async (
         amount,
         platform_fee: platformFee,
         freelancer_amount: freelancerAmount,
-        status: "pending",
-        payment_provider: "stripe",
+        status: INITIAL_STATUS,
+        payment_provider: paymentProvider,
         payment_intent_id: paymentIntentId,
+        mpesa_account_reference: mpesaAccountReference || null,
       })
       .select()
       .single();
@@ -33,6 +41,13 @@ export const InsertTransaction = async (
       return { transaction: null, error: transError };
     }
 
+    await recordStatusHistory({
+      transactionId: transaction.id,
+      fromStatus: null,
+      toStatus: INITIAL_STATUS,
+      reason: "Transaction created",
+    });
+
     console.log("Transaction created:", transaction.id);
     return { transaction, error: null };
   } catch (error) {
@@ -40,6 +55,79 @@ export const InsertTransaction = async (
     return { transaction: null, error };
   }
 };
+// Accepted bid on a project, together with the project it belongs to
+export const getAcceptedBid = async (projectId, bidId) => {
+  try {
+    const { data: bid, error: bidError } = await supabase
+      .from("bids")
+      .select("id, project_id, freelancer_id, amount, status")
+      .eq("id", bidId)
+      .eq("project_id", projectId)
+      .maybeSingle();
+
+    if (bidError) {
+      console.error("getAcceptedBid bid error:", bidError);
+      return { bid: null, project: null, error: bidError };
+    }
+
+    if (!bid) {
+      return { bid: null, project: null, error: new Error("Bid not found") };
+    }
+
+    if (bid.status !== "accepted") {
+      return {
+        bid: null,
+        project: null,
+        error: new Error("Bid has not been accepted"),
+      };
+    }
+
+    const { data: project, error: projectError } = await supabase
+      .from("projects")
+      .select("id, client_id, status")
+      .eq("id", projectId)
+      .maybeSingle();
+
+    if (projectError) {
+      console.error("getAcceptedBid project error:", projectError);
+      return { bid: null, project: null, error: projectError };
+    }
+
+    if (!project) {
+      return { bid: null, project: null, error: new Error("Project not found") };
+    }
+
+    return { bid, project, error: null };
+  } catch (error) {
+    console.error("getAcceptedBid catch error:", error);
+    return { bid: null, project: null, error };
+  }
+};
+
+// Latest transaction for a bid that has not failed, if any
+export const getOpenTransactionForBid = async (bidId) => {
+  try {
+    const { data, error } = await supabase
+      .from("transactions")
+      .select("*")
+      .eq("bid_id", bidId)
+      .neq("status", TRANSACTION_STATUS.FAILED)
+      .order("created_at", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      console.error("getOpenTransactionForBid error:", error);
+      return { transaction: null, error };
+    }
+
+    return { transaction: data, error: null };
+  } catch (error) {
+    console.error("getOpenTransactionForBid catch error:", error);
+    return { transaction: null, error };
+  }
+};
+
 export const Commission = async () => {
   try {
     const { data: settingData, error: settingError } = await supabase
@@ -55,17 +143,14 @@ export const Commission = async () => {
     console.error("get commissionRate error:", error);
   }
 };
-export const updateTransaction = async (Intent) => {
+export const updateTransaction = async (Intent, updates = {}) => {
   try {
-    const { data, error } = await supabase
-      .from("transactions")
-      .update({
-        status: "held_in_escrow",
-        escrowed_at: new Date().toISOString(),
-      })
-      .eq("payment_intent_id", Intent)
-      .select()
-      .single();
+    const { data, error } = await transitionTransaction({
+      match: { payment_intent_id: Intent },
+      to: TRANSACTION_STATUS.HELD_IN_ESCROW,
+      updates,
+      reason: "Stripe payment succeeded",
+    });
     if (error) {
       console.error("Transaction update error:", error);
       return { data: null, error };
@@ -83,6 +168,27 @@ export const updateTransaction = async (Intent) => {
     return { data: null, error };
   }
 };
+
+// Transaction paid (or being paid) by a Stripe PaymentIntent
+export const getTransactionByPaymentIntent = async (paymentIntentId) => {
+  try {
+    const { data, error } = await supabase
+      .from("transactions")
+      .select("*")
+      .eq("payment_intent_id", paymentIntentId)
+      .maybeSingle();
+
+    if (error) {
+      console.error("getTransactionByPaymentIntent error:", error);
+      return { transaction: null, error };
+    }
+
+    return { transaction: data, error: null };
+  } catch (error) {
+    console.error("getTransactionByPaymentIntent catch error:", error);
+    return { transaction: null, error };
+  }
+};
 export const getTransaction = async (transactionId) => {
   try {
     const { data: transaction, error } = await supabase
@@ -112,31 +218,6 @@ export const getTransaction = async (transactionId) => {
   }
 };
 
-export const updateById = async (transactionId, updates = {}) => {
-  try {
-    const defaultUpdates = {
-      status: "released",
-      updated_at: new Date().toISOString(),
-    };
-
-    const { data, error } = await supabase
-      .from("transactions")
-      .update({ ...defaultUpdates, ...updates })
-      .eq("id", transactionId)
-      .select()
-      .single();
-
-    if (error) {
-      console.error("Transaction update error:", error);
-      return { data: null, error };
-    }
-
-    return { data, error: null };
-  } catch (error) {
-    console.error("Transaction update catch error:", error);
-    return { data: null, error };
-  }
-};
 // Update project by its ID
 export const updateProject = async (id) => {
   try {
@@ -318,3 +399,885 @@ export const updateLancer = async (userId, accountId) => {
     return { data: null, error };
   }
 };
+
+// Convert an M-Pesa timestamp (YYYYMMDDHHmmss, East Africa Time) to ISO
+export const parseMpesaTimestamp = (value) => {
+  const digits = String(value ?? "");
+  if (!/^\d{14}$/.test(digits)) return null;
+  const [, y, mo, d, h, mi, s] = digits.match(
+    /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/,
+  );
+  return new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}+03:00`).toISOString();
+};
+
+// Move an M-Pesa STK payment into escrow. A client may be prompted again
+// before paying an earlier prompt, so when the transaction id is known the
+// payment is matched by it; any of its prompts can settle it.
+export const updateStkTransaction = async (
+  checkoutRequestId,
+  metadata,
+  resultDesc,
+  transactionId,
+) => {
+  try {
+    const match = transactionId
+      ? { id: transactionId }
+      : { mpesa_checkout_request_id: checkoutRequestId };
+    const receiptFields = {
+      mpesa_receipt_number: metadata.MpesaReceiptNumber,
+      mpesa_paid_amount: metadata.Amount,
+      mpesa_phone_number: metadata.PhoneNumber
+        ? String(metadata.PhoneNumber)
+        : null,
+      mpesa_transaction_date: parseMpesaTimestamp(metadata.TransactionDate),
+    };
+
+    const { data, error } = await transitionTransaction({
+      match,
+      from: TRANSACTION_STATUS.PENDING,
+      to: TRANSACTION_STATUS.HELD_IN_ESCROW,
+      updates: {
+        ...receiptFields,
+        // The prompt that was paid, which may not be the latest one
+        mpesa_checkout_request_id: checkoutRequestId,
+        stk_result_code: "0",
+        stk_result_description: resultDesc,
+      },
+      reason: "STK payment confirmed",
+      metadata: { mpesaReceiptNumber: metadata.MpesaReceiptNumber },
+    });
+
+    if (error) {
+      console.error("STK transaction update error:", error);
+      return { data: null, error };
+    }
+
+    if (data) {
+      console.log("STK transaction updated to escrow:", data.id);
+      return { data, error: null };
+    }
+
+    // No longer pending: a repeat of this callback, or a payment the
+    // reconciliation worker confirmed without receipt details
+    const { data: current, error: fetchError } = await supabase
+      .from("transactions")
+      .select("*")
+      .match(match)
+      .maybeSingle();
+
+    if (fetchError) {
+      console.error("STK transaction fetch error:", fetchError);
+      return { data: null, error: fetchError };
+    }
+
+    if (!current || current.status === TRANSACTION_STATUS.FAILED) {
+      return {
+        data: null,
+        error: new Error(
+          `Transaction for CheckoutRequestID ${checkoutRequestId} is ${current?.status || "missing"}`,
+        ),
+      };
+    }
+
+    // Two prompts for the same transaction were both paid
+    if (
+      current.mpesa_receipt_number &&
+      metadata.MpesaReceiptNumber &&
+      current.mpesa_receipt_number !== metadata.MpesaReceiptNumber
+    ) {
+      console.warn(
+        `⚠️ Second STK payment ${metadata.MpesaReceiptNumber} for transaction ${current.id}, already paid by ${current.mpesa_receipt_number}`,
+      );
+      const { error: flagError } = await supabase
+        .from("transactions")
+        .update({ needs_manual_review: true })
+        .eq("id", current.id);
+      if (flagError) {
+        console.error("STK duplicate payment flag error:", flagError);
+        return { data: null, error: flagError };
+      }
+      return { data: current, error: null };
+    }
+
+    if (current.mpesa_receipt_number || !metadata.MpesaReceiptNumber) {
+      return { data: current, error: null };
+    }
+
+    const { data: backfilled, error: backfillError } = await supabase
+      .from("transactions")
+      .update({ ...receiptFields, updated_at: new Date().toISOString() })
+      .eq("id", current.id)
+      .is("mpesa_receipt_number", null)
+      .select()
+      .maybeSingle();
+
+    if (backfillError) {
+      console.error("STK receipt backfill error:", backfillError);
+      return { data: null, error: backfillError };
+    }
+
+    console.log("STK receipt recorded for transaction:", current.id);
+    return { data: backfilled || current, error: null };
+  } catch (error) {
+    console.error("update STK transaction error:", error);
+    return { data: null, error };
+  }
+};
+
+// Record a failed or cancelled STK payment by its CheckoutRequestID, or by
+// the transaction id when known (its callback may arrive before the
+// CheckoutRequestID is stored). Only the latest prompt can fail a
+// transaction; a failed earlier prompt matches nothing while the client may
+// still pay the newer one.
+export const failStkTransaction = async (
+  checkoutRequestId,
+  resultCode,
+  resultDesc,
+  transactionId,
+) => {
+  try {
+    if (transactionId) {
+      const { data: current, error: fetchError } = await supabase
+        .from("transactions")
+        .select("mpesa_checkout_request_id")
+        .eq("id", transactionId)
+        .maybeSingle();
+
+      if (fetchError) {
+        console.error("STK transaction fetch error:", fetchError);
+        return { data: null, error: fetchError };
+      }
+
+      const latest = current?.mpesa_checkout_request_id;
+      if (latest && latest !== checkoutRequestId) {
+        console.log(
+          `STK prompt ${checkoutRequestId} failed after a newer prompt was sent`,
+        );
+        return { data: null, error: null };
+      }
+    }
+
+    const { data, error } = await transitionTransaction({
+      match: transactionId
+        ? { id: transactionId }
+        : { mpesa_checkout_request_id: checkoutRequestId },
+      from: TRANSACTION_STATUS.PENDING,
+      to: TRANSACTION_STATUS.FAILED,
+      updates: {
+        mpesa_checkout_request_id: checkoutRequestId,
+        stk_result_code: String(resultCode),
+        stk_result_description: resultDesc,
+      },
+      reason: `STK payment failed: ${resultDesc}`,
+      metadata: { resultCode },
+    });
+
+    if (error) {
+      console.error("STK transaction failure update error:", error);
+      return { data: null, error };
+    }
+
+    // Already resolved another way (e.g. a late success); nothing to record
+    if (!data) {
+      return { data: null, error: null };
+    }
+
+    console.log("STK transaction marked as failed:", data.id);
+    return { data, error: null };
+  } catch (error) {
+    console.error("fail STK transaction error:", error);
+    return { data: null, error };
+  }
+};
+
+// Pending STK payments whose prompt went out before `olderThan` and that the
+// reconciliation worker has not checked since `checkedBefore`, oldest first
+export const getStalePendingStkTransactions = async ({
+  olderThan,
+  checkedBefore,
+  limit = 10,
+}) => {
+  try {
+    const { data, error } = await supabase
+      .from("transactions")
+      .select("*")
+      .eq("status", TRANSACTION_STATUS.PENDING)
+      .eq("payment_provider", "mpesa")
+      .not("mpesa_checkout_request_id", "is", null)
+      .lt("stk_requested_at", olderThan)
+      .or(
+        `stk_last_checked_at.is.null,stk_last_checked_at.lt.${checkedBefore}`,
+      )
+      .order("stk_last_checked_at", { ascending: true, nullsFirst: true })
+      .limit(limit);
+
+    if (error) {
+      console.error("getStalePendingStkTransactions error:", error);
+      return { transactions: [], error };
+    }
+
+    return { transactions: data || [], error: null };
+  } catch (error) {
+    console.error("getStalePendingStkTransactions catch error:", error);
+    return { transactions: [], error };
+  }
+};
+
+// ==================== M-PESA OUTBOUND REQUESTS ====================
+
+// Record a Daraja request we initiated, keyed by the hash of its callback token
+export const createMpesaRequest = async ({
+  requestType,
+  callbackTokenHash,
+  transactionId,
+  originatorConversationId,
+  purpose,
+  userId,
+}) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("mpesa_requests")
+      .insert({
+        request_type: requestType,
+        callback_token_hash: callbackTokenHash,
+        transaction_id: transactionId || null,
+        originator_conversation_id: originatorConversationId || null,
+        purpose: purpose || null,
+        user_id: userId || null,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error("M-Pesa request insert error:", error);
+      return { request: null, error };
+    }
+
+    return { request: data, error: null };
+  } catch (error) {
+    console.error("createMpesaRequest catch error:", error);
+    return { request: null, error };
+  }
+};
+
+export const updateMpesaRequest = async (requestId, updates = {}) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("mpesa_requests")
+      .update(updates)
+      .eq("id", requestId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error("M-Pesa request update error:", error);
+      return { request: null, error };
+    }
+
+    return { request: data, error: null };
+  } catch (error) {
+    console.error("updateMpesaRequest catch error:", error);
+    return { request: null, error };
+  }
+};
+
+export const getMpesaRequest = async (requestId) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("mpesa_requests")
+      .select("*")
+      .eq("id", requestId)
+      .maybeSingle();
+
+    if (error) {
+      console.error("getMpesaRequest error:", error);
+      return { request: null, error };
+    }
+
+    return { request: data, error: null };
+  } catch (error) {
+    console.error("getMpesaRequest catch error:", error);
+    return { request: null, error };
+  }
+};
+
+export const findMpesaRequestByCheckoutId = async (checkoutRequestId) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("mpesa_requests")
+      .select("*")
+      .eq("request_type", "stk_push")
+      .eq("checkout_request_id", checkoutRequestId)
+      .maybeSingle();
+
+    if (error) {
+      console.error("findMpesaRequestByCheckoutId error:", error);
+      return { request: null, error };
+    }
+
+    return { request: data, error: null };
+  } catch (error) {
+    console.error("findMpesaRequestByCheckoutId catch error:", error);
+    return { request: null, error };
+  }
+};
+
+export const findMpesaRequestByToken = async (requestType, callbackTokenHash) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("mpesa_requests")
+      .select("*")
+      .eq("request_type", requestType)
+      .eq("callback_token_hash", callbackTokenHash)
+      .maybeSingle();
+
+    if (error) {
+      console.error("findMpesaRequestByToken error:", error);
+      return { request: null, error };
+    }
+
+    return { request: data, error: null };
+  } catch (error) {
+    console.error("findMpesaRequestByToken catch error:", error);
+    return { request: null, error };
+  }
+};
+
+// Keep rejected callbacks for review; never throws
+export const logRejectedCallback = async ({
+  eventType,
+  reason,
+  sourceIp,
+  path,
+  payload,
+}) => {
+  try {
+    const { error } = await supabaseAdmin.from("mpesa_rejected_callbacks").insert({
+      event_type: eventType,
+      reason,
+      source_ip: sourceIp,
+      path,
+      payload,
+    });
+
+    if (error) {
+      console.error("Rejected callback insert error:", error);
+    }
+  } catch (error) {
+    console.error("logRejectedCallback catch error:", error);
+  }
+};
+
+// ==================== STK PHONE BLOCKLIST ====================
+
+// Active blocklist entry for a phone number (254XXXXXXXXX), if any
+export const getBlockedPhone = async (phoneNumber) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("mpesa_phone_blocklist")
+      .select("*")
+      .eq("phone_number", phoneNumber)
+      .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`)
+      .maybeSingle();
+
+    if (error) {
+      console.error("getBlockedPhone error:", error);
+      return { entry: null, error };
+    }
+
+    return { entry: data, error: null };
+  } catch (error) {
+    console.error("getBlockedPhone catch error:", error);
+    return { entry: null, error };
+  }
+};
+
+export const listBlockedPhones = async () => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("mpesa_phone_blocklist")
+      .select("*")
+      .order("created_at", { ascending: false });
+
+    if (error) {
+      console.error("listBlockedPhones error:", error);
+      return { entries: [], error };
+    }
+
+    return { entries: data || [], error: null };
+  } catch (error) {
+    console.error("listBlockedPhones catch error:", error);
+    return { entries: [], error };
+  }
+};
+
+export const blockPhone = async ({ phoneNumber, reason, blockedBy, expiresAt }) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("mpesa_phone_blocklist")
+      .upsert(
+        {
+          phone_number: phoneNumber,
+          reason: reason || null,
+          blocked_by: blockedBy || null,
+          expires_at: expiresAt || null,
+          created_at: new Date().toISOString(),
+        },
+        { onConflict: "phone_number" },
+      )
+      .select()
+      .single();
+
+    if (error) {
+      console.error("blockPhone error:", error);
+      return { entry: null, error };
+    }
+
+    return { entry: data, error: null };
+  } catch (error) {
+    console.error("blockPhone catch error:", error);
+    return { entry: null, error };
+  }
+};
+
+export const unblockPhone = async (phoneNumber) => {
+  try {
+    const { error } = await supabaseAdmin
+      .from("mpesa_phone_blocklist")
+      .delete()
+      .eq("phone_number", phoneNumber);
+
+    if (error) {
+      console.error("unblockPhone error:", error);
+      return { error };
+    }
+
+    return { error: null };
+  } catch (error) {
+    console.error("unblockPhone catch error:", error);
+    return { error };
+  }
+};
+
+// ==================== NOTIFICATIONS ====================
+
+// Where and in which language to reach a user, from their auth record
+export const getNotificationContact = async (userId) => {
+  try {
+    const { data, error } = await supabaseAdmin.auth.admin.getUserById(userId);
+
+    if (error) {
+      console.error("getNotificationContact error:", error);
+      return { contact: null, error };
+    }
+
+    const { user } = data;
+    return {
+      contact: {
+        email: user.email || null,
+        phone: user.phone || user.user_metadata?.phone || null,
+        language: user.user_metadata?.preferred_language || null,
+      },
+      error: null,
+    };
+  } catch (error) {
+    console.error("getNotificationContact catch error:", error);
+    return { contact: null, error };
+  }
+};
+
+export const insertNotification = async ({
+  userId,
+  type,
+  title,
+  body,
+  language,
+  transactionId,
+  data,
+  delivery,
+}) => {
+  try {
+    const { data: notification, error } = await supabaseAdmin
+      .from("notifications")
+      .insert({
+        user_id: userId,
+        type,
+        title,
+        body,
+        language,
+        transaction_id: transactionId || null,
+        data: data || null,
+        delivery: delivery || null,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error("insertNotification error:", error);
+      return { notification: null, error };
+    }
+
+    return { notification, error: null };
+  } catch (error) {
+    console.error("insertNotification catch error:", error);
+    return { notification: null, error };
+  }
+};
+
+export const listNotifications = async (userId, { unreadOnly, limit = 50 }) => {
+  try {
+    let query = supabaseAdmin
+      .from("notifications")
+      .select("id, type, title, body, language, transaction_id, data, read_at, created_at")
+      .eq("user_id", userId)
+      .order("created_at", { ascending: false })
+      .limit(limit);
+
+    if (unreadOnly) query = query.is("read_at", null);
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error("listNotifications error:", error);
+      return { notifications: [], error };
+    }
+
+    return { notifications: data || [], error: null };
+  } catch (error) {
+    console.error("listNotifications catch error:", error);
+    return { notifications: [], error };
+  }
+};
+
+// Mark some (ids) or all of a user's unread notifications as read
+export const markNotificationsRead = async (userId, ids) => {
+  try {
+    let query = supabaseAdmin
+      .from("notifications")
+      .update({ read_at: new Date().toISOString() })
+      .eq("user_id", userId)
+      .is("read_at", null);
+
+    if (ids) query = query.in("id", ids);
+
+    const { data, error } = await query.select("id");
+
+    if (error) {
+      console.error("markNotificationsRead error:", error);
+      return { count: 0, error };
+    }
+
+    return { count: data?.length || 0, error: null };
+  } catch (error) {
+    console.error("markNotificationsRead catch error:", error);
+    return { count: 0, error };
+  }
+};
+
+// ==================== B2C PAYOUTS ====================
+
+// Update a payout only while it is still processing_release under the given
+// ConversationID. Returns data: null when another path already moved it on,
+// which is what keeps timeouts, retries and late results from double-paying.
+export const updatePendingPayout = async (
+  conversationId,
+  updates = {},
+  reason,
+) => {
+  try {
+    const { status, ...fields } = updates;
+
+    if (status) {
+      return await transitionTransaction({
+        match: { mpesa_conversation_id: conversationId },
+        from: TRANSACTION_STATUS.PROCESSING_RELEASE,
+        to: status,
+        updates: fields,
+        reason,
+      });
+    }
+
+    const { data, error } = await supabase
+      .from("transactions")
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq("mpesa_conversation_id", conversationId)
+      .eq("status", TRANSACTION_STATUS.PROCESSING_RELEASE)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error("Pending payout update error:", error);
+      return { data: null, error };
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    console.error("updatePendingPayout catch error:", error);
+    return { data: null, error };
+  }
+};
+
+// Attach a payout's ConversationID to its transaction when storing it after
+// the send failed, so the result can still be matched. Only the latest payout
+// request of a transaction still processing without one qualifies; a result
+// for an attempt that has since been retried never does.
+export const linkPayoutConversation = async (mpesaRequest, conversationId) => {
+  try {
+    const { data: latest, error: latestError } = await supabaseAdmin
+      .from("mpesa_requests")
+      .select("id")
+      .eq("transaction_id", mpesaRequest.transaction_id)
+      .eq("request_type", "b2c")
+      .is("purpose", null)
+      .order("created_at", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (latestError) {
+      console.error("linkPayoutConversation request error:", latestError);
+      return { data: null, error: latestError };
+    }
+
+    if (latest?.id !== mpesaRequest.id) {
+      return { data: null, error: null };
+    }
+
+    const { data, error } = await supabase
+      .from("transactions")
+      .update({
+        mpesa_conversation_id: conversationId,
+        mpesa_originator_conversation_id:
+          mpesaRequest.originator_conversation_id,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", mpesaRequest.transaction_id)
+      .eq("status", TRANSACTION_STATUS.PROCESSING_RELEASE)
+      .is("mpesa_conversation_id", null)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error("linkPayoutConversation error:", error);
+      return { data: null, error };
+    }
+
+    if (data) {
+      console.log(`🔗 Payout ${data.id} linked to ConversationID ${conversationId}`);
+    }
+    return { data, error: null };
+  } catch (error) {
+    console.error("linkPayoutConversation catch error:", error);
+    return { data: null, error };
+  }
+};
+
+// ==================== TRANSACTION STATUS QUERIES ====================
+
+// M-Pesa receipts are ten uppercase letters and digits
+export const isMpesaReceipt = (value) =>
+  /^[A-Z0-9]{10}$/.test(String(value ?? ""));
+
+// Find a transaction by an M-Pesa receipt, whether it was paid in (STK) or out (B2C)
+export const findTransactionByReceipt = async (receiptNumber) => {
+  try {
+    // The receipt is interpolated into the .or() filter below, so only a
+    // well-formed one may get that far
+    if (!isMpesaReceipt(receiptNumber)) {
+      console.warn("findTransactionByReceipt: not an M-Pesa receipt");
+      return { transaction: null, error: null };
+    }
+
+    const { data, error } = await supabase
+      .from("transactions")
+      .select("*")
+      .or(
+        `mpesa_receipt_number.eq.${receiptNumber},mpesa_transaction_id.eq.${receiptNumber}`,
+      )
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      console.error("findTransactionByReceipt error:", error);
+      return { transaction: null, error };
+    }
+
+    return { transaction: data, error: null };
+  } catch (error) {
+    console.error("findTransactionByReceipt catch error:", error);
+    return { transaction: null, error };
+  }
+};
+
+export const saveStatusQueryResult = async (transactionId, result) => {
+  try {
+    const { data, error } = await supabase
+      .from("transactions")
+      .update({
+        last_status_query: result,
+        last_status_query_at: new Date().toISOString(),
+      })
+      .eq("id", transactionId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error("saveStatusQueryResult error:", error);
+      return { data: null, error };
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    console.error("saveStatusQueryResult catch error:", error);
+    return { data: null, error };
+  }
+};
+
+// ==================== B2C FLOAT ====================
+
+export const saveBalanceSnapshot = async ({
+  utilityAvailable,
+  workingAvailable,
+  accounts,
+  completedAt,
+}) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("mpesa_balance_snapshots")
+      .insert({
+        utility_available: utilityAvailable,
+        working_available: workingAvailable,
+        accounts,
+        completed_at: parseMpesaTimestamp(completedAt),
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error("Balance snapshot insert error:", error);
+      return { snapshot: null, error };
+    }
+
+    return { snapshot: data, error: null };
+  } catch (error) {
+    console.error("saveBalanceSnapshot catch error:", error);
+    return { snapshot: null, error };
+  }
+};
+
+export const getLatestBalanceSnapshot = async () => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("mpesa_balance_snapshots")
+      .select("*")
+      .order("created_at", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      console.error("getLatestBalanceSnapshot error:", error);
+      return { snapshot: null, error };
+    }
+
+    return { snapshot: data, error: null };
+  } catch (error) {
+    console.error("getLatestBalanceSnapshot catch error:", error);
+    return { snapshot: null, error };
+  }
+};
+
+// Park a payout until the B2C float can cover it
+export const queuePayout = async (
+  transactionId,
+  { phoneNumber, amount, projectId, remarks, occasion },
+) => {
+  try {
+    const { data, error } = await supabase
+      .from("transactions")
+      .update({
+        payout_phone_number: phoneNumber,
+        payout_amount: amount,
+        payout_project_id: projectId || null,
+        payout_remarks: remarks || null,
+        payout_occasion: occasion || null,
+        payout_queued_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", transactionId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error("Queue payout error:", error);
+      return { data: null, error };
+    }
+
+    console.log("Payout queued for transaction:", transactionId);
+    return { data, error: null };
+  } catch (error) {
+    console.error("queuePayout catch error:", error);
+    return { data: null, error };
+  }
+};
+
+export const getQueuedPayouts = async () => {
+  try {
+    const { data, error } = await supabase
+      .from("transactions")
+      .select("*")
+      .not("payout_queued_at", "is", null)
+      .eq("status", TRANSACTION_STATUS.HELD_IN_ESCROW)
+      .order("payout_queued_at", { ascending: true });
+
+    if (error) {
+      console.error("getQueuedPayouts error:", error);
+      return { payouts: [], error };
+    }
+
+    return { payouts: data || [], error: null };
+  } catch (error) {
+    console.error("getQueuedPayouts catch error:", error);
+    return { payouts: [], error };
+  }
+};
+
+// Update a transaction only if it is still in expectedStatus. Returns
+// data: null when it has already moved on. A status in updates goes through
+// the state machine.
+export const updateTransactionIfStatus = async (
+  transactionId,
+  expectedStatus,
+  updates = {},
+  reason,
+) => {
+  try {
+    const { status, ...fields } = updates;
+
+    if (status) {
+      return await transitionTransaction({
+        match: { id: transactionId },
+        from: expectedStatus,
+        to: status,
+        updates: fields,
+        reason,
+      });
+    }
+
+    const { data, error } = await supabase
+      .from("transactions")
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq("id", transactionId)
+      .eq("status", expectedStatus)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error("Conditional transaction update error:", error);
+      return { data: null, error };
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    console.error("updateTransactionIfStatus catch error:", error);
+    return { data: null, error };
+  }
+};
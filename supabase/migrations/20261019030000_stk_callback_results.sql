@@ -0,0 +1,14 @@
+-- STK push results stored on the transaction they paid for, matched by the
+-- CheckoutRequestID of the prompt
+alter table public.transactions
+  add column if not exists mpesa_checkout_request_id text,
+  add column if not exists mpesa_receipt_number text,
+  add column if not exists mpesa_paid_amount numeric,
+  add column if not exists mpesa_phone_number text,
+  add column if not exists mpesa_transaction_date timestamptz,
+  add column if not exists stk_result_code text,
+  add column if not exists stk_result_description text,
+  add column if not exists escrowed_at timestamptz;
+
+create index if not exists transactions_checkout_request_idx
+  on public.transactions (mpesa_checkout_request_id);
@@ -0,0 +1,20 @@
+-- Raw M-Pesa callback bodies, deduplicated per callback type
+create table if not exists public.mpesa_callback_events (
+  id uuid primary key default gen_random_uuid(),
+  event_type text not null,
+  dedupe_key text not null,
+  payload jsonb not null,
+  status text not null default 'received'
+    check (status in ('received', 'processing', 'processed', 'failed')),
+  attempts integer not null default 0,
+  error text,
+  last_attempt_at timestamptz,
+  processed_at timestamptz,
+  created_at timestamptz not null default now(),
+  unique (event_type, dedupe_key)
+);
+
+create index if not exists mpesa_callback_events_status_idx
+  on public.mpesa_callback_events (status, created_at);
+
+alter table public.mpesa_callback_events enable row level security;
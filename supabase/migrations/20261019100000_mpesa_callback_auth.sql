@@ -0,0 +1,31 @@
+-- Daraja requests we initiated; callbacks must carry the matching token
+create table if not exists public.mpesa_requests (
+  id uuid primary key default gen_random_uuid(),
+  request_type text not null,
+  callback_token_hash text not null unique,
+  transaction_id uuid references public.transactions (id),
+  merchant_request_id text,
+  checkout_request_id text,
+  originator_conversation_id text,
+  conversation_id text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists mpesa_requests_checkout_idx
+  on public.mpesa_requests (checkout_request_id);
+create index if not exists mpesa_requests_conversation_idx
+  on public.mpesa_requests (conversation_id);
+
+-- Callbacks that failed verification, kept for review
+create table if not exists public.mpesa_rejected_callbacks (
+  id uuid primary key default gen_random_uuid(),
+  event_type text not null,
+  reason text not null,
+  source_ip text,
+  path text,
+  payload jsonb,
+  created_at timestamptz not null default now()
+);
+
+alter table public.mpesa_requests enable row level security;
+alter table public.mpesa_rejected_callbacks enable row level security;
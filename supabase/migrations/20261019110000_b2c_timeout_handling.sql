@@ -0,0 +1,18 @@
+-- Columns used by B2C payout timeout handling
+alter table public.transactions
+  add column if not exists mpesa_originator_conversation_id text,
+  add column if not exists payout_phone_number text,
+  add column if not exists payout_amount numeric,
+  add column if not exists payout_attempts integer not null default 0,
+  add column if not exists payout_timeout_at timestamptz,
+  add column if not exists needs_manual_review boolean not null default false;
+
+create index if not exists transactions_conversation_idx
+  on public.transactions (mpesa_conversation_id);
+
+alter table public.mpesa_requests
+  add column if not exists purpose text;
+
+alter table public.mpesa_callback_events
+  add column if not exists mpesa_request_id uuid
+    references public.mpesa_requests (id);
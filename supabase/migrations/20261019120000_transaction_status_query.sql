@@ -0,0 +1,7 @@
+-- Last Transaction Status query answer stored on the transaction
+alter table public.transactions
+  add column if not exists last_status_query jsonb,
+  add column if not exists last_status_query_at timestamptz;
+
+create index if not exists transactions_receipt_idx
+  on public.transactions (mpesa_receipt_number);
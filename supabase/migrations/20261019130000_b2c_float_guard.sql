@@ -0,0 +1,22 @@
+-- B2C shortcode balance snapshots from Account Balance results
+create table if not exists public.mpesa_balance_snapshots (
+  id uuid primary key default gen_random_uuid(),
+  utility_available numeric not null,
+  working_available numeric not null,
+  accounts jsonb not null,
+  completed_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+alter table public.mpesa_balance_snapshots enable row level security;
+
+-- Payouts parked until the float can cover them
+alter table public.transactions
+  add column if not exists payout_queued_at timestamptz,
+  add column if not exists payout_project_id uuid,
+  add column if not exists payout_remarks text,
+  add column if not exists payout_occasion text;
+
+create index if not exists transactions_payout_queue_idx
+  on public.transactions (payout_queued_at)
+  where payout_queued_at is not null;
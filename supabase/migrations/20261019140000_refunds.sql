@@ -0,0 +1,12 @@
+-- Client refunds through M-Pesa Reversal (full) or B2C (partial)
+alter table public.transactions
+  add column if not exists refund_method text
+    check (refund_method in ('reversal', 'b2c')),
+  add column if not exists refund_amount numeric,
+  add column if not exists refund_reason text,
+  add column if not exists refund_conversation_id text,
+  add column if not exists refund_receipt text,
+  add column if not exists refund_result_code text,
+  add column if not exists refund_result_description text,
+  add column if not exists refund_requested_at timestamptz,
+  add column if not exists refunded_at timestamptz;
@@ -0,0 +1,8 @@
+-- Paybill (C2B) payments matched by account number
+alter table public.transactions
+  add column if not exists mpesa_account_reference text,
+  add column if not exists payment_channel text;
+
+create index if not exists transactions_account_reference_idx
+  on public.transactions (mpesa_account_reference)
+  where status = 'pending';
@@ -0,0 +1,34 @@
+-- Escrow state machine: one timestamp per state and a full history.
+-- Payout failures now use release_failed; failed is only for client payments.
+update public.transactions
+  set status = 'release_failed'
+  where status = 'failed' and mpesa_conversation_id is not null;
+
+alter table public.transactions
+  add column if not exists failed_at timestamptz,
+  add column if not exists release_requested_at timestamptz,
+  add column if not exists release_failed_at timestamptz,
+  add column if not exists refund_failed_at timestamptz;
+
+alter table public.transactions
+  drop constraint if exists transactions_status_check;
+alter table public.transactions
+  add constraint transactions_status_check check (status in (
+    'pending', 'failed', 'held_in_escrow', 'processing_release', 'released',
+    'release_failed', 'refund_pending', 'refunded', 'refund_failed'
+  ));
+
+create table if not exists public.transaction_status_history (
+  id uuid primary key default gen_random_uuid(),
+  transaction_id uuid not null references public.transactions (id),
+  from_status text,
+  to_status text not null,
+  reason text,
+  metadata jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists transaction_status_history_tx_idx
+  on public.transaction_status_history (transaction_id, created_at);
+
+alter table public.transaction_status_history enable row level security;
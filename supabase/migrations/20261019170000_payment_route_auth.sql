@@ -0,0 +1,3 @@
+-- Who started each Daraja request, for ownership checks on /query-stk
+alter table public.mpesa_requests
+  add column if not exists user_id uuid references auth.users (id);
@@ -0,0 +1,6 @@
+-- STK checkouts are created per accepted bid
+alter table public.transactions
+  add column if not exists stk_requested_at timestamptz;
+
+create index if not exists transactions_bid_idx
+  on public.transactions (bid_id, created_at);
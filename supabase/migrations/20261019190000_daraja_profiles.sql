@@ -0,0 +1,6 @@
+-- Daraja credential profile (paybill, till, ...) that handled each request
+alter table public.transactions
+  add column if not exists mpesa_profile text;
+
+alter table public.mpesa_requests
+  add column if not exists profile text;
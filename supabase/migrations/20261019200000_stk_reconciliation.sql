@@ -0,0 +1,7 @@
+-- Pending STK payments checked by the reconciliation worker
+alter table public.transactions
+  add column if not exists stk_last_checked_at timestamptz;
+
+create index if not exists transactions_pending_stk_idx
+  on public.transactions (stk_last_checked_at nulls first, stk_requested_at)
+  where status = 'pending' and mpesa_checkout_request_id is not null;
@@ -0,0 +1,14 @@
+-- Phone each STK prompt was sent to, for cancellation cooldowns
+alter table public.mpesa_requests
+  add column if not exists phone_number text;
+
+-- Numbers that must not receive STK prompts
+create table if not exists public.mpesa_phone_blocklist (
+  phone_number text primary key, -- 254XXXXXXXXX
+  reason text,
+  blocked_by uuid references auth.users (id),
+  expires_at timestamptz, -- null = until removed
+  created_at timestamptz not null default now()
+);
+
+alter table public.mpesa_phone_blocklist enable row level security;
@@ -0,0 +1,37 @@
+-- Endpoints in other services that want payment lifecycle events
+create table if not exists public.webhook_subscriptions (
+  id uuid primary key default gen_random_uuid(),
+  url text not null,
+  secret text not null, -- HMAC key for X-Webhook-Signature
+  events text[] not null default '{*}', -- e.g. {payment.succeeded}, or {*}
+  active boolean not null default true,
+  description text,
+  created_at timestamptz not null default now()
+);
+
+-- One row per event per subscription, with every attempt's outcome
+create table if not exists public.webhook_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  subscription_id uuid not null references public.webhook_subscriptions (id) on delete cascade,
+  event_id text not null,
+  event_type text not null,
+  transaction_id uuid references public.transactions (id),
+  payload jsonb not null,
+  status text not null default 'pending'
+    check (status in ('pending', 'delivering', 'delivered', 'failed')),
+  attempts integer not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  last_attempt_at timestamptz,
+  response_status integer,
+  response_body text,
+  last_error text,
+  delivered_at timestamptz,
+  created_at timestamptz not null default now(),
+  unique (subscription_id, event_id)
+);
+
+create index if not exists webhook_deliveries_due_idx
+  on public.webhook_deliveries (status, next_attempt_at);
+
+alter table public.webhook_subscriptions enable row level security;
+alter table public.webhook_deliveries enable row level security;
@@ -0,0 +1,24 @@
+-- In-app notifications about payments, also sent by SMS/email when possible
+create table if not exists public.notifications (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  type text not null, -- e.g. escrow_funded_client, payout_released
+  title text not null,
+  body text not null,
+  language text not null default 'en',
+  transaction_id uuid references public.transactions (id),
+  data jsonb,
+  delivery jsonb, -- { sms, email }: sent | failed | skipped
+  read_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists notifications_user_idx
+  on public.notifications (user_id, created_at desc);
+
+alter table public.notifications enable row level security;
+
+-- Users can read their own notifications directly from the app
+create policy "Users read own notifications"
+  on public.notifications for select
+  using (auth.uid() = user_id);
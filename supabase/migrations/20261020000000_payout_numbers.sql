@@ -0,0 +1,46 @@
+-- Verified M-Pesa payout number per freelancer
+alter table public.freelancer_profiles
+  add column if not exists mpesa_payout_phone text,
+  add column if not exists mpesa_payout_phone_verified_at timestamptz,
+  -- end of the cooling-off period after a change
+  add column if not exists mpesa_payout_phone_usable_at timestamptz;
+
+-- Proof of a number, by SMS code or by a small B2C payment whose receipt
+-- the freelancer reads back
+create table if not exists public.payout_number_verifications (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  phone_number text not null,
+  method text not null check (method in ('otp', 'payment')),
+  status text not null default 'pending'
+    check (status in ('pending', 'verified', 'failed', 'expired')),
+  code_hash text, -- sha256 of the OTP or payment receipt
+  attempts integer not null default 0,
+  conversation_id text, -- B2C request for the payment method
+  failure_reason text,
+  expires_at timestamptz not null,
+  verified_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists payout_number_verifications_conversation_idx
+  on public.payout_number_verifications (conversation_id)
+  where conversation_id is not null;
+
+-- Every change of payout number
+create table if not exists public.payout_number_changes (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  old_phone_number text,
+  new_phone_number text not null,
+  verification_method text not null,
+  verification_id uuid references public.payout_number_verifications (id),
+  usable_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists payout_number_changes_user_idx
+  on public.payout_number_changes (user_id, created_at desc);
+
+alter table public.payout_number_verifications enable row level security;
+alter table public.payout_number_changes enable row level security;
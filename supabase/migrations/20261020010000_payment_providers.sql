@@ -0,0 +1,16 @@
+-- Stripe references for the shared escrow lifecycle
+alter table public.transactions
+  add column if not exists stripe_charge_id text,
+  add column if not exists stripe_transfer_id text,
+  add column if not exists stripe_refund_id text;
+
+-- Card refunds go back through Stripe
+alter table public.transactions
+  drop constraint if exists transactions_refund_method_check;
+alter table public.transactions
+  add constraint transactions_refund_method_check
+    check (refund_method in ('reversal', 'b2c', 'stripe'));
+
+create index if not exists transactions_payment_intent_idx
+  on public.transactions (payment_intent_id)
+  where payment_intent_id is not null;
@@ -0,0 +1,51 @@
+-- Milestone payouts: an escrowed payment released to the freelancer in parts,
+-- each approved by the client and paid out by its own B2C request
+create table if not exists public.transaction_milestones (
+  id uuid primary key default gen_random_uuid(),
+  transaction_id uuid not null references public.transactions (id),
+  position integer not null,
+  title text not null,
+  amount numeric not null check (amount > 0), -- freelancer's payout
+  status text not null default 'pending'
+    check (status in ('pending', 'approved', 'processing', 'released', 'failed')),
+  approved_at timestamptz,
+  approved_by uuid references auth.users (id),
+  payout_phone_number text,
+  payout_attempts integer not null default 0,
+  mpesa_conversation_id text,
+  mpesa_transaction_id text,
+  b2c_result_code text,
+  b2c_result_description text,
+  needs_manual_review boolean not null default false,
+  released_at timestamptz,
+  failed_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (transaction_id, position)
+);
+
+create index if not exists transaction_milestones_conversation_idx
+  on public.transaction_milestones (mpesa_conversation_id)
+  where mpesa_conversation_id is not null;
+
+-- Approved milestones wait here while the B2C float is too low
+create index if not exists transaction_milestones_approved_idx
+  on public.transaction_milestones (approved_at)
+  where status = 'approved';
+
+-- Freelancer's share still held, for transactions paid out in milestones
+alter table public.transactions
+  add column if not exists escrow_balance numeric;
+
+alter table public.transaction_milestones enable row level security;
+
+-- Both sides of the contract can follow its milestones from the app
+create policy "Participants read milestones"
+  on public.transaction_milestones for select
+  using (
+    exists (
+      select 1 from public.transactions t
+      where t.id = transaction_id
+        and auth.uid() in (t.client_id, t.freelancer_id)
+    )
+  );
@@ -0,0 +1,61 @@
+-- Disputes: either side can contest a release, freezing the escrow
+-- (status 'disputed') until an admin refunds, pays or splits it
+alter table public.transactions
+  add column if not exists disputed_at timestamptz;
+
+alter table public.transactions
+  drop constraint if exists transactions_status_check;
+alter table public.transactions
+  add constraint transactions_status_check check (status in (
+    'pending', 'failed', 'held_in_escrow', 'processing_release', 'released',
+    'release_failed', 'refund_pending', 'refunded', 'refund_failed', 'disputed'
+  ));
+
+create table if not exists public.disputes (
+  id uuid primary key default gen_random_uuid(),
+  transaction_id uuid not null references public.transactions (id),
+  opened_by uuid references auth.users (id),
+  reason text not null,
+  status text not null default 'open' check (status in ('open', 'resolved')),
+  resolution text check (resolution in ('refund', 'pay', 'split')),
+  freelancer_amount numeric, -- split: paid to the freelancer
+  client_amount numeric, -- split: refunded to the client
+  resolution_note text,
+  resolved_by uuid references auth.users (id),
+  resolved_at timestamptz,
+  -- split: the freelancer's B2C payout, sent before the client's refund
+  payout_status text
+    check (payout_status in ('processing', 'paid', 'failed')),
+  payout_conversation_id text,
+  payout_receipt text,
+  payout_result_description text,
+  needs_manual_review boolean not null default false,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- One open dispute per transaction
+create unique index if not exists disputes_open_transaction_idx
+  on public.disputes (transaction_id)
+  where status = 'open';
+
+create index if not exists disputes_payout_conversation_idx
+  on public.disputes (payout_conversation_id)
+  where payout_conversation_id is not null;
+
+-- Statements and evidence links from both sides (and admins)
+create table if not exists public.dispute_statements (
+  id uuid primary key default gen_random_uuid(),
+  dispute_id uuid not null references public.disputes (id) on delete cascade,
+  author_id uuid references auth.users (id),
+  author_role text not null check (author_role in ('client', 'freelancer', 'admin')),
+  statement text not null,
+  evidence_urls text[] not null default '{}',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists dispute_statements_dispute_idx
+  on public.dispute_statements (dispute_id, created_at);
+
+alter table public.disputes enable row level security;
+alter table public.dispute_statements enable row level security;
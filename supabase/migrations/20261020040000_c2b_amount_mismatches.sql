@@ -0,0 +1,19 @@
+-- Paybill payments whose amount differed from the transaction they named.
+-- The transaction stays pending and is flagged for manual review.
+create table if not exists public.c2b_amount_mismatches (
+  id uuid primary key default gen_random_uuid(),
+  transaction_id uuid not null references public.transactions (id),
+  trans_id text not null unique, -- M-Pesa receipt of the paybill payment
+  expected_amount numeric not null,
+  paid_amount numeric not null,
+  phone_number text,
+  business_short_code text,
+  mpesa_profile text,
+  paid_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists c2b_amount_mismatches_transaction_idx
+  on public.c2b_amount_mismatches (transaction_id);
+
+alter table public.c2b_amount_mismatches enable row level security;
@@ -0,0 +1,93 @@
+#!/bin/bash
+
+echo "🧪 Testing Stripe Integration..."
+echo ""
+
+# Run against stripe-mock instead of Stripe:
+#   docker run --rm -p 12111-12112:12111-12112 stripe/stripe-mock
+#   STRIPE_API_BASE=http://localhost:12111 STRIPE_SECRET_KEY=sk_test_123 \
+#   STRIPE_WEBHOOK_SECRET=whsec_test npm start
+STRIPE_WEBHOOK_SECRET=${STRIPE_WEBHOOK_SECRET:-whsec_test}
+
+# Payment routes need a signed-in Supabase user's access token
+if [ -z "$SUPABASE_ACCESS_TOKEN" ]; then
+  echo "❌ Set SUPABASE_ACCESS_TOKEN to a Supabase user access token first"
+  exit 1
+fi
+
+# Card checkout pays for an accepted bid on one of that user's projects
+if [ -z "$PROJECT_ID" ] || [ -z "$BID_ID" ]; then
+  echo "❌ Set PROJECT_ID and BID_ID to a project and its accepted bid"
+  exit 1
+fi
+
+# The freelancer's token connects their account; defaults to the same user
+FREELANCER_ACCESS_TOKEN=${FREELANCER_ACCESS_TOKEN:-$SUPABASE_ACCESS_TOKEN}
+
+# Colors
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+NC='\033[0m' # No Color
+
+# Test 1: Connect account
+echo "${YELLOW}1. Creating the freelancer's Connect account...${NC}"
+curl -s -X POST http://localhost:4000/stripe/connect/account \
+  -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $FREELANCER_ACCESS_TOKEN" \
+  -d '{}' | jq '.'
+echo ""
+
+# Test 2: Onboarding link
+echo "${YELLOW}2. Creating an onboarding link...${NC}"
+curl -s -X POST http://localhost:4000/stripe/connect/onboarding-link \
+  -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $FREELANCER_ACCESS_TOKEN" \
+  -d '{
+    "refreshUrl": "http://localhost:3000/payouts/refresh",
+    "returnUrl": "http://localhost:3000/payouts/done"
+  }' | jq '.'
+echo ""
+
+# Test 3: PaymentIntent
+echo "${YELLOW}3. Creating a PaymentIntent...${NC}"
+RESPONSE=$(curl -s -X POST http://localhost:4000/stripe/payment-intents \
+  -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $SUPABASE_ACCESS_TOKEN" \
+  -d "{
+    \"projectId\": \"$PROJECT_ID\",
+    \"bidId\": \"$BID_ID\"
+  }")
+
+echo "$RESPONSE" | jq '.'
+echo ""
+
+TRANSACTION_ID=$(echo "$RESPONSE" | jq -r '.data.transactionId')
+PAYMENT_INTENT_ID=$(echo "$RESPONSE" | jq -r '.data.paymentIntentId')
+
+if [ "$PAYMENT_INTENT_ID" == "null" ]; then
+  echo "❌ PaymentIntent failed!"
+  exit 1
+fi
+
+echo "${GREEN}✅ PaymentIntent created!${NC}"
+echo ""
+
+# Test 4: Signed payment_intent.succeeded webhook, as Stripe would send it
+echo "${YELLOW}4. Sending payment_intent.succeeded webhook...${NC}"
+PAYLOAD="{\"id\":\"evt_test_$(date +%s)\",\"type\":\"payment_intent.succeeded\",\"data\":{\"object\":{\"id\":\"$PAYMENT_INTENT_ID\",\"object\":\"payment_intent\",\"status\":\"succeeded\",\"latest_charge\":\"ch_test\"}}}"
+TIMESTAMP=$(date +%s)
+SIGNATURE=$(printf '%s' "$TIMESTAMP.$PAYLOAD" \
+  | openssl dgst -sha256 -hmac "$STRIPE_WEBHOOK_SECRET" | sed 's/^.* //')
+
+curl -s -X POST http://localhost:4000/stripe/webhook \
+  -H "Content-Type: application/json" \
+  -H "Stripe-Signature: t=$TIMESTAMP,v1=$SIGNATURE" \
+  -d "$PAYLOAD" | jq '.'
+echo ""
+
+# Test 5: Release escrow with a transfer
+echo "${YELLOW}5. Releasing escrow to the freelancer...${NC}"
+curl -s -X POST http://localhost:4000/stripe/transfers/$TRANSACTION_ID \
+  -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $SUPABASE_ACCESS_TOKEN" | jq '.'
+echo ""
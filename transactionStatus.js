@@ -0,0 +1,207 @@
+import { supabase, supabaseAdmin } from "./Client.js";
+import { publishTransactionUpdate } from "./paymentEvents.js";
+
+// ==================== ESCROW TRANSACTION STATES ====================
+
+export const TRANSACTION_STATUS = Object.freeze({
+  PENDING: "pending", // created, waiting for the client's payment
+  FAILED: "failed", // client payment failed or was cancelled
+  HELD_IN_ESCROW: "held_in_escrow",
+  PROCESSING_RELEASE: "processing_release", // payout sent, awaiting result
+  RELEASED: "released",
+  RELEASE_FAILED: "release_failed", // payout failed, funds still held
+  REFUND_PENDING: "refund_pending",
+  REFUNDED: "refunded",
+  REFUND_FAILED: "refund_failed",
+  DISPUTED: "disputed", // escrow frozen until an admin resolves the dispute
+});
+
+const S = TRANSACTION_STATUS;
+
+// Allowed next states for each state. Anything else is rejected.
+const TRANSITIONS = {
+  [S.PENDING]: [S.HELD_IN_ESCROW, S.FAILED],
+  [S.FAILED]: [],
+  [S.HELD_IN_ESCROW]: [S.PROCESSING_RELEASE, S.REFUND_PENDING, S.DISPUTED],
+  [S.PROCESSING_RELEASE]: [S.RELEASED, S.RELEASE_FAILED],
+  [S.RELEASED]: [],
+  // A late B2C success can still confirm a payout we had given up on
+  [S.RELEASE_FAILED]: [S.PROCESSING_RELEASE, S.RELEASED, S.REFUND_PENDING],
+  [S.REFUND_PENDING]: [S.REFUNDED, S.REFUND_FAILED],
+  [S.REFUNDED]: [],
+  [S.REFUND_FAILED]: [S.REFUND_PENDING],
+  // Resolving a dispute hands the escrow back to the payout or refund path
+  [S.DISPUTED]: [S.HELD_IN_ESCROW],
+};
+
+// Moves only one code path may make, named by the caller's `via`. They are
+// never allowed for a plain status update.
+const RESTRICTED_TRANSITIONS = {
+  // The last milestone payout empties the escrow without a payout of its own
+  milestone_settlement: { from: S.HELD_IN_ESCROW, to: S.RELEASED },
+};
+
+// Column stamped when a transaction enters each state
+const STATUS_TIMESTAMPS = {
+  [S.FAILED]: "failed_at",
+  [S.HELD_IN_ESCROW]: "escrowed_at",
+  [S.PROCESSING_RELEASE]: "release_requested_at",
+  [S.RELEASED]: "released_at",
+  [S.RELEASE_FAILED]: "release_failed_at",
+  [S.REFUND_PENDING]: "refund_requested_at",
+  [S.REFUNDED]: "refunded_at",
+  [S.REFUND_FAILED]: "refund_failed_at",
+  [S.DISPUTED]: "disputed_at",
+};
+
+// Stamps that mark a first arrival only: escrowed_at is when the client paid,
+// not when a resolved dispute handed the escrow back
+const STAMP_ONLY_FROM = {
+  [S.HELD_IN_ESCROW]: S.PENDING,
+};
+
+export const INITIAL_STATUS = S.PENDING;
+
+export const canTransition = (from, to) =>
+  TRANSITIONS[from]?.includes(to) ?? false;
+
+// Append a row to transaction_status_history; never throws
+export const recordStatusHistory = async ({
+  transactionId,
+  fromStatus,
+  toStatus,
+  reason,
+  metadata,
+}) => {
+  try {
+    const { error } = await supabaseAdmin
+      .from("transaction_status_history")
+      .insert({
+        transaction_id: transactionId,
+        from_status: fromStatus,
+        to_status: toStatus,
+        reason: reason || null,
+        metadata: metadata || null,
+      });
+
+    if (error) {
+      console.error("Status history insert error:", error);
+    }
+  } catch (error) {
+    console.error("recordStatusHistory catch error:", error);
+  }
+};
+
+/**
+ * Move one transaction to a new status.
+ *
+ * - match: columns identifying the transaction, e.g. { id } or
+ *   { mpesa_checkout_request_id }
+ * - from: optional status (or list) the caller expects it to be in. If it is
+ *   in any other status the call is a no-op returning data: null.
+ * - updates: extra columns written in the same update
+ * - via: name of a RESTRICTED_TRANSITIONS move the caller is allowed to make
+ *
+ * Illegal transitions return an error with code "INVALID_TRANSITION".
+ * Without `from`, moving to the status it is already in is treated as a
+ * repeat and returns the row unchanged, so replayed callbacks stay harmless.
+ */
+export const transitionTransaction = async ({
+  match,
+  from,
+  to,
+  updates = {},
+  reason,
+  metadata,
+  via,
+}) => {
+  try {
+    let query = supabase.from("transactions").select("*");
+    Object.entries(match).forEach(([column, value]) => {
+      query = query.eq(column, value);
+    });
+
+    const { data: current, error: fetchError } = await query.maybeSingle();
+
+    if (fetchError) {
+      console.error("Transition fetch error:", fetchError);
+      return { data: null, error: fetchError };
+    }
+
+    if (!current) {
+      return { data: null, error: new Error("Transaction not found") };
+    }
+
+    if (from && ![].concat(from).includes(current.status)) {
+      console.log(
+        `Transaction ${current.id} is ${current.status}, not ${from}; skipping`,
+      );
+      return { data: null, error: null };
+    }
+
+    if (current.status === to) {
+      return { data: current, error: null };
+    }
+
+    const restricted = via && RESTRICTED_TRANSITIONS[via];
+    const allowed =
+      canTransition(current.status, to) ||
+      (restricted?.from === current.status && restricted?.to === to);
+
+    if (!allowed) {
+      const error = new Error(
+        `Invalid transaction status change: ${current.status} -> ${to}`,
+      );
+      error.code = "INVALID_TRANSITION";
+      console.error(error.message, `(transaction ${current.id})`);
+      return { data: null, error };
+    }
+
+    const now = new Date().toISOString();
+    const timestampColumn =
+      !STAMP_ONLY_FROM[to] || STAMP_ONLY_FROM[to] === current.status
+        ? STATUS_TIMESTAMPS[to]
+        : null;
+
+    const { data, error } = await supabase
+      .from("transactions")
+      .update({
+        ...updates,
+        status: to,
+        ...(timestampColumn && !updates[timestampColumn]
+          ? { [timestampColumn]: now }
+          : {}),
+        updated_at: now,
+      })
+      .eq("id", current.id)
+      .eq("status", current.status)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error("Transition update error:", error);
+      return { data: null, error };
+    }
+
+    // Someone else changed the status between our read and write
+    if (!data) {
+      return { data: null, error: null };
+    }
+
+    await recordStatusHistory({
+      transactionId: data.id,
+      fromStatus: current.status,
+      toStatus: to,
+      reason,
+      metadata,
+    });
+
+    publishTransactionUpdate(data, { fromStatus: current.status, reason });
+
+    console.log(`Transaction ${data.id}: ${current.status} -> ${to}`);
+    return { data, error: null };
+  } catch (error) {
+    console.error("transitionTransaction catch error:", error);
+    return { data: null, error };
+  }
+};
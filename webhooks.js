@@ -0,0 +1,522 @@
+import axios from "axios";
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { supabaseAdmin } from "./Client.js";
+import { onStatusChange } from "./paymentEvents.js";
+import { store } from "./store.js";
+import { TRANSACTION_STATUS } from "./transactionStatus.js";
+
+dotenv.config();
+
+// ==================== OUTBOUND WEBHOOKS ====================
+// Other services subscribe to payment lifecycle events. Every event is
+// queued in webhook_deliveries per subscription, POSTed with an HMAC
+// signature, and retried with exponential backoff until it gets a 2xx.
+
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const WEBHOOK_RETRY_BASE_MS =
+  Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+const WEBHOOK_RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const WEBHOOK_RETRY_INTERVAL_MS = Number(
+  process.env.WEBHOOK_RETRY_INTERVAL_MS ?? 30 * 1000,
+);
+const WEBHOOK_RETRY_BATCH = 20;
+// A delivery stuck "delivering" this long lost its sender; retry it
+const WEBHOOK_STALE_AFTER_MS = 5 * 60 * 1000;
+const RESPONSE_BODY_LIMIT = 2000;
+
+const S = TRANSACTION_STATUS;
+
+export const WEBHOOK_EVENTS = Object.freeze([
+  "payment.succeeded",
+  "payment.failed",
+  "payout.released",
+  "payout.failed",
+  "refund.completed",
+  "dispute.opened",
+  "dispute.resolved",
+]);
+
+// Which status changes are worth announcing, as "from->to" (or "*->to")
+const STATUS_EVENTS = {
+  [`${S.PENDING}->${S.HELD_IN_ESCROW}`]: "payment.succeeded",
+  [`${S.PENDING}->${S.FAILED}`]: "payment.failed",
+  [`*->${S.RELEASED}`]: "payout.released",
+  [`*->${S.RELEASE_FAILED}`]: "payout.failed",
+  [`*->${S.REFUNDED}`]: "refund.completed",
+  [`*->${S.DISPUTED}`]: "dispute.opened",
+  [`${S.DISPUTED}->${S.HELD_IN_ESCROW}`]: "dispute.resolved",
+};
+
+const eventTypeFor = (fromStatus, toStatus) =>
+  STATUS_EVENTS[`${fromStatus}->${toStatus}`] || STATUS_EVENTS[`*->${toStatus}`];
+
+// Event body subscribers receive; no internal columns
+const buildEvent = (type, transaction, { fromStatus, reason }) => ({
+  id: `evt_${crypto.randomUUID()}`,
+  type,
+  createdAt: new Date().toISOString(),
+  data: {
+    transactionId: transaction.id,
+    projectId: transaction.project_id,
+    bidId: transaction.bid_id || null,
+    clientId: transaction.client_id,
+    freelancerId: transaction.freelancer_id,
+    status: transaction.status,
+    previousStatus: fromStatus || null,
+    reason: reason || null,
+    amount: transaction.amount,
+    freelancerAmount: transaction.freelancer_amount ?? null,
+    paymentProvider: transaction.payment_provider || null,
+    mpesaReceiptNumber: transaction.mpesa_receipt_number || null,
+    payoutReceiptNumber: transaction.mpesa_transaction_id || null,
+  },
+});
+
+/**
+ * Signature header: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">.
+ * Receivers recompute it with their secret and reject old timestamps.
+ */
+export const signPayload = (secret, body, timestamp) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+export const generateWebhookSecret = () =>
+  `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+// Wait before attempt n+1: base * 2^(n-1), with jitter, capped
+const retryDelay = (attempts) => {
+  const delay = Math.min(
+    WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1),
+    WEBHOOK_RETRY_MAX_MS,
+  );
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+const truncate = (value) => {
+  if (value === undefined || value === null) return null;
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return text.slice(0, RESPONSE_BODY_LIMIT);
+};
+
+/**
+ * Send one delivery that has already been claimed, and record the outcome.
+ * Returns the updated delivery row.
+ */
+const sendDelivery = async (delivery, subscription) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  let outcome;
+
+  if (!subscription?.active) {
+    outcome = { ok: false, error: "Subscription is inactive", final: true };
+  } else {
+    try {
+      const response = await axios.post(subscription.url, body, {
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "mpesa-escrow-webhooks/1.0",
+          "X-Webhook-Id": delivery.event_id,
+          "X-Webhook-Event": delivery.event_type,
+          "X-Webhook-Signature": `t=${timestamp},v1=${signPayload(subscription.secret, body, timestamp)}`,
+        },
+        timeout: WEBHOOK_TIMEOUT_MS,
+        maxRedirects: 0,
+        validateStatus: () => true,
+      });
+
+      outcome = {
+        ok: response.status >= 200 && response.status < 300,
+        responseStatus: response.status,
+        responseBody: truncate(response.data),
+        error:
+          response.status >= 300 ? `Endpoint returned ${response.status}` : null,
+      };
+    } catch (error) {
+      outcome = { ok: false, error: error.message };
+    }
+  }
+
+  const now = new Date();
+  const gaveUp = outcome.final || delivery.attempts >= WEBHOOK_MAX_ATTEMPTS;
+  const updates = {
+    response_status: outcome.responseStatus ?? null,
+    response_body: outcome.responseBody ?? null,
+    last_error: outcome.error || null,
+  };
+
+  if (outcome.ok) {
+    updates.status = "delivered";
+    updates.delivered_at = now.toISOString();
+    console.log(`📤 Webhook ${delivery.event_type} delivered to ${subscription.url}`);
+  } else if (gaveUp) {
+    updates.status = "failed";
+    console.error(
+      `❌ Webhook ${delivery.id} failed after ${delivery.attempts} attempt(s): ${outcome.error}`,
+    );
+  } else {
+    updates.status = "pending";
+    updates.next_attempt_at = new Date(
+      now.getTime() + retryDelay(delivery.attempts),
+    ).toISOString();
+    console.warn(
+      `⚠️ Webhook ${delivery.id} attempt ${delivery.attempts} failed (${outcome.error}), retrying at ${updates.next_attempt_at}`,
+    );
+  }
+
+  const { delivery: updated, error } = await updateWebhookDelivery(
+    delivery.id,
+    updates,
+  );
+  if (error) throw error;
+  return updated;
+};
+
+/**
+ * Claim a delivery and attempt it now. Returns the updated row, or null when
+ * another sender claimed it first.
+ */
+export const attemptDelivery = async (delivery) => {
+  const { delivery: claimed, error } = await claimWebhookDelivery(delivery);
+  if (error) throw error;
+  if (!claimed) return null;
+  return sendDelivery(claimed, delivery.subscription);
+};
+
+/**
+ * Queue an event for every subscription that wants it and try each delivery
+ * once straight away; failures are left to the retry worker.
+ */
+export const dispatchEvent = async (event, { transactionId } = {}) => {
+  const { subscriptions, error } = await getSubscriptionsForEvent(event.type);
+  if (error) throw error;
+  if (!subscriptions.length) return [];
+
+  const { deliveries, error: insertError } = await createWebhookDeliveries(
+    subscriptions.map((subscription) => ({
+      subscription_id: subscription.id,
+      event_id: event.id,
+      event_type: event.type,
+      transaction_id: transactionId || null,
+      payload: event,
+    })),
+  );
+  if (insertError) throw insertError;
+
+  const byId = new Map(subscriptions.map((s) => [s.id, s]));
+  return Promise.all(
+    deliveries.map((delivery) =>
+      attemptDelivery({
+        ...delivery,
+        subscription: byId.get(delivery.subscription_id),
+      }).catch((error) => {
+        console.error(`Webhook delivery ${delivery.id} error:`, error.message);
+        return null;
+      }),
+    ),
+  );
+};
+
+// Turn status changes into webhook events; never throws
+onStatusChange((transaction, change) => {
+  const type = eventTypeFor(change.fromStatus, transaction.status);
+  if (!type) return;
+
+  dispatchEvent(buildEvent(type, transaction, change), {
+    transactionId: transaction.id,
+  }).catch((error) => {
+    console.error(`Failed to queue ${type} webhooks:`, error.message);
+  });
+});
+
+// ==================== RETRY WORKER ====================
+
+let retryInFlight = false;
+
+/**
+ * Send deliveries whose retry time has come. One instance at a time.
+ * Returns { attempted, delivered, failed, skipped? }.
+ */
+export const retryDueDeliveries = async () => {
+  const summary = { attempted: 0, delivered: 0, failed: 0 };
+  if (retryInFlight) return { ...summary, skipped: true };
+
+  const lock = await store.acquireLock(
+    "webhook-retry",
+    Math.max(WEBHOOK_RETRY_INTERVAL_MS, 10 * 1000) * 0.9,
+  );
+  if (!lock) return { ...summary, skipped: true };
+  retryInFlight = true;
+
+  try {
+    const { deliveries, error } = await getDueWebhookDeliveries({
+      staleBefore: new Date(Date.now() - WEBHOOK_STALE_AFTER_MS).toISOString(),
+      limit: WEBHOOK_RETRY_BATCH,
+    });
+    if (error) throw error;
+
+    for (const delivery of deliveries) {
+      try {
+        const result = await attemptDelivery(delivery);
+        if (!result) continue;
+        summary.attempted += 1;
+        if (result.status === "delivered") summary.delivered += 1;
+        if (result.status === "failed") summary.failed += 1;
+      } catch (error) {
+        console.error(`Webhook retry failed for ${delivery.id}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error("Webhook retry run failed:", error);
+  } finally {
+    retryInFlight = false;
+  }
+
+  return summary;
+};
+
+if (WEBHOOK_RETRY_INTERVAL_MS > 0) {
+  setInterval(retryDueDeliveries, WEBHOOK_RETRY_INTERVAL_MS).unref();
+}
+
+// ==================== SUBSCRIPTIONS AND DELIVERIES ====================
+
+export const listWebhookSubscriptions = async () => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("webhook_subscriptions")
+      .select("id, url, events, active, description, created_at")
+      .order("created_at", { ascending: true });
+
+    if (error) {
+      console.error("listWebhookSubscriptions error:", error);
+      return { subscriptions: [], error };
+    }
+
+    return { subscriptions: data || [], error: null };
+  } catch (error) {
+    console.error("listWebhookSubscriptions catch error:", error);
+    return { subscriptions: [], error };
+  }
+};
+
+export const createWebhookSubscription = async ({
+  url,
+  secret,
+  events,
+  description,
+}) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("webhook_subscriptions")
+      .insert({ url, secret, events, description: description || null })
+      .select()
+      .single();
+
+    if (error) {
+      console.error("createWebhookSubscription error:", error);
+      return { subscription: null, error };
+    }
+
+    return { subscription: data, error: null };
+  } catch (error) {
+    console.error("createWebhookSubscription catch error:", error);
+    return { subscription: null, error };
+  }
+};
+
+export const deactivateWebhookSubscription = async (subscriptionId) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("webhook_subscriptions")
+      .update({ active: false })
+      .eq("id", subscriptionId)
+      .select("id, url, events, active")
+      .maybeSingle();
+
+    if (error) {
+      console.error("deactivateWebhookSubscription error:", error);
+      return { subscription: null, error };
+    }
+
+    return { subscription: data, error: null };
+  } catch (error) {
+    console.error("deactivateWebhookSubscription catch error:", error);
+    return { subscription: null, error };
+  }
+};
+
+// Active subscriptions listening for an event type (or for "*")
+export const getSubscriptionsForEvent = async (eventType) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("webhook_subscriptions")
+      .select("*")
+      .eq("active", true)
+      .overlaps("events", [eventType, "*"]);
+
+    if (error) {
+      console.error("getSubscriptionsForEvent error:", error);
+      return { subscriptions: [], error };
+    }
+
+    return { subscriptions: data || [], error: null };
+  } catch (error) {
+    console.error("getSubscriptionsForEvent catch error:", error);
+    return { subscriptions: [], error };
+  }
+};
+
+// One delivery row per subscription; an event already queued for a
+// subscription is not queued again
+export const createWebhookDeliveries = async (rows) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("webhook_deliveries")
+      .upsert(rows, {
+        onConflict: "subscription_id,event_id",
+        ignoreDuplicates: true,
+      })
+      .select();
+
+    if (error) {
+      console.error("createWebhookDeliveries error:", error);
+      return { deliveries: [], error };
+    }
+
+    return { deliveries: data || [], error: null };
+  } catch (error) {
+    console.error("createWebhookDeliveries catch error:", error);
+    return { deliveries: [], error };
+  }
+};
+
+// Delivery with the subscription it goes to
+export const getWebhookDelivery = async (deliveryId) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("webhook_deliveries")
+      .select("*, subscription:webhook_subscriptions(*)")
+      .eq("id", deliveryId)
+      .maybeSingle();
+
+    if (error) {
+      console.error("getWebhookDelivery error:", error);
+      return { delivery: null, error };
+    }
+
+    return { delivery: data, error: null };
+  } catch (error) {
+    console.error("getWebhookDelivery catch error:", error);
+    return { delivery: null, error };
+  }
+};
+
+export const listWebhookDeliveries = async ({
+  status,
+  subscriptionId,
+  eventType,
+  limit = 50,
+}) => {
+  try {
+    let query = supabaseAdmin
+      .from("webhook_deliveries")
+      .select("*")
+      .order("created_at", { ascending: false })
+      .limit(limit);
+
+    if (status) query = query.eq("status", status);
+    if (subscriptionId) query = query.eq("subscription_id", subscriptionId);
+    if (eventType) query = query.eq("event_type", eventType);
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error("listWebhookDeliveries error:", error);
+      return { deliveries: [], error };
+    }
+
+    return { deliveries: data || [], error: null };
+  } catch (error) {
+    console.error("listWebhookDeliveries catch error:", error);
+    return { deliveries: [], error };
+  }
+};
+
+// Deliveries whose retry is due, plus any stuck "delivering" since before
+// staleBefore (their sender died mid-attempt)
+export const getDueWebhookDeliveries = async ({ staleBefore, limit = 20 }) => {
+  try {
+    const now = new Date().toISOString();
+    const { data, error } = await supabaseAdmin
+      .from("webhook_deliveries")
+      .select("*, subscription:webhook_subscriptions(*)")
+      .or(
+        `and(status.eq.pending,next_attempt_at.lte.${now}),and(status.eq.delivering,last_attempt_at.lt.${staleBefore})`,
+      )
+      .order("next_attempt_at", { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      console.error("getDueWebhookDeliveries error:", error);
+      return { deliveries: [], error };
+    }
+
+    return { deliveries: data || [], error: null };
+  } catch (error) {
+    console.error("getDueWebhookDeliveries catch error:", error);
+    return { deliveries: [], error };
+  }
+};
+
+// Atomically take a delivery for one attempt. Matching on the attempt count
+// means only one sender wins, whatever status the row is in.
+export const claimWebhookDelivery = async (delivery) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("webhook_deliveries")
+      .update({
+        status: "delivering",
+        attempts: (delivery.attempts || 0) + 1,
+        last_attempt_at: new Date().toISOString(),
+      })
+      .eq("id", delivery.id)
+      .eq("attempts", delivery.attempts || 0)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error("claimWebhookDelivery error:", error);
+      return { delivery: null, error };
+    }
+
+    return { delivery: data, error: null };
+  } catch (error) {
+    console.error("claimWebhookDelivery catch error:", error);
+    return { delivery: null, error };
+  }
+};
+
+export const updateWebhookDelivery = async (deliveryId, updates) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("webhook_deliveries")
+      .update(updates)
+      .eq("id", deliveryId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error("updateWebhookDelivery error:", error);
+      return { delivery: null, error };
+    }
+
+    return { delivery: data, error: null };
+  } catch (error) {
+    console.error("updateWebhookDelivery catch error:", error);
+    return { delivery: null, error };
+  }
+};